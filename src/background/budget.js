@@ -0,0 +1,149 @@
+/**
+ * Explain Anything - Spending Limits
+ * A monthly budget that blocks requests, or switches them to a cheaper model, once it
+ * is spent, and a pre-flight cost estimate for asking before expensive requests.
+ * The month's spend is kept apart from the usage totals, so clearing those doesn't
+ * reset the budget.
+ */
+
+import { getDayKey } from './usage.js';
+
+const SPEND_STORAGE_KEY = 'budgetSpend';
+
+// Rough average for English text; only used for estimates
+const CHARACTERS_PER_TOKEN = 4;
+
+// Typical answer length; the real one is only known afterwards
+const ESTIMATED_COMPLETION_TOKENS = 500;
+
+// The spend is read-modify-write, so concurrent requests are recorded one at a time
+let pendingWrite = Promise.resolve();
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Estimate the cost of a request before sending it
+ * @param {Object} prompt
+ * @param {string} prompt.systemPrompt - System prompt
+ * @param {Array<{role: string, content: string}>} prompt.messages - Conversation
+ * @param {{maxTokens?: number}} [prompt.requestParams] - Caps the answer length
+ * @param {{prompt: number, completion: number}} pricing - USD per million tokens
+ * @returns {{promptTokens: number, completionTokens: number, cost: number}}
+ */
+export function estimateRequestCost({ systemPrompt, messages, requestParams }, pricing) {
+  const promptTokens = estimatePromptTokens(systemPrompt, messages);
+  const completionTokens = Math.min(ESTIMATED_COMPLETION_TOKENS, requestParams?.maxTokens || Infinity);
+
+  return {
+    promptTokens,
+    completionTokens,
+    cost: (promptTokens * (pricing.prompt || 0) + completionTokens * (pricing.completion || 0)) / 1000000
+  };
+}
+
+/**
+ * Estimate the tokens of a request the provider didn't report them for, such as a
+ * cancelled stream
+ * @param {Object} prompt - {systemPrompt, messages}
+ * @param {string} content - Answer received
+ * @returns {{promptTokens: number, completionTokens: number}}
+ */
+export function estimateUsage({ systemPrompt, messages }, content) {
+  return {
+    promptTokens: estimatePromptTokens(systemPrompt, messages),
+    completionTokens: estimateTokens(content)
+  };
+}
+
+/**
+ * Estimate the tokens of a prompt
+ * @param {string} systemPrompt
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {number}
+ */
+function estimatePromptTokens(systemPrompt, messages) {
+  return estimateTokens(systemPrompt) +
+    messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+/**
+ * Apply the monthly budget to the settings of a request
+ * @param {Object} settings - Effective settings
+ * @param {number} spent - USD spent this month
+ * @returns {{settings: Object, downgraded?: boolean} | {error: string}}
+ *   Downgraded settings use the configured cheaper model and no fallback chain
+ */
+export function applyMonthlyBudget(settings, spent) {
+  const limit = settings.budgetMonthlyLimit;
+  if (!(limit > 0) || spent < limit) {
+    return { settings };
+  }
+
+  const summary = `You have spent $${spent.toFixed(2)} of your $${limit.toFixed(2)} monthly budget.`;
+
+  if (settings.budgetAction === 'downgrade') {
+    if (!settings.budgetDowngradeProvider || !settings.budgetDowngradeModel) {
+      return { error: `Monthly budget reached: ${summary} Pick the model to switch to in settings, or raise the budget.` };
+    }
+
+    return {
+      settings: {
+        ...settings,
+        provider: settings.budgetDowngradeProvider,
+        model: settings.budgetDowngradeModel,
+        // Falling back to other paid models would defeat the budget
+        fallbackChain: []
+      },
+      downgraded: true
+    };
+  }
+
+  return { error: `Monthly budget reached: ${summary} Requests resume next month, or raise the budget in settings.` };
+}
+
+/**
+ * Get the amount spent in the calendar month of a date
+ * Requests without a known price aren't counted
+ * @param {Date} [date]
+ * @returns {Promise<number>} USD
+ */
+export async function getMonthlySpend(date = new Date()) {
+  const month = getDayKey(date).slice(0, 7);
+  const spend = await getStoredSpend(month);
+  return spend.month === month ? spend.spent : 0;
+}
+
+/**
+ * Add the cost of a request to the month's spend
+ * @param {number} cost - USD
+ * @param {Date} [date]
+ * @returns {Promise<void>}
+ */
+export function recordSpend(cost, date = new Date()) {
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const month = getDayKey(date).slice(0, 7);
+      const spend = await getStoredSpend(month);
+      const spent = (spend.month === month ? spend.spent : 0) + cost;
+      await chrome.storage.local.set({ [SPEND_STORAGE_KEY]: { month, spent } });
+    })
+    .catch(error => console.error('Failed to record spend:', error));
+  return pendingWrite;
+}
+
+/**
+ * Read the stored spend
+ * @param {string} month - YYYY-MM to start when nothing is stored yet
+ * @returns {Promise<{month: string, spent: number}>}
+ */
+async function getStoredSpend(month) {
+  const result = await chrome.storage.local.get(SPEND_STORAGE_KEY);
+  return result[SPEND_STORAGE_KEY] || { month, spent: 0 };
+}
@@ -0,0 +1,132 @@
+/**
+ * Explain Anything - Response Cache
+ * Stores completed responses in chrome.storage.local with LRU eviction and a TTL
+ */
+
+const CACHE_STORAGE_KEY = 'responseCache';
+
+// Bump when the built-in prompts change so old answers are not served for new prompts
+export const PROMPT_VERSION = 2;
+
+// The cache is read-modify-write, so concurrent changes are applied one at a time
+let pendingWrite = Promise.resolve();
+
+/**
+ * Run a change to the cache once the changes before it are done
+ * @param {Function} change - Async function reading and writing the cache
+ * @returns {Promise<*>} What the change returns; a failed change rejects here without stopping the queue
+ */
+function queueWrite(change) {
+  const result = pendingWrite.then(change);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Hash the request fields that determine a response
+ * @param {Object} parts - Selection text, context, action, mode, provider, model, language and prompts
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export async function getCacheKey(parts) {
+  const data = new TextEncoder().encode(JSON.stringify({ ...parts, promptVersion: PROMPT_VERSION }));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Read the whole cache map
+ * @returns {Promise<Object>}
+ */
+async function readCache() {
+  const result = await chrome.storage.local.get({ [CACHE_STORAGE_KEY]: {} });
+  return result[CACHE_STORAGE_KEY] || {};
+}
+
+/**
+ * Write the whole cache map
+ * @param {Object} cache - Cache map
+ * @returns {Promise<void>}
+ */
+async function writeCache(cache) {
+  await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: cache });
+}
+
+/**
+ * Look up a cached response and mark it as recently used
+ * @param {string} key - Cache key from getCacheKey
+ * @param {Object} options
+ * @param {number} options.ttlHours - Entries older than this are treated as missing (0 = never expire)
+ * @returns {Promise<{content: string, createdAt: number} | null>}
+ */
+export function getCachedResponse(key, { ttlHours }) {
+  return queueWrite(async () => {
+    const cache = await readCache();
+    const entry = cache[key];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (ttlHours > 0 && Date.now() - entry.createdAt > ttlHours * 60 * 60 * 1000) {
+      delete cache[key];
+      await writeCache(cache);
+      return null;
+    }
+
+    entry.lastUsedAt = Date.now();
+    await writeCache(cache);
+
+    return { content: entry.content, createdAt: entry.createdAt };
+  });
+}
+
+/**
+ * Store a response, evicting the least recently used entries over the limit
+ * @param {string} key - Cache key from getCacheKey
+ * @param {string} content - Response text
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of cached responses
+ * @returns {Promise<void>}
+ */
+export function setCachedResponse(key, content, { maxEntries }) {
+  return queueWrite(async () => {
+    const cache = await readCache();
+    const now = Date.now();
+
+    cache[key] = { content, createdAt: now, lastUsedAt: now };
+
+    const keys = Object.keys(cache);
+    if (keys.length > maxEntries) {
+      keys
+        .sort((a, b) => cache[a].lastUsedAt - cache[b].lastUsedAt)
+        .slice(0, keys.length - maxEntries)
+        .forEach(oldKey => {
+          delete cache[oldKey];
+        });
+    }
+
+    await writeCache(cache);
+  });
+}
+
+/**
+ * Remove every cached response
+ * @returns {Promise<void>}
+ */
+export function clearResponseCache() {
+  return queueWrite(() => chrome.storage.local.remove(CACHE_STORAGE_KEY));
+}
+
+/**
+ * Get the number of cached responses and their approximate size
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getCacheStats() {
+  const cache = await readCache();
+  return {
+    entries: Object.keys(cache).length,
+    bytes: new TextEncoder().encode(JSON.stringify(cache)).length
+  };
+}
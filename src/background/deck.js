@@ -0,0 +1,184 @@
+/**
+ * Explain Anything - Vocabulary Deck
+ * Flashcards saved from translations, scheduled with an SM-2 style algorithm
+ */
+
+const DECK_STORAGE_KEY = 'deck';
+
+// Cards are read-modify-write, so concurrent changes are applied one at a time
+let pendingWrite = Promise.resolve();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards answered "Again" come back within the same session
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// Review buttons mapped to SM-2 response quality (0-5)
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+/**
+ * Get all cards, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getDeck() {
+  const result = await chrome.storage.local.get({ [DECK_STORAGE_KEY]: [] });
+  return Array.isArray(result[DECK_STORAGE_KEY]) ? result[DECK_STORAGE_KEY] : [];
+}
+
+/**
+ * Write all cards
+ * @param {Array<Object>} cards - Cards, newest first
+ * @returns {Promise<void>}
+ */
+async function writeDeck(cards) {
+  await chrome.storage.local.set({ [DECK_STORAGE_KEY]: cards });
+}
+
+/**
+ * Run a change to the deck once the changes before it are done
+ * @param {Function} change - Async function reading and writing the cards
+ * @returns {Promise<*>} What the change returns; a failed change rejects here without stopping the queue
+ */
+function queueWrite(change) {
+  const result = pendingWrite.then(change);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Normalize a phrase for duplicate detection
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePhrase(text) {
+  return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Add a card unless the same phrase is already saved for the language and translate tab
+ * New cards are due immediately
+ * @param {Object} fields - front, back, context, language, mode, pageTitle, pageUrl
+ * @returns {Promise<{card: Object, duplicate: boolean}>}
+ */
+export function addDeckCard(fields) {
+  return queueWrite(async () => {
+    const cards = await getDeck();
+    const front = normalizePhrase(fields.front);
+
+    const existing = cards.find(card =>
+      normalizePhrase(card.front) === front &&
+      card.language === fields.language &&
+      card.mode === fields.mode
+    );
+    if (existing) {
+      return { card: existing, duplicate: true };
+    }
+
+    const now = Date.now();
+    const card = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ...fields,
+      createdAt: now,
+      due: now,
+      interval: 0,
+      repetitions: 0,
+      easeFactor: DEFAULT_EASE_FACTOR,
+      lapses: 0,
+      lastReviewedAt: null
+    };
+
+    cards.unshift(card);
+    await writeDeck(cards);
+    return { card, duplicate: false };
+  });
+}
+
+/**
+ * Compute the next schedule for a card (SM-2)
+ * Failed cards restart their repetitions and come back after a short delay,
+ * passed cards grow their interval by the ease factor
+ * @param {Object} card - Card with interval (days), repetitions and easeFactor
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @param {number} [now] - Review time
+ * @returns {{interval: number, repetitions: number, easeFactor: number, lapses: number, due: number, lastReviewedAt: number}}
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+  const quality = REVIEW_GRADES[grade];
+  if (quality === undefined) {
+    throw new Error(`Unknown review grade: ${grade}`);
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    (card.easeFactor || DEFAULT_EASE_FACTOR) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    return {
+      interval: 0,
+      repetitions: 0,
+      easeFactor,
+      lapses: (card.lapses || 0) + (card.repetitions > 0 ? 1 : 0),
+      due: now + RELEARN_DELAY_MS,
+      lastReviewedAt: now
+    };
+  }
+
+  const repetitions = (card.repetitions || 0) + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(card.interval * easeFactor);
+  }
+
+  return {
+    interval,
+    repetitions,
+    easeFactor,
+    lapses: card.lapses || 0,
+    due: now + interval * DAY_MS,
+    lastReviewedAt: now
+  };
+}
+
+/**
+ * Record a review and reschedule the card
+ * @param {string} id - Card ID
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<Object|null>} Updated card, null if it no longer exists
+ */
+export function reviewDeckCard(id, grade) {
+  return queueWrite(async () => {
+    const cards = await getDeck();
+    const index = cards.findIndex(card => card.id === id);
+    if (index === -1) return null;
+
+    cards[index] = { ...cards[index], ...scheduleReview(cards[index], grade) };
+    await writeDeck(cards);
+    return cards[index];
+  });
+}
+
+/**
+ * Delete cards by ID
+ * @param {Array<string>} ids - Card IDs
+ * @returns {Promise<void>}
+ */
+export function deleteDeckCards(ids) {
+  const toDelete = new Set(ids);
+  return queueWrite(async () => {
+    const cards = await getDeck();
+    await writeDeck(cards.filter(card => !toDelete.has(card.id)));
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Explain Anything - Provider Fallback Chain
+ * When the configured provider fails with a retryable error, the next entry of
+ * settings.fallbackChain is tried (e.g. OpenRouter → Gemini → local Ollama).
+ *
+ * Chain entries are {provider, model, enabled}; an empty model uses the
+ * provider's default.
+ */
+
+// Worth trying elsewhere: unreachable, out of credits, timeout, rate limited (plus any 5xx)
+const RETRYABLE_STATUSES = [0, 402, 408, 429];
+
+/**
+ * Check whether a failed provider result should fall through to the next entry
+ * @param {{error: string, status?: number}} result - Provider result
+ * @returns {boolean}
+ */
+export function isRetryableError(result) {
+  const status = result?.status;
+  if (typeof status !== 'number') return false;
+
+  return RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+/**
+ * List the provider/model pairs to try, the configured one first
+ * Disabled entries and repeats of an earlier pair are skipped
+ * @param {Object} settings - Effective settings
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export function getFallbackAttempts(settings) {
+  const attempts = [{ provider: settings.provider, model: settings.model || '' }];
+
+  for (const entry of settings.fallbackChain || []) {
+    if (!entry?.provider || entry.enabled === false) continue;
+
+    const model = entry.model || '';
+    if (attempts.some(attempt => attempt.provider === entry.provider && attempt.model === model)) continue;
+
+    attempts.push({ provider: entry.provider, model });
+  }
+
+  return attempts;
+}
@@ -0,0 +1,23 @@
+/**
+ * Explain Anything - Frame Relays
+ * A selection made inside a frame is shown by the top frame, so the requests it leads to
+ * are sent from the top frame. The relayed selection keeps the frame's own title and
+ * address, which site rules, history and the deck go by.
+ */
+
+/**
+ * Prepare a frame's relay for the top frame of its tab
+ * The address comes from Chrome rather than the frame's message, so it is always the
+ * address of the frame that relayed the selection
+ * @param {Object} relay - {kind, context, relayId, ...} from relayToTopFrame
+ * @param {{url?: string}} sender - Sender of the relay
+ * @returns {Object} Relay to pass on
+ */
+export function prepareFrameRelay(relay, sender) {
+  if (!relay?.context || !sender?.url) return relay;
+
+  return {
+    ...relay,
+    context: { ...relay.context, pageUrl: sender.url }
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Explain Anything - Response History
+ * Persists completed responses in chrome.storage.local, newest first
+ */
+
+const HISTORY_STORAGE_KEY = 'history';
+
+// Entries are read-modify-write, so concurrent changes are applied one at a time
+let pendingWrite = Promise.resolve();
+
+/**
+ * Run a change to the history once the changes before it are done
+ * @param {Function} change - Async function reading and writing the entries
+ * @returns {Promise<*>} What the change returns; a failed change rejects here without stopping the queue
+ */
+function queueWrite(change) {
+  const result = pendingWrite.then(change);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Create a unique history entry ID
+ * @returns {string}
+ */
+export function createHistoryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get all history entries, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getHistory() {
+  const result = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return Array.isArray(result[HISTORY_STORAGE_KEY]) ? result[HISTORY_STORAGE_KEY] : [];
+}
+
+/**
+ * Write all history entries
+ * @param {Array<Object>} entries - Entries, newest first
+ * @returns {Promise<void>}
+ */
+async function writeHistory(entries) {
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+}
+
+/**
+ * Add a completed response to the history
+ * @param {Object} entry - Entry with id, selection, page, action, model and response content
+ * @param {Object} options
+ * @param {number} options.maxEntries - Oldest entries beyond this are dropped
+ * @returns {Promise<void>}
+ */
+export function addHistoryEntry(entry, { maxEntries }) {
+  return queueWrite(async () => {
+    const entries = await getHistory();
+    entries.unshift({ createdAt: Date.now(), thread: [], ...entry });
+    await writeHistory(entries.slice(0, maxEntries));
+  });
+}
+
+/**
+ * Replace the follow-up thread of an entry
+ * @param {string} id - Entry ID
+ * @param {Array<{role: string, content: string}>} thread - Follow-up questions and answers
+ * @returns {Promise<void>}
+ */
+export function updateHistoryThread(id, thread) {
+  return queueWrite(async () => {
+    const entries = await getHistory();
+    const entry = entries.find(item => item.id === id);
+    if (!entry) return;
+
+    entry.thread = thread;
+    await writeHistory(entries);
+  });
+}
+
+/**
+ * Replace the response of an entry, e.g. after a cut-off answer was continued
+ * @param {string} id - Entry ID
+ * @param {string} content - Complete response text
+ * @returns {Promise<void>}
+ */
+export function updateHistoryContent(id, content) {
+  return queueWrite(async () => {
+    const entries = await getHistory();
+    const entry = entries.find(item => item.id === id);
+    if (!entry) return;
+
+    entry.content = content;
+    await writeHistory(entries);
+  });
+}
+
+/**
+ * Get a single entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getHistoryEntry(id) {
+  const entries = await getHistory();
+  return entries.find(item => item.id === id) || null;
+}
+
+/**
+ * Delete entries by ID
+ * @param {Array<string>} ids - Entry IDs
+ * @returns {Promise<void>}
+ */
+export function deleteHistoryEntries(ids) {
+  const toDelete = new Set(ids);
+  return queueWrite(async () => {
+    const entries = await getHistory();
+    await writeHistory(entries.filter(item => !toDelete.has(item.id)));
+  });
+}
+
+/**
+ * Delete every entry
+ * @returns {Promise<void>}
+ */
+export function clearHistory() {
+  return queueWrite(() => chrome.storage.local.remove(HISTORY_STORAGE_KEY));
+}
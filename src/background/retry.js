@@ -0,0 +1,120 @@
+/**
+ * Explain Anything - Retry with Backoff
+ * Retries rate-limited and transient provider failures with jittered exponential
+ * backoff. When the provider says how long to wait (Retry-After, Gemini RetryInfo)
+ * that wait is used instead.
+ */
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Longer waits than this are not worth keeping the modal on a spinner for
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+// Upper bound for the attempts setting
+export const MAX_ATTEMPTS = 6;
+
+// Failures that may pass on their own: unreachable, timeout, rate limited (plus any 5xx)
+const TRANSIENT_STATUSES = [0, 408, 429];
+
+/**
+ * Check whether a failed provider result is worth retrying on the same provider
+ * Out of credits (402) or a bad key are not, they would fail again
+ * @param {{error: string, status?: number}} result - Provider result
+ * @returns {boolean}
+ */
+export function isTransientError(result) {
+  const status = result?.status;
+  if (typeof status !== 'number') return false;
+
+  return TRANSIENT_STATUSES.includes(status) || status >= 500;
+}
+
+/**
+ * Get the wait before the next attempt
+ * @param {{retryAfter?: number|null}} result - Failed provider result
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @returns {number|null} Milliseconds, null when the provider asks to wait too long
+ */
+export function getRetryDelay(result, attempt) {
+  if (result?.retryAfter) {
+    return result.retryAfter <= MAX_RETRY_AFTER_SECONDS ? result.retryAfter * 1000 : null;
+  }
+
+  // Exponential ceiling with "equal jitter": half fixed, half random
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Sleep, waking up early when the signal aborts
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Wait, reporting the whole seconds left once per second
+ * @param {number} ms - Milliseconds to wait
+ * @param {Function} [onTick] - Called with the seconds left
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @returns {Promise<void>}
+ */
+async function waitWithCountdown(ms, onTick, signal) {
+  let remaining = ms;
+
+  while (remaining > 0 && !signal?.aborted) {
+    onTick?.(Math.ceil(remaining / 1000));
+    // Align the ticks to whole seconds left
+    const step = remaining % 1000 || 1000;
+    await sleep(step, signal);
+    remaining -= step;
+  }
+}
+
+/**
+ * Run a provider request, retrying transient failures
+ * @param {Function} run - () => Promise<{content}|{error, status, retryAfter}>
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Attempts including the first one
+ * @param {Function} [options.canRetry] - () => boolean, e.g. false once a stream has started
+ * @param {Function} [options.onWait] - Called every second while waiting with
+ *   {retryIn, attempt, maxAttempts, status}; attempt is the one that failed
+ * @param {AbortSignal} [options.signal] - No more attempts once aborted
+ * @returns {Promise<Object>} Result of the last attempt
+ */
+export async function withRetry(run, { maxAttempts, canRetry, onWait, signal }) {
+  const attempts = Math.min(Math.max(1, Math.floor(maxAttempts) || 1), MAX_ATTEMPTS);
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await run();
+
+    if (!result?.error || attempt === attempts || !isTransientError(result)) break;
+    if (signal?.aborted || (canRetry && !canRetry())) break;
+
+    const delay = getRetryDelay(result, attempt);
+    if (delay === null) break;
+
+    console.warn(`[Retry] Attempt ${attempt} of ${attempts} failed, retrying in ${Math.ceil(delay / 1000)}s:`, result.error);
+    await waitWithCountdown(delay, (retryIn) => {
+      onWait?.({ retryIn, attempt, maxAttempts: attempts, status: result.status });
+    }, signal);
+
+    if (signal?.aborted) break;
+  }
+
+  return result;
+}
@@ -3,8 +3,16 @@
  * Routes requests to the appropriate LLM provider
  */
 
-import { sendOpenRouterRequest, testOpenRouterConnection, fetchOpenRouterModels, getOpenRouterModels } from '../providers/openrouter.js';
-import { sendGeminiRequest, testGeminiConnection, fetchGeminiModels, getGeminiModels } from '../providers/gemini.js';
+import { getProvider, getProviderCredentials, getProviderSettingsDefaults, describeProviders } from '../providers/registry.js';
+import { findSiteRule, applySiteRule } from './site-rules.js';
+import { prepareFrameRelay } from './frame-relay.js';
+import { getCacheKey, getCachedResponse, setCachedResponse, clearResponseCache, getCacheStats } from './cache.js';
+import { createHistoryId, getHistory, getHistoryEntry, addHistoryEntry, updateHistoryThread, updateHistoryContent, deleteHistoryEntries, clearHistory } from './history.js';
+import { getDeck, addDeckCard, reviewDeckCard, deleteDeckCards } from './deck.js';
+import { isRetryableError, getFallbackAttempts } from './fallback.js';
+import { withRetry } from './retry.js';
+import { calculateCost, recordUsage, getUsage, clearUsage } from './usage.js';
+import { applyMonthlyBudget, estimateRequestCost, estimateUsage, getMonthlySpend, recordSpend } from './budget.js';
 
 // Default settings
 const DEFAULT_SETTINGS = {
@@ -18,37 +26,103 @@ When explaining:
 - Provide context when helpful
 - Format your response with markdown for readability
 - Keep explanations focused and relevant`,
-  openrouterApiKey: '',
-  geminiApiKey: ''
+  ...getProviderSettingsDefaults(),
+  customActions: [],
+  generationParams: {},
+  siteRules: [],
+  fallbackChain: [],
+  retryMaxAttempts: 3,
+  budgetMonthlyLimit: 0,
+  budgetAction: 'block',
+  budgetDowngradeProvider: 'openrouter',
+  budgetDowngradeModel: '',
+  costConfirmThreshold: 0.1,
+  contextBeforeChars: 400,
+  contextAfterChars: 200,
+  strictPrivacy: false,
+  showImages: false,
+  cacheEnabled: true,
+  cacheMaxEntries: 200,
+  cacheTtlHours: 168,
+  historyEnabled: true,
+  historyMaxEntries: 500
 };
 
-// Provider configurations
-const PROVIDERS = {
-  openrouter: {
-    name: 'OpenRouter',
-    requiresApiKey: true,
-    send: sendOpenRouterRequest,
-    fetchModels: fetchOpenRouterModels,
-    getModels: getOpenRouterModels
-  },
-  gemini: {
-    name: 'Gemini',
-    requiresApiKey: true,
-    send: sendGeminiRequest,
-    fetchModels: fetchGeminiModels,
-    getModels: getGeminiModels
-  }
+const TRANSLATOR_SYSTEM_PROMPT = "You are a friendly translator and language coach. Keep responses concise, accurate, and follow the requested format exactly.";
+
+// Used when a custom action leaves its user template empty
+const DEFAULT_ACTION_TEMPLATE = `Page: "{{pageTitle}}"
+
+Selected text:
+"{{text}}"
+
+Respond ONLY in {{language}}.`;
+
+// Translate modes offered in the context menu, mirrors TRANSLATE_TABS in the content script
+const TRANSLATE_MODES = [
+  { id: 'translation', label: 'Translation' },
+  { id: 'idioms', label: 'Idioms & Nuance' },
+  { id: 'similar', label: 'Similar Phrases' },
+  { id: 'learning', label: 'Study Notes' }
+];
+
+// Generation parameters of the built-in actions, keyed like settings.generationParams:
+// the action ID, or "translate:<mode>" for the translate tabs
+const DEFAULT_GENERATION_PARAMS = {
+  explain: { temperature: 0.7, maxTokens: 2048 },
+  'translate:translation': { temperature: 0.3, maxTokens: 1024 },
+  'translate:idioms': { temperature: 0.7, maxTokens: 2048 },
+  'translate:similar': { temperature: 0.7, maxTokens: 2048 },
+  'translate:learning': { temperature: 0.5, maxTokens: 4096 }
 };
 
-const TRANSLATOR_SYSTEM_PROMPT = "You are a friendly translator and language coach. Keep responses concise, accurate, and follow the requested format exactly.";
+// Used for custom actions
+const DEFAULT_CUSTOM_GENERATION_PARAMS = { temperature: 0.7, maxTokens: 2048 };
+
+// The OpenAI API takes at most four stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+// Follows a cut-off answer so the model picks it up mid-sentence; the content script appends
+// the new text directly to the partial answer
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue it exactly where it stopped, mid-sentence if needed. Do not repeat anything, do not add an introduction.';
+
+// Legacy stream message types mapped to their built-in action
+const STREAM_ACTION_TYPES = {
+  EXPLAIN_TEXT_STREAM: 'explain',
+  TRANSLATE_TEXT_STREAM: 'translate'
+};
 
 /**
  * Get current settings from storage
+ * @param {string} [pageUrl] - Page the request comes from; applies the matching site rule
  * @returns {Promise<Object>}
  */
-async function getSettings() {
+async function getSettings(pageUrl) {
   const result = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-  return { ...DEFAULT_SETTINGS, ...result };
+  const settings = { ...DEFAULT_SETTINGS, ...result };
+
+  if (!pageUrl) {
+    return settings;
+  }
+
+  return applySiteRule(settings, findSiteRule(settings.siteRules, pageUrl));
+}
+
+/**
+ * Describe the page and the text around the selection, one line per known detail
+ * @param {Object} payload - Message payload
+ * @returns {Array<string>}
+ */
+function buildContextLines({ pageTitle, pageUrl, pageDescription, pageLanguage, headings, contextBefore, contextAfter }) {
+  const lines = [];
+  if (pageTitle) lines.push(`Page: "${pageTitle}"`);
+  if (pageUrl) lines.push(`URL: ${pageUrl}`);
+  if (pageDescription) lines.push(`Page description: "${pageDescription}"`);
+  if (pageLanguage) lines.push(`Page language: ${pageLanguage}`);
+  if (Array.isArray(headings) && headings.length) lines.push(`Section: ${headings.join(' > ')}`);
+  if (contextBefore) lines.push(`Preceding text: "...${contextBefore}"`);
+  if (contextAfter) lines.push(`Following text: "${contextAfter}..."`);
+  return lines;
 }
 
 /**
@@ -57,19 +131,11 @@ async function getSettings() {
  * @returns {string}
  */
 function buildUserMessage(payload, language) {
-  const { text, contextBefore, pageTitle, pageUrl } = payload;
+  const { text } = payload;
+  const contextLines = buildContextLines(payload);
   
-  let message = '';
-  
-  // Add page context
-  if (pageTitle) {
-    message += `Page: "${pageTitle}"\n`;
-  }
-  
-  // Add surrounding context
-  if (contextBefore) {
-    message += `\nPreceding text: "...${contextBefore}"\n`;
-  }
+  // Add page and surrounding context
+  let message = contextLines.length ? `${contextLines.join('\n')}\n` : '';
   
   // Add the selected text
   message += `\n**Selected text to explain:**\n"${text}"`;
@@ -87,12 +153,9 @@ function buildUserMessage(payload, language) {
  * @returns {string}
  */
 function buildTranslateUserMessage(payload, language) {
-  const { text, contextBefore, pageTitle, pageUrl, mode = 'translation' } = payload;
+  const { text, mode = 'translation' } = payload;
 
-  const contextLines = [];
-  if (pageTitle) contextLines.push(`Page: "${pageTitle}"`);
-  if (pageUrl) contextLines.push(`URL: ${pageUrl}`);
-  if (contextBefore) contextLines.push(`Preceding text: "...${contextBefore}"`);
+  const contextLines = buildContextLines(payload);
 
   const contextBlock = contextLines.length
     ? `
@@ -142,41 +205,393 @@ Respond with ONLY the translated text in ${language}. No labels, no quotes, no M
   }
 }
 
+/**
+ * Fill {{variable}} placeholders in a custom action template
+ * Unknown variables are left untouched so typos are visible in the prompt
+ * @param {string} template - User template
+ * @param {Object} variables - Values by variable name
+ * @returns {string}
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(variables, name)
+      ? String(variables[name] ?? '')
+      : match;
+  });
+}
+
+/**
+ * Resolve the system prompt and user message for an action
+ * @param {string} actionId - 'explain', 'translate' or a custom action ID
+ * @param {Object} payload - Request payload
+ * @param {Object} settings - Current settings
+ * @returns {{systemPrompt: string, userMessage: string} | null} Null for unknown or disabled actions
+ */
+function buildActionPrompts(actionId, payload, settings) {
+  if (actionId === 'explain') {
+    return {
+      systemPrompt: settings.systemPrompt,
+      userMessage: buildUserMessage(payload, settings.language)
+    };
+  }
+
+  if (actionId === 'translate') {
+    return {
+      systemPrompt: TRANSLATOR_SYSTEM_PROMPT,
+      userMessage: buildTranslateUserMessage(payload, settings.language)
+    };
+  }
+
+  const action = (settings.customActions || []).find(item => item.id === actionId && item.enabled !== false);
+  if (!action) {
+    return null;
+  }
+
+  const variables = {
+    text: payload.text || '',
+    contextBefore: payload.contextBefore || '',
+    contextAfter: payload.contextAfter || '',
+    headings: Array.isArray(payload.headings) ? payload.headings.join(' > ') : '',
+    pageTitle: payload.pageTitle || '',
+    pageUrl: payload.pageUrl || '',
+    pageDescription: payload.pageDescription || '',
+    pageLanguage: payload.pageLanguage || '',
+    language: settings.language
+  };
+
+  return {
+    systemPrompt: action.systemPrompt?.trim() || settings.systemPrompt,
+    userMessage: renderTemplate(action.userTemplate?.trim() || DEFAULT_ACTION_TEMPLATE, variables)
+  };
+}
+
+/**
+ * Get the generation parameters of an action
+ * Values set in settings.generationParams override the action's defaults; invalid ones are ignored
+ * @param {string} actionId - 'explain', 'translate' or a custom action ID
+ * @param {string|null} mode - Translate tab
+ * @param {Object} settings - Current settings
+ * @returns {{temperature: number, maxTokens: number, topP?: number, stop?: Array<string>}}
+ */
+function getRequestParams(actionId, mode, settings) {
+  const key = actionId === 'translate' ? `translate:${mode || 'translation'}` : actionId;
+  const params = { ...(DEFAULT_GENERATION_PARAMS[key] || DEFAULT_CUSTOM_GENERATION_PARAMS) };
+  const custom = settings.generationParams?.[key] || {};
+
+  if (typeof custom.temperature === 'number' && custom.temperature >= 0 && custom.temperature <= 2) {
+    params.temperature = custom.temperature;
+  }
+  if (Number.isInteger(custom.maxTokens) && custom.maxTokens > 0) {
+    params.maxTokens = custom.maxTokens;
+  }
+  if (typeof custom.topP === 'number' && custom.topP > 0 && custom.topP <= 1) {
+    params.topP = custom.topP;
+  }
+  if (Array.isArray(custom.stop)) {
+    const stop = custom.stop.filter(sequence => typeof sequence === 'string' && sequence).slice(0, MAX_STOP_SEQUENCES);
+    if (stop.length) {
+      params.stop = stop;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Get the display name and icon of an action, for history entries
+ * @param {string} actionId - 'explain', 'translate' or a custom action ID
+ * @param {Object} settings - Current settings
+ * @returns {{name: string, icon: string}}
+ */
+function getActionInfo(actionId, settings) {
+  if (actionId === 'explain') return { name: 'Explain', icon: '' };
+  if (actionId === 'translate') return { name: 'Translate', icon: '' };
+
+  const action = (settings.customActions || []).find(item => item.id === actionId);
+  return { name: action?.name || actionId, icon: action?.icon || '' };
+}
+
+/**
+ * Save a completed response to the history, or the latest follow-up turn to its entry
+ * Continuations replace the cut-off answer they complete
+ * @param {Object} params
+ * @param {string} params.historyId - Entry ID
+ * @param {string} params.actionId - Action that produced the response
+ * @param {Object} params.payload - Stream request payload
+ * @param {Object} params.settings - Effective settings for the request
+ * @param {string} params.content - Response text, including the continued part for continuations
+ * @param {boolean} params.cached - Whether the response came from the cache
+ * @returns {Promise<void>}
+ */
+async function recordHistory({ historyId, actionId, payload, settings, content, cached }) {
+  if (payload.continuation && payload.followUps?.length === 1) {
+    await updateHistoryContent(historyId, content);
+    return;
+  }
+
+  if (payload.followUps?.length) {
+    // followUps starts with the first answer, which the entry already holds as its content;
+    // continuations end with the cut-off answer, which the new content replaces
+    const turns = payload.continuation ? payload.followUps.slice(1, -1) : payload.followUps.slice(1);
+
+    await updateHistoryThread(historyId, [
+      ...turns.map(({ role, content: text }) => ({ role, content: text })),
+      { role: 'assistant', content }
+    ]);
+    return;
+  }
+
+  const { name, icon } = getActionInfo(actionId, settings);
+
+  await addHistoryEntry({
+    id: historyId,
+    text: payload.text || '',
+    contextBefore: payload.contextBefore || '',
+    contextAfter: payload.contextAfter || '',
+    headings: Array.isArray(payload.headings) ? payload.headings : [],
+    pageTitle: payload.pageTitle || '',
+    pageUrl: payload.pageUrl || '',
+    pageDescription: payload.pageDescription || '',
+    pageLanguage: payload.pageLanguage || '',
+    actionId,
+    actionName: name,
+    actionIcon: icon,
+    mode: payload.mode || null,
+    provider: settings.provider,
+    model: settings.model,
+    language: settings.language,
+    content,
+    cached: !!cached
+  }, { maxEntries: settings.historyMaxEntries });
+}
+
+/**
+ * Build the request for a provider from the effective settings
+ * Providers without system prompt support get it prepended to the first user turn
+ * @param {Object} provider - Registered provider
+ * @param {Object} settings - Effective settings
+ * @param {Object} params
+ * @param {string} params.systemPrompt - System prompt
+ * @param {Array<{role: string, content: string}>} params.messages - Conversation
+ * @param {Object} [params.requestParams] - Generation parameters from getRequestParams
+ * @returns {Object} Provider request parameters
+ */
+function buildProviderRequest(provider, settings, { systemPrompt, messages, requestParams }) {
+  const request = {
+    credentials: getProviderCredentials(provider, settings),
+    model: settings.model,
+    systemPrompt,
+    messages,
+    requestParams
+  };
+
+  if (systemPrompt && !provider.capabilities.systemPrompt) {
+    const [first, ...rest] = messages;
+    request.systemPrompt = '';
+    request.messages = [{ ...first, content: `${systemPrompt}\n\n${first.content}` }, ...rest];
+  }
+
+  return request;
+}
+
+/**
+ * Send a request to the configured provider, moving down settings.fallbackChain
+ * while attempts fail with a retryable error before streaming anything.
+ * Transient failures are first retried on the same provider, up to settings.retryMaxAttempts.
+ * @param {Object} settings - Effective settings
+ * @param {Object} prompt
+ * @param {string} prompt.systemPrompt - System prompt
+ * @param {Array<{role: string, content: string}>} prompt.messages - Conversation
+ * @param {Object} [prompt.requestParams] - Generation parameters of the action
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onChunk] - Streams the response when given
+ * @param {Function} [callbacks.onRetryWait] - Called every second while waiting to retry
+ * @param {AbortSignal} [callbacks.signal] - Cancels the request; no retries or fallbacks follow
+ * @returns {Promise<{result: Object, settings: Object, failures: Array<{provider: string, model: string, error: string}>}>}
+ *   settings carry the provider and model of the attempt that produced the result
+ */
+async function requestWithFallback(settings, prompt, { onChunk, onRetryWait, signal } = {}) {
+  const attempts = getFallbackAttempts(settings);
+  const failures = [];
+  let result;
+  let attemptSettings = settings;
+
+  for (const [index, attempt] of attempts.entries()) {
+    const provider = getProvider(attempt.provider);
+    attemptSettings = { ...settings, provider: attempt.provider, model: attempt.model };
+
+    let hasStreamed = false;
+    if (!provider) {
+      result = { error: `Unknown provider: ${attempt.provider}` };
+    } else {
+      const request = { ...buildProviderRequest(provider, attemptSettings, prompt), signal };
+      const run = onChunk
+        ? () => provider.stream(request, (chunk) => {
+            hasStreamed = true;
+            onChunk(chunk);
+          })
+        : () => provider.send(request);
+
+      result = await withRetry(run, {
+        maxAttempts: settings.retryMaxAttempts,
+        canRetry: () => !hasStreamed,
+        onWait: onRetryWait && ((wait) => onRetryWait({ ...wait, ...describeAttempt(attempt) })),
+        signal
+      });
+    }
+
+    const isLast = index === attempts.length - 1;
+    if (!result?.error || isLast || hasStreamed || signal?.aborted || (provider && !isRetryableError(result))) {
+      break;
+    }
+
+    console.warn(`[Fallback] ${attempt.provider} (${attempt.model || 'default model'}) failed, trying the next provider:`, result.error);
+    failures.push({ provider: attempt.provider, model: attempt.model, error: result.error });
+  }
+
+  return { result, settings: attemptSettings, failures };
+}
+
+/**
+ * Describe a provider and model for the content script
+ * @param {{provider: string, model: string}} attempt
+ * @returns {{providerId: string, providerName: string, model: string}}
+ */
+function describeAttempt({ provider, model }) {
+  return {
+    providerId: provider,
+    providerName: getProvider(provider)?.name || provider,
+    model
+  };
+}
+
+/**
+ * Look up the price of a model in the provider's model list
+ * @param {Object} provider - Registered provider
+ * @param {Object} settings - Settings of the attempt that answered
+ * @returns {Promise<{prompt: number, completion: number}|null>} USD per million tokens
+ */
+async function getModelPricing(provider, settings) {
+  try {
+    // Cached by the provider after the first call
+    const models = await provider.listModels(getProviderCredentials(provider, settings));
+    return models.find(model => model.id === settings.model)?.pricing || null;
+  } catch (error) {
+    console.warn('Could not look up model pricing:', error);
+    return null;
+  }
+}
+
+/**
+ * Apply the monthly budget to a request's settings
+ * @param {Object} settings - Effective settings
+ * @returns {Promise<{settings: Object, downgraded?: boolean} | {error: string}>}
+ */
+async function enforceBudget(settings) {
+  if (!(settings.budgetMonthlyLimit > 0)) {
+    return { settings };
+  }
+  return applyMonthlyBudget(settings, await getMonthlySpend());
+}
+
+/**
+ * Estimate the cost of a request with the configured provider and model
+ * @param {Object} settings - Settings the request will be sent with
+ * @param {Object} prompt - {systemPrompt, messages}
+ * @returns {Promise<{promptTokens: number, completionTokens: number, cost: number}|null>}
+ *   null when the model's price is unknown
+ */
+async function estimateCost(settings, prompt) {
+  const provider = getProvider(settings.provider);
+  if (!provider) return null;
+
+  const pricing = await getModelPricing(provider, settings);
+  return pricing ? estimateRequestCost(prompt, pricing) : null;
+}
+
+/**
+ * Price a completed request and add it to the usage totals
+ * @param {Object} settings - Settings of the attempt that answered
+ * @param {Object} result - Provider result
+ * @param {string} actionId - Action of the request
+ * @returns {Promise<{promptTokens: number, completionTokens: number, cost: number|null}|null>}
+ *   null when the provider did not report usage
+ */
+async function trackUsage(settings, result, actionId) {
+  if (!result?.usage) return null;
+
+  const provider = getProvider(settings.provider);
+  const pricing = typeof result.usage.cost === 'number' ? null : await getModelPricing(provider, settings);
+  const usage = {
+    promptTokens: result.usage.promptTokens,
+    completionTokens: result.usage.completionTokens,
+    cost: calculateCost(result.usage, pricing)
+  };
+
+  await recordUsage({
+    provider: settings.provider,
+    model: settings.model,
+    actionId,
+    actionName: getActionInfo(actionId, settings).name,
+    ...usage
+  });
+  if (usage.cost !== null) {
+    await recordSpend(usage.cost);
+  }
+
+  return usage;
+}
+
+/**
+ * Build the conversation history for a request
+ * The first user turn carries the selection and page context, follow-up turns
+ * are appended as sent by the content script
+ * @param {string} userMessage - Initial user message
+ * @param {Array<{role: string, content: string}>} [followUps] - Prior assistant turns and follow-up questions
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildConversation(userMessage, followUps = []) {
+  const history = Array.isArray(followUps)
+    ? followUps.filter(turn =>
+        (turn?.role === 'user' || turn?.role === 'assistant') &&
+        typeof turn.content === 'string' &&
+        turn.content.trim()
+      )
+    : [];
+
+  return [
+    { role: 'user', content: userMessage },
+    ...history.map(turn => ({ role: turn.role, content: turn.content }))
+  ];
+}
+
 /**
  * Handle translation request
  * @param {Object} payload - Request payload
+ * @param {string} pageUrl - Page URL, used to resolve the site rule
  * @param {Function} sendResponse - Response callback
  */
-async function handleTranslateRequest(payload, sendResponse) {
+async function handleTranslateRequest(payload, pageUrl, sendResponse) {
   try {
-    const settings = await getSettings();
-    const provider = PROVIDERS[settings.provider];
-    
-    if (!provider) {
-      sendResponse({ error: `Unknown provider: ${settings.provider}` });
-      return;
-    }
+    const settings = await getSettings(pageUrl);
 
     // Build the user message for translation
     const userMessage = buildTranslateUserMessage(payload, settings.language);
-    
-    // Build request parameters
-    const requestParams = {
-      model: settings.model,
-      // Use a specific system prompt for translation if needed, or default
-      systemPrompt: TRANSLATOR_SYSTEM_PROMPT,
-      userMessage
-    };
-    
-    // Add API key for providers that need it
-    if (settings.provider === 'openrouter') {
-      requestParams.apiKey = settings.openrouterApiKey;
-    } else if (settings.provider === 'gemini') {
-      requestParams.apiKey = settings.geminiApiKey;
+
+    const budget = await enforceBudget(settings);
+    if (budget.error) {
+      sendResponse({ error: budget.error });
+      return;
     }
 
-    // Send request to provider
-    const result = await provider.send(requestParams);
+    // Send request to the provider, falling back if configured
+    const { result, settings: answerSettings } = await requestWithFallback(budget.settings, {
+      // Use a specific system prompt for translation if needed, or default
+      systemPrompt: TRANSLATOR_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: userMessage }],
+      requestParams: getRequestParams('translate', payload.mode, settings)
+    });
+    await trackUsage(answerSettings, result, 'translate');
     sendResponse(result);
   } catch (error) {
     console.error('Translate request failed:', error);
@@ -187,37 +602,29 @@ async function handleTranslateRequest(payload, sendResponse) {
 /**
  * Handle explanation request
  * @param {Object} payload - Request payload
+ * @param {string} pageUrl - Page URL, used to resolve the site rule
  * @param {Function} sendResponse - Response callback
  */
-async function handleExplainRequest(payload, sendResponse) {
+async function handleExplainRequest(payload, pageUrl, sendResponse) {
   try {
-    const settings = await getSettings();
-    const provider = PROVIDERS[settings.provider];
-    
-    if (!provider) {
-      sendResponse({ error: `Unknown provider: ${settings.provider}` });
-      return;
-    }
+    const settings = await getSettings(pageUrl);
 
     // Build the user message with context
     const userMessage = buildUserMessage(payload, settings.language);
-    
-    // Build request parameters
-    const requestParams = {
-      model: settings.model,
-      systemPrompt: settings.systemPrompt,
-      userMessage
-    };
-    
-    // Add API key for providers that need it
-    if (settings.provider === 'openrouter') {
-      requestParams.apiKey = settings.openrouterApiKey;
-    } else if (settings.provider === 'gemini') {
-      requestParams.apiKey = settings.geminiApiKey;
+
+    const budget = await enforceBudget(settings);
+    if (budget.error) {
+      sendResponse({ error: budget.error });
+      return;
     }
 
-    // Send request to provider
-    const result = await provider.send(requestParams);
+    // Send request to the provider, falling back if configured
+    const { result, settings: answerSettings } = await requestWithFallback(budget.settings, {
+      systemPrompt: settings.systemPrompt,
+      messages: [{ role: 'user', content: userMessage }],
+      requestParams: getRequestParams('explain', null, settings)
+    });
+    await trackUsage(answerSettings, result, 'explain');
     sendResponse(result);
   } catch (error) {
     console.error('Explain request failed:', error);
@@ -230,64 +637,173 @@ async function handleExplainRequest(payload, sendResponse) {
  * @param {chrome.runtime.Port} port 
  */
 async function handleStreamRequest(port) {
+  // Aborts the running provider request when the modal stops it or goes away
+  let activeController = null;
+  let isDisconnected = false;
+
+  port.onDisconnect.addListener(() => {
+    isDisconnected = true;
+    activeController?.abort();
+  });
+
+  // Posting to a disconnected port throws, nobody is listening anymore
+  const post = (message) => {
+    if (!isDisconnected) {
+      port.postMessage(message);
+    }
+  };
+
   port.onMessage.addListener(async (message) => {
     const { type, payload } = message;
+
+    if (type === 'CANCEL') {
+      activeController?.abort();
+      return;
+    }
     
-    if (type === 'EXPLAIN_TEXT_STREAM' || type === 'TRANSLATE_TEXT_STREAM') {
+    if (type === 'ACTION_TEXT_STREAM' || STREAM_ACTION_TYPES[type]) {
+      const controller = new AbortController();
+      activeController?.abort();
+      activeController = controller;
+
       try {
-        const settings = await getSettings();
-        const provider = PROVIDERS[settings.provider];
-        
-        if (!provider) {
-          port.postMessage({ error: `Unknown provider: ${settings.provider}` });
+        const settings = await getSettings(payload.pageUrl);
+        const actionId = payload.actionId || STREAM_ACTION_TYPES[type];
+        const prompts = buildActionPrompts(actionId, payload, settings);
+
+        if (!prompts) {
+          post({ error: `Unknown action: ${actionId}. It may have been removed or disabled in settings.` });
+          return;
+        }
+
+        const { systemPrompt, userMessage } = prompts;
+        const requestParams = getRequestParams(actionId, payload.mode, settings);
+
+        // Only first answers are cached, follow-ups depend on the whole thread
+        const useCache = settings.cacheEnabled && !payload.followUps?.length;
+        const cacheKey = useCache
+          ? await getCacheKey({
+              text: payload.text,
+              contextBefore: payload.contextBefore,
+              actionId,
+              mode: payload.mode,
+              provider: settings.provider,
+              model: settings.model,
+              language: settings.language,
+              systemPrompt,
+              userMessage,
+              requestParams
+            })
+          : null;
+
+        // Follow-ups extend the entry of their first answer
+        const historyId = settings.historyEnabled
+          ? (payload.followUps?.length ? payload.historyId : createHistoryId())
+          : null;
+        const historyContext = { historyId, actionId, payload, settings };
+
+        if (cacheKey && !payload.regenerate) {
+          const cached = await getCachedResponse(cacheKey, { ttlHours: settings.cacheTtlHours });
+          if (cached) {
+            post({ type: 'CHUNK', content: cached.content, historyId });
+            post({ type: 'DONE', cached: true, cachedAt: cached.createdAt, historyId });
+            if (historyId) {
+              await recordHistory({ ...historyContext, content: cached.content, cached: true });
+            }
+            return;
+          }
+        }
+
+        const budget = await enforceBudget(settings);
+        if (budget.error) {
+          post({ error: budget.error });
           return;
         }
 
-        const isTranslate = type === 'TRANSLATE_TEXT_STREAM';
-        const userMessage = isTranslate 
-          ? buildTranslateUserMessage(payload, settings.language)
-          : buildUserMessage(payload, settings.language);
-        
-        const systemPrompt = isTranslate
-          ? TRANSLATOR_SYSTEM_PROMPT
-          : settings.systemPrompt;
-
-        const requestParams = {
-          model: settings.model,
-          systemPrompt,
-          userMessage
-        };
-        
-        if (settings.provider === 'openrouter') {
-          requestParams.apiKey = settings.openrouterApiKey;
-        } else if (settings.provider === 'gemini') {
-          requestParams.apiKey = settings.geminiApiKey;
+        // Continuations send the cut-off answer as the last assistant turn of followUps
+        const messages = buildConversation(userMessage, payload.followUps);
+        if (payload.continuation) {
+          messages.push({ role: 'user', content: CONTINUE_PROMPT });
+        }
+
+        const prompt = { systemPrompt, messages, requestParams };
+
+        // Ask first when the request looks expensive; the content script sends it again with costConfirmed
+        const threshold = budget.settings.costConfirmThreshold;
+        if (threshold > 0 && !payload.costConfirmed) {
+          const estimate = await estimateCost(budget.settings, prompt);
+          if (estimate && estimate.cost > threshold) {
+            post({ type: 'CONFIRM_COST', estimate, threshold, ...describeAttempt(budget.settings) });
+            return;
+          }
         }
 
-        let hasStreamedContent = false;
+        let streamedContent = '';
 
-        // Send streaming request
-        const result = await provider.send(requestParams, (chunk) => {
-          hasStreamedContent = true;
-          port.postMessage({ type: 'CHUNK', content: chunk });
+        // Send streaming request, falling back if configured
+        const { result, settings: answerSettings, failures } = await requestWithFallback(budget.settings, prompt, {
+          onChunk: (chunk) => {
+            streamedContent += chunk;
+            post({ type: 'CHUNK', content: chunk, historyId });
+          },
+          onRetryWait: (wait) => post({ type: 'STATUS', ...wait }),
+          signal: controller.signal
         });
 
+        // Answers that build on the cut-off one they continue are stored whole
+        const getFullContent = (content) => payload.continuation
+          ? payload.followUps[payload.followUps.length - 1].content + content
+          : content;
+
+        // Cancelled: the content script keeps what it has, which isn't cached. The provider
+        // still bills what it generated, so that is recorded with estimated tokens
+        if (controller.signal.aborted) {
+          if (streamedContent) {
+            await trackUsage(answerSettings, { usage: result?.usage || estimateUsage(prompt, streamedContent) }, actionId);
+            if (historyId) {
+              await recordHistory({ ...historyContext, settings: answerSettings, content: getFullContent(streamedContent), cached: false });
+            }
+          }
+          return;
+        }
+
         if (result?.error) {
-          port.postMessage({ error: result.error });
+          post({ error: result.error });
           return;
         }
 
-        if (!hasStreamedContent && result?.content) {
-          port.postMessage({ type: 'CHUNK', content: result.content });
+        if (!streamedContent && result?.content) {
+          post({ type: 'CHUNK', content: result.content, historyId });
+        }
+
+        const usage = await trackUsage(answerSettings, result, actionId);
+
+        post({
+          type: 'DONE',
+          historyId,
+          usage,
+          answeredBy: describeAttempt(answerSettings),
+          fallbackFrom: failures.map(failure => ({ ...describeAttempt(failure), error: failure.error })),
+          budgetDowngrade: !!budget.downgraded,
+          truncated: !!result?.truncated
+        });
+
+        // Fallback and downgraded answers are not cached, the cache key names the configured model;
+        // cut-off answers would come back cut off
+        if (cacheKey && result?.content && !failures.length && !budget.downgraded && !result.truncated) {
+          await setCachedResponse(cacheKey, result.content, { maxEntries: settings.cacheMaxEntries });
         }
 
-        port.postMessage({ type: 'DONE' });
+        if (historyId && result?.content) {
+          await recordHistory({ ...historyContext, settings: answerSettings, content: getFullContent(result.content), cached: false });
+        }
       } catch (error) {
         console.error('Streaming request failed:', error);
-        port.postMessage({ error: error.message });
+        post({ error: error.message });
       } finally {
-        // We don't necessarily want to disconnect immediately if the user wants to retry
-        // but for now, the flow is one-shot per port connection usually
+        if (activeController === controller) {
+          activeController = null;
+        }
       }
     }
   });
@@ -300,7 +816,39 @@ async function handleStreamRequest(port) {
 async function handleGetSettings(sendResponse) {
   try {
     const settings = await getSettings();
-    sendResponse({ settings, providers: PROVIDERS });
+    sendResponse({ settings, providers: describeProviders(), generationDefaults: DEFAULT_GENERATION_PARAMS });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle content config request
+ * Only exposes what the content script needs to render its UI (no API keys)
+ * @param {string} url - Page URL, used to resolve the site rule
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetContentConfig(url, sendResponse) {
+  try {
+    const settings = await getSettings();
+    const actions = (settings.customActions || [])
+      .filter(action => action.enabled !== false && action.name)
+      .map(({ id, name, icon }) => ({ id, name, icon }));
+
+    const rule = findSiteRule(settings.siteRules, url);
+    const site = {
+      disabled: !!rule?.disabled,
+      trigger: rule?.trigger || 'popup',
+      defaultAction: rule?.defaultAction || 'explain'
+    };
+
+    // Characters of page text captured around the selection
+    const context = {
+      before: settings.contextBeforeChars,
+      after: settings.contextAfterChars
+    };
+
+    sendResponse({ actions, site, context, strictPrivacy: !!settings.strictPrivacy, showImages: !!settings.showImages });
   } catch (error) {
     sendResponse({ error: error.message });
   }
@@ -321,26 +869,237 @@ async function handleSaveSettings(newSettings, sendResponse) {
 }
 
 /**
- * Handle test connection request
- * @param {string} provider - Provider to test
- * @param {string} apiKey - API key
+ * Handle clear cache request
  * @param {Function} sendResponse - Response callback
  */
-async function handleTestConnection(provider, apiKey, sendResponse) {
+async function handleClearCache(sendResponse) {
   try {
-    let result;
-
-    switch (provider) {
-      case 'openrouter':
-        result = await testOpenRouterConnection(apiKey);
-        break;
-      case 'gemini':
-        result = await testGeminiConnection(apiKey);
-        break;
-      default:
-        result = { success: false, error: 'Unknown provider' };
+    await clearResponseCache();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle cache stats request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetCacheStats(sendResponse) {
+  try {
+    const stats = await getCacheStats();
+    sendResponse(stats);
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle get usage request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetUsage(sendResponse) {
+  try {
+    const rows = await getUsage();
+    sendResponse({ rows, providers: describeProviders() });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle clear usage request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleClearUsage(sendResponse) {
+  try {
+    await clearUsage();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle get history request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetHistory(sendResponse) {
+  try {
+    const entries = await getHistory();
+    sendResponse({ entries });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle delete history request
+ * @param {Array<string>|undefined} ids - Entries to delete, all when omitted
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleDeleteHistory(ids, sendResponse) {
+  try {
+    if (Array.isArray(ids)) {
+      await deleteHistoryEntries(ids);
+    } else {
+      await clearHistory();
+    }
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle save to deck request
+ * Stores the selection and its translation as a flashcard in the effective target language
+ * @param {Object} payload - Selection, translation, context and page of a translate response
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleSaveToDeck(payload, sendResponse) {
+  try {
+    if (!payload?.text?.trim() || !payload.translation?.trim()) {
+      sendResponse({ error: 'Nothing to save.' });
+      return;
+    }
+
+    const settings = await getSettings(payload.pageUrl);
+    const result = await addDeckCard({
+      front: payload.text.trim(),
+      back: payload.translation.trim(),
+      context: (payload.contextBefore || '').slice(-200),
+      language: settings.language,
+      mode: payload.mode || 'translation',
+      pageTitle: payload.pageTitle || '',
+      pageUrl: payload.pageUrl || ''
+    });
+    sendResponse(result);
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle get deck request
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGetDeck(sendResponse) {
+  try {
+    const cards = await getDeck();
+    sendResponse({ cards });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle card review request
+ * @param {string} id - Card ID
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleReviewDeckCard(id, grade, sendResponse) {
+  try {
+    const card = await reviewDeckCard(id, grade);
+    sendResponse(card ? { card } : { error: 'This card no longer exists.' });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle delete cards request
+ * @param {Array<string>} ids - Card IDs
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleDeleteDeckCards(ids, sendResponse) {
+  try {
+    await deleteDeckCards(ids || []);
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Wait until a tab has finished loading, or give up after a timeout
+ * @param {number} tabId - Tab ID
+ * @param {number} [timeoutMs] - Maximum wait
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeoutMs = 15000) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        done();
+      }
+    };
+    const timer = setTimeout(done, timeoutMs);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Handle reopen history request
+ * Opens the entry's page and shows the saved response in the modal there
+ * @param {string} id - Entry ID
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleReopenHistory(id, sendResponse) {
+  try {
+    const entry = await getHistoryEntry(id);
+    if (!entry) {
+      sendResponse({ error: 'This entry no longer exists.' });
+      return;
+    }
+
+    if (!/^https?:/i.test(entry.pageUrl)) {
+      sendResponse({ error: 'The original page cannot be reopened.' });
+      return;
     }
 
+    const tab = await chrome.tabs.create({ url: entry.pageUrl });
+    await waitForTabComplete(tab.id);
+
+    // The content script may still be starting up right after the load event
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_SAVED_RESPONSE', payload: entry }, { frameId: 0 });
+        sendResponse({ success: true });
+        return;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+    }
+
+    sendResponse({ error: 'The page opened, but Explain Anything could not run on it.' });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Handle test connection request
+ * @param {string} providerId - Provider to test
+ * @param {Object} credentials - Values of the provider's settings fields
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleTestConnection(providerId, credentials, sendResponse) {
+  const provider = getProvider(providerId);
+
+  if (!provider) {
+    sendResponse({ success: false, error: 'Unknown provider' });
+    return;
+  }
+
+  try {
+    const result = await provider.testConnection(credentials || {});
     sendResponse(result);
   } catch (error) {
     sendResponse({ success: false, error: error.message });
@@ -349,45 +1108,68 @@ async function handleTestConnection(provider, apiKey, sendResponse) {
 
 /**
  * Handle get models request
- * @param {string} provider - Provider name
- * @param {string} apiKey - API key for fetching
+ * @param {string} providerId - Provider ID
+ * @param {Object} credentials - Values of the provider's settings fields
+ * @param {boolean} forceRefresh - Skip the provider's model cache
  * @param {Function} sendResponse - Response callback
  */
-async function handleGetModels(provider, apiKey, sendResponse) {
-  const providerConfig = PROVIDERS[provider];
+async function handleGetModels(providerId, credentials, forceRefresh, sendResponse) {
+  const provider = getProvider(providerId);
 
-  if (!providerConfig) {
+  if (!provider) {
     sendResponse({ error: 'Unknown provider' });
     return;
   }
 
   try {
-    const models = await providerConfig.fetchModels(apiKey);
+    const models = await provider.listModels(credentials || {}, { forceRefresh });
     sendResponse({ models });
   } catch (error) {
-    sendResponse({ error: error.message, models: providerConfig.getModels() });
+    sendResponse({ error: error.message, models: provider.getModels(credentials || {}) });
   }
 }
 
+// content.css, read once per service worker start
+let uiStyles = null;
+
 /**
- * Handle refresh models request
- * @param {string} provider - Provider name
- * @param {string} apiKey - API key for fetching
+ * Handle a request for the content script's stylesheet
+ * content.css isn't web accessible, so pages can't load it to detect the extension; the
+ * content script gets its text from here instead
  * @param {Function} sendResponse - Response callback
  */
-async function handleRefreshModels(provider, apiKey, sendResponse) {
-  const providerConfig = PROVIDERS[provider];
+async function handleGetUIStyles(sendResponse) {
+  try {
+    if (!uiStyles) {
+      const response = await fetch(chrome.runtime.getURL('src/content/content.css'));
+      uiStyles = await response.text();
+    }
+    sendResponse({ css: uiStyles });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
 
-  if (!providerConfig) {
-    sendResponse({ error: 'Unknown provider' });
+/**
+ * Handle a selection made in a frame
+ * Forwards it to the top frame of the tab, which shows the popup and modal; going through
+ * here keeps the selection away from the pages that embed the frame
+ * @param {Object} payload - Selection relay from the frame's content script
+ * @param {chrome.runtime.MessageSender} sender - Frame that sent it
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleRelayToTopFrame(payload, sender, sendResponse) {
+  if (!sender.tab?.id) {
+    sendResponse({ error: 'Only frames in a tab can relay selections.' });
     return;
   }
 
   try {
-    const models = await providerConfig.fetchModels(apiKey, true); // Force refresh
-    sendResponse({ models });
+    await chrome.tabs.sendMessage(sender.tab.id, { type: 'FRAME_RELAY', payload: prepareFrameRelay(payload, sender) }, { frameId: 0 });
+    sendResponse({ success: true });
   } catch (error) {
-    sendResponse({ error: error.message, models: providerConfig.getModels() });
+    // The top frame has no content script (e.g. a restricted page embedding this one)
+    sendResponse({ error: error.message });
   }
 }
 
@@ -397,31 +1179,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (type) {
     case 'EXPLAIN_TEXT':
-      handleExplainRequest(payload, sendResponse);
+      handleExplainRequest(payload, payload?.pageUrl || sender.url, sendResponse);
       return true;
 
     case 'TRANSLATE_TEXT':
-      handleTranslateRequest(payload, sendResponse);
+      handleTranslateRequest(payload, payload?.pageUrl || sender.url, sendResponse);
       return true;
 
     case 'GET_SETTINGS':
       handleGetSettings(sendResponse);
       return true;
 
+    case 'GET_UI_STYLES':
+      handleGetUIStyles(sendResponse);
+      return true;
+
+    case 'GET_CONTENT_CONFIG':
+      handleGetContentConfig(payload?.url || sender.url, sendResponse);
+      return true;
+
     case 'SAVE_SETTINGS':
       handleSaveSettings(payload, sendResponse);
       return true;
 
+    case 'CLEAR_CACHE':
+      handleClearCache(sendResponse);
+      return true;
+
+    case 'GET_CACHE_STATS':
+      handleGetCacheStats(sendResponse);
+      return true;
+
+    case 'GET_USAGE':
+      handleGetUsage(sendResponse);
+      return true;
+
+    case 'CLEAR_USAGE':
+      handleClearUsage(sendResponse);
+      return true;
+
+    case 'GET_HISTORY':
+      handleGetHistory(sendResponse);
+      return true;
+
+    case 'DELETE_HISTORY':
+      handleDeleteHistory(payload?.ids, sendResponse);
+      return true;
+
+    case 'REOPEN_HISTORY':
+      handleReopenHistory(payload.id, sendResponse);
+      return true;
+
+    case 'RELAY_TO_TOP_FRAME':
+      handleRelayToTopFrame(payload, sender, sendResponse);
+      return true;
+
+    case 'SAVE_TO_DECK':
+      handleSaveToDeck(payload, sendResponse);
+      return true;
+
+    case 'GET_DECK':
+      handleGetDeck(sendResponse);
+      return true;
+
+    case 'REVIEW_DECK_CARD':
+      handleReviewDeckCard(payload.id, payload.grade, sendResponse);
+      return true;
+
+    case 'DELETE_DECK_CARDS':
+      handleDeleteDeckCards(payload?.ids, sendResponse);
+      return true;
+
     case 'TEST_CONNECTION':
-      handleTestConnection(payload.provider, payload.apiKey, sendResponse);
+      handleTestConnection(payload.provider, payload.credentials, sendResponse);
       return true;
 
     case 'GET_MODELS':
-      handleGetModels(payload.provider, payload.apiKey, sendResponse);
+      handleGetModels(payload.provider, payload.credentials, false, sendResponse);
       return true;
 
     case 'REFRESH_MODELS':
-      handleRefreshModels(payload.provider, payload.apiKey, sendResponse);
+      handleGetModels(payload.provider, payload.credentials, true, sendResponse);
       return true;
 
     default:
@@ -437,8 +1275,117 @@ chrome.runtime.onConnect.addListener((port) => {
   }
 });
 
+// Context menus are rebuilt one at a time so overlapping updates can't create duplicate IDs
+let contextMenuUpdate = Promise.resolve();
+
+/**
+ * Rebuild the selection context menu (Explain, Translate with its modes, custom actions)
+ * @returns {Promise<void>}
+ */
+function updateContextMenus() {
+  contextMenuUpdate = contextMenuUpdate
+    .then(async () => {
+      await chrome.contextMenus.removeAll();
+
+      const settings = await getSettings();
+      const contexts = ['selection'];
+
+      chrome.contextMenus.create({ id: 'explain', title: 'Explain selection', contexts });
+      chrome.contextMenus.create({ id: 'translate', title: 'Translate selection', contexts });
+
+      TRANSLATE_MODES.forEach(mode => {
+        chrome.contextMenus.create({
+          id: `translate:${mode.id}`,
+          parentId: 'translate',
+          title: mode.label,
+          contexts
+        });
+      });
+
+      (settings.customActions || [])
+        .filter(action => action.enabled !== false && action.name)
+        .forEach(action => {
+          chrome.contextMenus.create({
+            id: `custom:${action.id}`,
+            title: action.icon ? `${action.icon} ${action.name}` : action.name,
+            contexts
+          });
+        });
+    })
+    .catch(error => {
+      console.error('Failed to update context menus:', error);
+    });
+
+  return contextMenuUpdate;
+}
+
+/**
+ * Handle a context menu click by asking the content script to open the modal
+ * @param {chrome.contextMenus.OnClickData} info - Click info
+ * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+ */
+async function handleContextMenuClick(info, tab) {
+  if (!tab?.id || !info.selectionText) return;
+
+  const [kind, id] = String(info.menuItemId).split(':');
+  const payload = { text: info.selectionText };
+
+  if (kind === 'explain') {
+    payload.actionId = 'explain';
+  } else if (kind === 'translate') {
+    payload.actionId = 'translate';
+    payload.mode = id || 'translation';
+  } else if (kind === 'custom') {
+    payload.actionId = id;
+  } else {
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_ACTION_MODAL', payload }, { frameId: info.frameId || 0 });
+  } catch (error) {
+    // No content script on this page (e.g. chrome:// pages or tabs opened before install)
+    console.warn('Could not reach content script:', error.message);
+  }
+}
+
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+/**
+ * Forward a keyboard shortcut to the content scripts of the active tab
+ * Every frame receives it; only the focused one holding the selection acts on it
+ * @param {string} command - Command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - Active tab, when Chrome provides it
+ */
+async function handleCommand(command, tab) {
+  let targetTab = tab;
+  if (!targetTab?.id) {
+    [targetTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!targetTab?.id) return;
+
+  try {
+    await chrome.tabs.sendMessage(targetTab.id, { type: 'RUN_COMMAND', payload: { command } });
+  } catch (error) {
+    console.warn('Could not reach content script:', error.message);
+  }
+}
+
+chrome.commands.onCommand.addListener(handleCommand);
+
+// Keep custom action entries in sync with settings
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.customActions) {
+    updateContextMenus();
+  }
+});
+
+chrome.runtime.onStartup.addListener(updateContextMenus);
+
 // Installation handler
 chrome.runtime.onInstalled.addListener((details) => {
+  updateContextMenus();
+
   if (details.reason === 'install') {
     // Open options page on first install
     chrome.runtime.openOptionsPage();
@@ -0,0 +1,97 @@
+/**
+ * Explain Anything - Per-site Rules
+ * Resolves domain-specific overrides from glob patterns
+ *
+ * Patterns without a "/" are matched against the hostname
+ * (e.g. "*.mybank.com", "mail.google.com"). Patterns with a "/" are
+ * matched against the URL without query or hash
+ * (e.g. "https://github.com/my-org/*"). "*" matches any run of
+ * characters and "?" matches a single character.
+ */
+
+// Settings a rule may override, everything else always comes from the global settings
+const OVERRIDABLE_SETTINGS = ['language', 'provider', 'model'];
+
+/**
+ * Convert a glob pattern to a case-insensitive regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a URL matches a site pattern
+ * @param {string} pattern - Glob pattern
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function matchesSitePattern(pattern, url) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed || !url) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  if (trimmed.includes('/')) {
+    const target = `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+    // Let "example.com/docs/*" work without spelling out the scheme
+    const withScheme = trimmed.includes('://') ? trimmed : `*://${trimmed}`;
+    return globToRegExp(withScheme).test(target);
+  }
+
+  const hostname = parsed.hostname;
+  if (globToRegExp(trimmed).test(hostname)) return true;
+
+  // "*.example.com" also covers the bare "example.com"
+  return trimmed.startsWith('*.') && hostname.toLowerCase() === trimmed.slice(2).toLowerCase();
+}
+
+/**
+ * Find the first enabled rule matching a URL
+ * @param {Array<Object>} rules - Site rules in priority order
+ * @param {string} url - Page URL
+ * @returns {Object|null}
+ */
+export function findSiteRule(rules, url) {
+  if (!Array.isArray(rules) || !url) return null;
+  return rules.find(rule => rule.enabled !== false && matchesSitePattern(rule.pattern, url)) || null;
+}
+
+/**
+ * Apply a rule's overrides on top of the global settings
+ * @param {Object} settings - Global settings
+ * @param {Object|null} rule - Matching site rule
+ * @returns {Object} Effective settings
+ */
+export function applySiteRule(settings, rule) {
+  if (!rule) return settings;
+
+  const effective = { ...settings };
+  OVERRIDABLE_SETTINGS.forEach(key => {
+    if (rule[key]) {
+      effective[key] = rule[key];
+    }
+  });
+
+  // A different provider without a model falls back to that provider's default model
+  if (rule.provider && rule.provider !== settings.provider && !rule.model) {
+    effective.model = '';
+  }
+
+  return effective;
+}
@@ -0,0 +1,119 @@
+/**
+ * Explain Anything - Token Usage & Cost
+ * Keeps running totals per day, provider/model and action in chrome.storage.local
+ */
+
+const USAGE_STORAGE_KEY = 'usage';
+
+// Days older than this are dropped when new usage is recorded
+const RETENTION_DAYS = 365;
+
+// Totals are read-modify-write, so concurrent requests are recorded one at a time
+let pendingWrite = Promise.resolve();
+
+/**
+ * Compute the cost of a request
+ * @param {{promptTokens: number, completionTokens: number, cost?: number}} usage - Token counts,
+ *   cost when the provider reported what it billed
+ * @param {{prompt: number, completion: number}|null} pricing - USD per million tokens
+ * @returns {number|null} USD, null when the price is unknown
+ */
+export function calculateCost(usage, pricing) {
+  if (typeof usage.cost === 'number') return usage.cost;
+  if (!pricing) return null;
+
+  return (usage.promptTokens * (pricing.prompt || 0) + usage.completionTokens * (pricing.completion || 0)) / 1000000;
+}
+
+/**
+ * Get the local calendar day of a date
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get all usage rows
+ * @returns {Promise<Array<Object>>} Rows of {day, provider, model, actionId, actionName,
+ *   requests, promptTokens, completionTokens, cost, unpricedRequests}
+ */
+export async function getUsage() {
+  const result = await chrome.storage.local.get({ [USAGE_STORAGE_KEY]: {} });
+  return Object.values(result[USAGE_STORAGE_KEY] || {});
+}
+
+/**
+ * Add a request to the totals of its day, model and action
+ * @param {Object} request
+ * @param {string} request.provider - Provider that answered
+ * @param {string} request.model - Model that answered, empty for the provider default
+ * @param {string} request.actionId - Action of the request
+ * @param {string} request.actionName - Display name of the action
+ * @param {number} request.promptTokens
+ * @param {number} request.completionTokens
+ * @param {number|null} request.cost - USD, null when the price is unknown
+ * @returns {Promise<void>}
+ */
+export function recordUsage(request) {
+  pendingWrite = pendingWrite
+    .then(() => addToTotals(request))
+    .catch(error => console.error('Failed to record usage:', error));
+  return pendingWrite;
+}
+
+/**
+ * Update the stored totals with one request
+ * @param {Object} request - See recordUsage
+ * @returns {Promise<void>}
+ */
+async function addToTotals({ provider, model, actionId, actionName, promptTokens, completionTokens, cost }) {
+  const result = await chrome.storage.local.get({ [USAGE_STORAGE_KEY]: {} });
+  const totals = result[USAGE_STORAGE_KEY] || {};
+  const day = getDayKey();
+  const key = JSON.stringify([day, provider, model || '', actionId]);
+
+  const row = totals[key] || {
+    day,
+    provider,
+    model: model || '',
+    actionId,
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    cost: 0,
+    unpricedRequests: 0
+  };
+
+  row.actionName = actionName;
+  row.requests += 1;
+  row.promptTokens += promptTokens;
+  row.completionTokens += completionTokens;
+  if (cost === null) {
+    row.unpricedRequests += 1;
+  } else {
+    row.cost += cost;
+  }
+  totals[key] = row;
+
+  const cutoff = getDayKey(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  Object.keys(totals).forEach(oldKey => {
+    if (totals[oldKey].day < cutoff) {
+      delete totals[oldKey];
+    }
+  });
+
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: totals });
+}
+
+/**
+ * Remove all usage totals
+ * The budget keeps its own record of the month's spend
+ * @returns {Promise<void>}
+ */
+export async function clearUsage() {
+  await chrome.storage.local.remove(USAGE_STORAGE_KEY);
+}
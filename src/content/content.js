@@ -10,28 +10,84 @@
   if (window.__explainAnythingLoaded) return;
   window.__explainAnythingLoaded = true;
 
-  // Load Google Fonts dynamically
-  function loadFonts() {
-    if (document.getElementById('ea-google-fonts')) return;
+  // Loaded before this script, see manifest.json
+  const { parseMarkdown, highlightCode } = globalThis.ExplainAnythingMarkdown;
 
-    const link = document.createElement('link');
-    link.id = 'ea-google-fonts';
-    link.rel = 'stylesheet';
-    link.href = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Vazirmatn:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap';
-    document.head.appendChild(link);
-  }
-
-  // Load fonts immediately
-  loadFonts();
+  // Only the top frame shows the popup and modal, other frames hand their selections to it
+  const isTopFrame = window === window.top;
 
   // State
   let miniPopup = null;
   let modalOverlay = null;
+  let uiHost = null;
+  let uiRoot = null;
+  let focusBeforeModal = null;
+  let fontStyle = null;
   let currentSelection = null;
   let isDragging = false;
   let dragOffset = { x: 0, y: 0 };
   let activeRequestPort = null;
+  let activeType = 'explain';
   let activeTab = 'translation';
+  let activeAction = null;
+  let conversation = [];
+  let currentHistoryId = null;
+  let customActions = [];
+  let siteConfig = { disabled: false, trigger: 'popup', defaultAction: 'explain' };
+
+  // Characters of page text sent around the selection, mirrors contextBeforeChars and
+  // contextAfterChars in the background script
+  let contextWindow = { before: 400, after: 200 };
+
+  // Mirrors strictPrivacy in the background script, assumed until the config arrives so
+  // nothing is added to the page before we know it's allowed
+  let strictPrivacy = true;
+
+  // Mirrors showImages in the background script, images in answers load only when it's on
+  let showImages = false;
+
+  // Custom actions shown directly in the popup before the rest move to the overflow menu
+  const MAX_INLINE_ACTIONS = 3;
+
+  // Keeps headings and page descriptions from crowding out the selection
+  const MAX_HEADING_LENGTH = 120;
+  const MAX_DESCRIPTION_LENGTH = 300;
+
+  // Input types that hold plain text and support selectionStart/selectionEnd; never passwords
+  const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+
+  // Marks our postMessage messages between the frames of a page
+  const FRAME_MESSAGE_KEY = '__explainAnythingFrame';
+
+  // How long the top frame waits for both halves of a frame's selection
+  const FRAME_RELAY_TIMEOUT_MS = 2000;
+
+  // Bundled fonts, mirrors src/lib/fonts.css. Declared in the UI's shadow root under our own
+  // family names, never in the page's font set. Only Inter is split in two files, the others
+  // are only used for glyphs Inter lacks.
+  const FONT_FACES = [
+    {
+      family: 'Explain Anything Inter',
+      file: 'inter-latin-wght-normal.woff2',
+      weight: '100 900',
+      unicodeRange: 'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD'
+    },
+    {
+      family: 'Explain Anything Inter',
+      file: 'inter-latin-ext-wght-normal.woff2',
+      weight: '100 900',
+      unicodeRange: 'U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF'
+    },
+    { family: 'Explain Anything Vazirmatn', file: 'vazirmatn-arabic-wght-normal.woff2', weight: '100 900' },
+    { family: 'Explain Anything JetBrains Mono', file: 'jetbrains-mono-latin-wght-normal.woff2', weight: '100 800' }
+  ];
+
+  // Frame selections waiting for their other half: the selection comes through the background
+  // script, the point to show the popup at through the frames in between (top frame only)
+  const pendingFrameRelays = new Map();
+
+  // Whether this frame has a selection showing in the top frame's popup
+  let hasRelayedSelection = false;
 
   const TRANSLATE_TABS = [
     { id: 'translation', label: 'Translation', hint: 'Just the meaning' },
@@ -47,57 +103,87 @@
     close: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>`,
     copy: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/></svg>`,
     error: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>`,
-    check: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>`
+    check: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>`,
+    send: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg>`,
+    more: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/></svg>`
   };
 
+  /**
+   * Load the enabled custom actions and the site rule for this page from the background script
+   */
+  function loadContentConfig() {
+    if (!isExtensionContextValid()) return;
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'GET_CONTENT_CONFIG',
+        payload: { url: window.location.href }
+      }, (response) => {
+        if (chrome.runtime.lastError) return;
+        customActions = Array.isArray(response?.actions) ? response.actions : [];
+        if (response?.site) {
+          siteConfig = response.site;
+          if (siteConfig.disabled) {
+            hideMiniPopup();
+          }
+        }
+        if (response?.context) {
+          contextWindow = response.context;
+        }
+        strictPrivacy = response?.strictPrivacy !== false;
+        showImages = response?.showImages === true;
+        if (uiRoot) {
+          updateFonts();
+        }
+      });
+    } catch (e) {
+      console.warn('Explain Anything: Could not load config', e);
+    }
+  }
+
+  /**
+   * Render the icon of a custom action (emoji or short text, falls back to the first letter)
+   */
+  function renderActionIcon(action) {
+    const icon = (action.icon || action.name || '?').trim();
+    return `<span class="ea-action-icon">${escapeHtml(Array.from(icon).slice(0, 2).join(''))}</span>`;
+  }
+
   /**
    * Get the context around the selected text
+   * Surrounding text is measured from the selection's position, so a repeated word gets the
+   * context of the occurrence that was selected
+   * @param {Array<EventTarget>} [path] - Composed path of the event that ended the selection
    */
-  function getSelectionContext() {
-    const selection = window.getSelection();
-    if (!selection || selection.rangeCount === 0) return null;
+  function getSelectionContext(path = []) {
+    const field = getDeepActiveElement();
+    const selected = isTextField(field) ? getFieldSelection(field) : getRangeSelection(path);
+    if (!selected) return null;
 
-    const selectedText = selection.toString().trim();
+    const selectedText = selected.text.trim();
     if (!selectedText || selectedText.length < 2) return null;
-
-    const range = selection.getRangeAt(0);
-    const pageTitle = document.title;
     
-    // Get text before selection for context
     let contextBefore = '';
+    let contextAfter = '';
+    let headings = [];
     try {
-      const container = range.startContainer;
-      let node = container;
-      
-      // Walk up to find a block-level element
-      while (node && node !== document.body) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          const display = window.getComputedStyle(node).display;
-          if (['block', 'flex', 'grid', 'table'].includes(display)) {
-            break;
-          }
-        }
-        node = node.parentNode;
-      }
-      
-      if (node && node.textContent) {
-        const fullText = node.textContent;
-        const selectionStart = fullText.indexOf(selectedText);
-        if (selectionStart > 0) {
-          contextBefore = fullText.substring(Math.max(0, selectionStart - 200), selectionStart).trim();
-        }
-      }
+      const surrounding = selected.getSurroundingText();
+      contextBefore = contextWindow.before > 0 ? surrounding.before.slice(-contextWindow.before).trim() : '';
+      contextAfter = surrounding.after.slice(0, contextWindow.after).trim();
+      headings = getHeadingChain(selected.node);
     } catch (e) {
       console.warn('Explain Anything: Could not get context', e);
     }
 
     // Get position for popup
-    const rect = range.getBoundingClientRect();
+    const rect = selected.getRect();
     
     return {
       text: selectedText,
       contextBefore,
-      pageTitle,
+      contextAfter,
+      headings,
+      ...getPageMetadata(),
       position: {
         x: rect.right + window.scrollX,
         y: rect.top + window.scrollY - 10
@@ -105,6 +191,271 @@
     };
   }
 
+  /**
+   * Get the selected text of a page, including text selected inside open shadow roots
+   * @param {Array<EventTarget>} path - Composed path of the event that ended the selection
+   * @returns {Object|null} {text, node, getRect, getSurroundingText}
+   */
+  function getRangeSelection(path) {
+    const selection = getDeepSelection(path);
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    return {
+      text: selection.toString(),
+      node: range.startContainer,
+      getRect: () => range.getBoundingClientRect(),
+      getSurroundingText: () => getSurroundingText(range)
+    };
+  }
+
+  /**
+   * Get the selected text of a text field
+   * Selections inside <input> and <textarea> are not part of window.getSelection()
+   * @param {HTMLInputElement|HTMLTextAreaElement} field - Focused text field
+   * @returns {Object|null} {text, node, getRect, getSurroundingText}
+   */
+  function getFieldSelection(field) {
+    const { selectionStart: start, selectionEnd: end, value } = field;
+    if (start === null || start === end) return null;
+
+    return {
+      text: value.slice(start, end),
+      node: field,
+      // The field, there is no rectangle for a range of its text
+      getRect: () => field.getBoundingClientRect(),
+      getSurroundingText: () => ({
+        before: collapseWhitespace(value.slice(0, start)),
+        after: collapseWhitespace(value.slice(end))
+      })
+    };
+  }
+
+  /**
+   * Whether an element is a text field whose selection can be read
+   */
+  function isTextField(element) {
+    if (element instanceof HTMLTextAreaElement) return true;
+    return element instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(element.type);
+  }
+
+  /**
+   * Get the focused element, looking inside open shadow roots
+   * @returns {Element|null}
+   */
+  function getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  /**
+   * Get the selection, looking inside open shadow roots
+   * For text in a shadow tree document.getSelection() only reports the host; Chrome has the
+   * real selection on the shadow root. The event path finds roots the mouse selected in, the
+   * focus finds them for keyboard shortcuts.
+   * @param {Array<EventTarget>} [path] - Composed path of the event that ended the selection
+   * @returns {Selection|null}
+   */
+  function getDeepSelection(path = []) {
+    const focusRoots = [];
+    let element = document.activeElement;
+    while (element?.shadowRoot) {
+      focusRoots.unshift(element.shadowRoot);
+      element = element.shadowRoot.activeElement;
+    }
+
+    // Innermost roots first
+    const roots = [...path.filter(node => node instanceof ShadowRoot), ...focusRoots];
+    for (const root of roots) {
+      const selection = root.getSelection?.();
+      if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+        return selection;
+      }
+    }
+
+    return window.getSelection();
+  }
+
+  /**
+   * Get the page text before and after the selection
+   * Starts at the nearest block and widens until both sides fill their context window,
+   * stopping below the body
+   * @param {Range} range - Selected range
+   * @returns {{before: string, after: string}} Whitespace-collapsed text, at least as long as the windows where the page allows
+   */
+  function getSurroundingText(range) {
+    let node = range.commonAncestorContainer;
+
+    // Walk up to find a block-level element
+    while (node.parentNode && node.parentNode !== document.body && node !== document.body) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        const display = window.getComputedStyle(node).display;
+        if (['block', 'flex', 'grid', 'table'].includes(display)) {
+          break;
+        }
+      }
+      node = node.parentNode;
+    }
+
+    while (true) {
+      const beforeRange = document.createRange();
+      beforeRange.selectNodeContents(node);
+      beforeRange.setEnd(range.startContainer, range.startOffset);
+
+      const afterRange = document.createRange();
+      afterRange.selectNodeContents(node);
+      afterRange.setStart(range.endContainer, range.endOffset);
+
+      const before = contextWindow.before > 0 ? collapseWhitespace(beforeRange.toString()) : '';
+      const after = contextWindow.after > 0 ? collapseWhitespace(afterRange.toString()) : '';
+
+      const isEnough = before.length >= contextWindow.before && after.length >= contextWindow.after;
+      if (isEnough || !node.parentNode || node.parentNode === document.body || node === document.body) {
+        return { before, after };
+      }
+      node = node.parentNode;
+    }
+  }
+
+  /**
+   * Get the headings of the sections the selection is in, outermost first
+   * @param {Node} node - Start of the selection
+   * @returns {Array<string>} e.g. ["Installation", "From source"]
+   */
+  function getHeadingChain(node) {
+    const chain = [];
+
+    // Headings are looked up in the document, so start from the outermost shadow host
+    while (node.getRootNode() instanceof ShadowRoot) {
+      node = node.getRootNode().host;
+    }
+
+    // In document order, so every heading before the selection is visited once
+    for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      if (!(heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+
+      const text = collapseWhitespace(heading.textContent).trim();
+      if (!text) continue;
+
+      // A heading closes the sections of its own and deeper levels
+      const level = Number(heading.tagName[1]);
+      chain.length = Math.min(chain.length, level - 1);
+      chain[level - 1] = text.slice(0, MAX_HEADING_LENGTH);
+    }
+
+    return chain.filter(Boolean);
+  }
+
+  /**
+   * Get the page's title, address, description and declared language
+   * In a frame these describe the frame, not the page embedding it
+   * @returns {{pageTitle: string, pageUrl: string, pageDescription: string, pageLanguage: string}}
+   */
+  function getPageMetadata() {
+    const description = document.querySelector('meta[name="description" i]')?.content || '';
+
+    return {
+      pageTitle: document.title,
+      pageUrl: window.location.href,
+      pageDescription: collapseWhitespace(description).trim().slice(0, MAX_DESCRIPTION_LENGTH),
+      pageLanguage: document.documentElement.lang || ''
+    };
+  }
+
+  /**
+   * Turn runs of whitespace, including line breaks between blocks, into single spaces
+   */
+  function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Get the closed shadow root the popup and modal are rendered in, creating it on first use
+   * Page styles can't reach into it and content.css doesn't leak out of it
+   * @returns {ShadowRoot}
+   */
+  function getUIRoot() {
+    if (!uiRoot) {
+      uiHost = document.createElement('explain-anything-ui');
+      uiRoot = uiHost.attachShadow({ mode: 'closed' });
+
+      // Hidden until content.css has loaded, which resets the host
+      const loadingStyle = document.createElement('style');
+      loadingStyle.textContent = ':host { display: none; }';
+
+      // content.css comes through the background script, so pages can't load it to detect the extension
+      const stylesheet = document.createElement('style');
+      fontStyle = document.createElement('style');
+
+      uiRoot.append(loadingStyle, stylesheet, fontStyle);
+      loadUIStyles(stylesheet);
+
+      // Typing in the modal must not trigger the page's keyboard shortcuts
+      ['keydown', 'keyup', 'keypress'].forEach((type) => {
+        uiRoot.addEventListener(type, (e) => {
+          e.stopPropagation();
+          if (type === 'keydown' && modalOverlay) handleEscape(e);
+        });
+      });
+    }
+
+    updateFonts();
+
+    // Outside the body, and put back if the page replaced its content
+    if (!uiHost.isConnected) {
+      document.documentElement.appendChild(uiHost);
+    }
+
+    return uiRoot;
+  }
+
+  /**
+   * Fill a style element of the UI's shadow root with content.css
+   * @param {HTMLStyleElement} stylesheet
+   */
+  function loadUIStyles(stylesheet) {
+    if (!isExtensionContextValid()) return;
+
+    try {
+      chrome.runtime.sendMessage({ type: 'GET_UI_STYLES' }, (response) => {
+        if (chrome.runtime.lastError || !response?.css) {
+          console.warn('Explain Anything: Could not load styles', chrome.runtime.lastError || response?.error);
+          return;
+        }
+        stylesheet.textContent = response.css;
+      });
+    } catch (e) {
+      console.warn('Explain Anything: Could not load styles', e);
+    }
+  }
+
+  /**
+   * Declare the bundled fonts in the UI's shadow root once the UI is shown, or take them out
+   * again in strict privacy mode, where the UI uses system fonts
+   */
+  function updateFonts() {
+    if (!fontStyle) return;
+
+    const rules = strictPrivacy ? '' : FONT_FACES.map(({ family, file, weight, unicodeRange }) => `
+      @font-face {
+        font-family: '${family}';
+        font-style: normal;
+        font-display: swap;
+        font-weight: ${weight};
+        src: url('${chrome.runtime.getURL(`assets/fonts/${file}`)}') format('woff2');
+        ${unicodeRange ? `unicode-range: ${unicodeRange};` : ''}
+      }
+    `).join('');
+
+    // Called whenever the UI is shown, only changes restyle it
+    if (fontStyle.textContent !== rules) {
+      fontStyle.textContent = rules;
+    }
+  }
+
   /**
    * Create and show the mini popup
    */
@@ -117,31 +468,304 @@
     miniPopup.className = 'ea-mini-popup-container';
     miniPopup.style.left = `${context.position.x + 10}px`;
     miniPopup.style.top = `${context.position.y}px`;
-    
-    const explainBtn = document.createElement('button');
-    explainBtn.className = 'ea-mini-popup-btn';
-    explainBtn.innerHTML = ICONS.explain;
-    explainBtn.title = 'Explain this text';
-    explainBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      showResponseModal('explain');
+
+    miniPopup.appendChild(createPopupButton(ICONS.explain, 'Explain this text', () => showResponseModal('explain')));
+    miniPopup.appendChild(createPopupButton(ICONS.translate, 'Translate this text', () => showResponseModal('translate')));
+
+    const hasOverflow = customActions.length > MAX_INLINE_ACTIONS;
+    const inlineActions = hasOverflow ? customActions.slice(0, MAX_INLINE_ACTIONS - 1) : customActions;
+    const overflowActions = hasOverflow ? customActions.slice(MAX_INLINE_ACTIONS - 1) : [];
+
+    inlineActions.forEach((action) => {
+      miniPopup.appendChild(createPopupButton(renderActionIcon(action), action.name, () => showResponseModal('custom', action)));
     });
 
-    const translateBtn = document.createElement('button');
-    translateBtn.className = 'ea-mini-popup-btn';
-    translateBtn.innerHTML = ICONS.translate;
-    translateBtn.title = 'Translate this text';
-    translateBtn.addEventListener('click', (e) => {
+    if (overflowActions.length) {
+      const menu = document.createElement('div');
+      menu.className = 'ea-mini-popup-menu hidden';
+
+      overflowActions.forEach((action) => {
+        const item = document.createElement('button');
+        item.className = 'ea-mini-popup-menu-item';
+        item.innerHTML = `${renderActionIcon(action)}<span>${escapeHtml(action.name)}</span>`;
+        item.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          showResponseModal('custom', action);
+        });
+        menu.appendChild(item);
+      });
+
+      miniPopup.appendChild(createPopupButton(ICONS.more, 'More actions', () => {
+        menu.classList.toggle('hidden');
+      }));
+      miniPopup.appendChild(menu);
+    }
+
+    // Keep the page's focus and selection when a button is pressed
+    miniPopup.addEventListener('mousedown', (e) => e.preventDefault());
+
+    getUIRoot().appendChild(miniPopup);
+  }
+
+  function createPopupButton(iconHtml, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'ea-mini-popup-btn';
+    button.innerHTML = iconHtml;
+    button.title = title;
+    button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      showResponseModal('translate');
+      onClick();
     });
+    return button;
+  }
 
-    miniPopup.appendChild(explainBtn);
-    miniPopup.appendChild(translateBtn);
-    
-    document.body.appendChild(miniPopup);
+  /**
+   * Open the site's default action right away instead of showing the popup
+   */
+  function runDefaultAction(context) {
+    const actionId = siteConfig.defaultAction;
+
+    if (actionId === 'explain' || actionId === 'translate') {
+      hideMiniPopup();
+      currentSelection = context;
+      showResponseModal(actionId);
+      return;
+    }
+
+    const action = customActions.find((item) => item.id === actionId);
+    if (action) {
+      hideMiniPopup();
+      currentSelection = context;
+      showResponseModal('custom', action);
+    } else {
+      // The configured action was removed or disabled
+      showMiniPopup(context);
+    }
+  }
+
+  /**
+   * Open the modal for an action requested by the background script (context menu)
+   * Prefers the live selection so page context is kept, falls back to the text Chrome passed along
+   */
+  function showActionFromBackground({ actionId, mode, text }) {
+    if (siteConfig.disabled || !text) return;
+
+    const context = getSelectionContext() || {
+      text: text.trim(),
+      contextBefore: '',
+      contextAfter: '',
+      headings: [],
+      ...getPageMetadata(),
+      position: { x: window.scrollX, y: window.scrollY }
+    };
+
+    if (!isTopFrame) {
+      relayToTopFrame({ kind: 'action', actionId, mode, context });
+      return;
+    }
+
+    showAction(actionId, mode, context);
+  }
+
+  /**
+   * Open the modal for an action on a selection
+   * @param {string} actionId - 'explain', 'translate' or a custom action ID
+   * @param {string} [mode] - Translate tab
+   * @param {Object} context - From getSelectionContext
+   */
+  function showAction(actionId, mode, context) {
+    hideMiniPopup();
+    currentSelection = context;
+
+    if (actionId === 'explain' || actionId === 'translate') {
+      showResponseModal(actionId, null, { tabId: mode });
+      return;
+    }
+
+    const action = customActions.find((item) => item.id === actionId);
+    if (action) {
+      showResponseModal('custom', action);
+    }
+  }
+
+  /**
+   * Run a keyboard shortcut forwarded by the background script
+   */
+  function runCommand(command) {
+    if (command === 'close-response') {
+      hideMiniPopup();
+      hideResponseModal();
+      return;
+    }
+
+    if (siteConfig.disabled) return;
+
+    // Shortcuts reach every frame, only the focused one holding the selection acts
+    if (!isFocusedFrame()) return;
+
+    const context = getSelectionContext();
+    if (!context) return;
+
+    if (!isTopFrame) {
+      relayToTopFrame({ kind: 'command', command, context });
+      return;
+    }
+
+    runSelectionCommand(command, context);
+  }
+
+  /**
+   * Run a keyboard shortcut on a selection
+   * @param {string} command - Command name from manifest.json
+   * @param {Object} context - From getSelectionContext
+   */
+  function runSelectionCommand(command, context) {
+    hideMiniPopup();
+    currentSelection = context;
+
+    if (command === 'explain-selection') {
+      showResponseModal('explain');
+    } else if (command === 'translate-selection') {
+      showResponseModal('translate');
+    } else if (command === 'repeat-last-action') {
+      repeatLastAction();
+    }
+  }
+
+  /**
+   * Whether the keyboard focus is in this frame rather than in a frame inside it
+   * The top frame also counts as focused when the focus is outside the page
+   */
+  function isFocusedFrame() {
+    const active = getDeepActiveElement();
+    if (active instanceof HTMLIFrameElement || active instanceof HTMLFrameElement) return false;
+    return isTopFrame || document.hasFocus();
+  }
+
+  /**
+   * Hand a selection in this frame to the top frame, which shows the popup and modal
+   * The selection goes through the background script so the pages embedding this frame never
+   * see it; only the point to show the popup at is passed up the frames with postMessage,
+   * each one adding the offset of the frame it came from
+   * @param {Object} relay - {kind, context, ...}, see handleFrameRelay
+   */
+  function relayToTopFrame(relay) {
+    if (!isExtensionContextValid()) return;
+
+    const relayId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    if (relay.context) {
+      window.parent.postMessage({
+        [FRAME_MESSAGE_KEY]: 'locate',
+        relayId,
+        x: relay.context.position.x - window.scrollX,
+        y: relay.context.position.y - window.scrollY
+      }, '*');
+    }
+
+    try {
+      chrome.runtime.sendMessage({ type: 'RELAY_TO_TOP_FRAME', payload: { ...relay, relayId } }, () => {
+        // The top frame may have no content script
+        void chrome.runtime.lastError;
+      });
+    } catch (e) {
+      console.warn('Explain Anything: Could not relay selection', e);
+    }
+  }
+
+  /**
+   * Pass the popup position of a frame's selection up to the top frame
+   * Messages are only taken from frames of this page, and carry no text
+   */
+  function handleFrameMessage(event) {
+    const data = event.data;
+    if (data?.[FRAME_MESSAGE_KEY] !== 'locate' || typeof data.relayId !== 'string') return;
+    if (!Number.isFinite(data.x) || !Number.isFinite(data.y)) return;
+
+    const frame = Array.from(document.querySelectorAll('iframe, frame'))
+      .find(element => element.contentWindow === event.source);
+    if (!frame) return;
+
+    // The frame's content starts inside its border and padding
+    const rect = frame.getBoundingClientRect();
+    const style = window.getComputedStyle(frame);
+    const x = rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0) + data.x;
+    const y = rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0) + data.y;
+
+    if (!isTopFrame) {
+      window.parent.postMessage({ [FRAME_MESSAGE_KEY]: 'locate', relayId: data.relayId, x, y }, '*');
+      return;
+    }
+
+    completeFrameRelay(data.relayId, { position: { x: x + window.scrollX, y: y + window.scrollY } });
+  }
+
+  /**
+   * Collect the halves of a frame's selection and handle it once it is complete
+   * @param {string} relayId - Shared by both halves
+   * @param {Object} part - The relay from the background script, or the position
+   */
+  function completeFrameRelay(relayId, part) {
+    const relay = { ...pendingFrameRelays.get(relayId), ...part };
+    pendingFrameRelays.delete(relayId);
+
+    // Only the popup needs the position, the modal is centered
+    const isComplete = relay.kind && (relay.kind !== 'selection' || !relay.context || relay.position);
+    if (!isComplete) {
+      pendingFrameRelays.set(relayId, relay);
+      setTimeout(() => pendingFrameRelays.delete(relayId), FRAME_RELAY_TIMEOUT_MS);
+      return;
+    }
+
+    handleFrameRelay(relay);
+  }
+
+  /**
+   * Act on a selection made in a frame, as if it was made in this page
+   * @param {Object} relay
+   * @param {string} relay.kind - 'selection', 'action' (context menu) or 'command' (keyboard shortcut)
+   * @param {Object|null} relay.context - From getSelectionContext in the frame, null when its selection was cleared
+   * @param {{x: number, y: number}} [relay.position] - Where the selection is in this page
+   */
+  function handleFrameRelay({ kind, context, position, trigger, actionId, mode, command }) {
+    if (siteConfig.disabled) return;
+
+    const frameContext = context && {
+      ...context,
+      position: position || { x: window.scrollX, y: window.scrollY }
+    };
+
+    if (kind === 'selection') {
+      showSelectionUI(frameContext, trigger);
+    } else if (kind === 'action' && frameContext) {
+      showAction(actionId, mode, frameContext);
+    } else if (kind === 'command' && frameContext) {
+      runSelectionCommand(command, frameContext);
+    }
+  }
+
+  /**
+   * Re-run the last action on the current selection, defaults to Explain
+   */
+  function repeatLastAction() {
+    chrome.storage.local.get({ lastAction: null }).then(({ lastAction }) => {
+      if (lastAction?.type === 'translate') {
+        showResponseModal('translate', null, { tabId: lastAction.tabId });
+        return;
+      }
+
+      const action = lastAction?.type === 'custom'
+        ? customActions.find((item) => item.id === lastAction.actionId)
+        : null;
+
+      if (action) {
+        showResponseModal('custom', action);
+      } else {
+        showResponseModal('explain');
+      }
+    }).catch(() => showResponseModal('explain'));
   }
 
   /**
@@ -156,9 +780,17 @@
 
   /**
    * Create and show the response modal
+   * @param {string} type - 'explain', 'translate' or 'custom'
+   * @param {Object|null} action - Custom action, for type 'custom'
+   * @param {Object} [options]
+   * @param {string} [options.tabId] - Initial translate tab
+   * @param {Object} [options.saved] - History entry to show instead of requesting a new answer
    */
-  function showResponseModal(type = 'explain') {
+  function showResponseModal(type = 'explain', action = null, { tabId: initialTab = 'translation', saved = null } = {}) {
+    // A modal replacing another one keeps the focus the page had before the first
+    const previousFocus = modalOverlay ? focusBeforeModal : document.activeElement;
     hideResponseModal();
+    focusBeforeModal = previousFocus;
     
     modalOverlay = document.createElement('div');
     modalOverlay.className = 'ea-modal-overlay';
@@ -175,11 +807,15 @@
     const selectedTextDir = detectTextDirection(currentSelection.text);
     const isRTL = selectedTextDir === 'rtl';
 
-    const title = type === 'explain' ? 'Explain Anything' : 'Translate';
-    const icon = type === 'explain' ? ICONS.explain : ICONS.translate;
+    const titles = { explain: 'Explain Anything', translate: 'Translate' };
+    const icons = { explain: ICONS.explain, translate: ICONS.translate };
+    const title = type === 'custom' ? escapeHtml(action.name) : titles[type];
+    const icon = type === 'custom' ? renderActionIcon(action) : icons[type];
 
+    activeType = type;
+    activeAction = type === 'custom' ? action : null;
     if (type === 'translate') {
-      activeTab = 'translation';
+      activeTab = getTranslateTab(initialTab).id;
     } else {
       activeTab = null;
     }
@@ -221,11 +857,18 @@
         <div class="ea-response-container">
           ${renderLoading(loadingText)}
         </div>
+        <div class="ea-thread"></div>
+      </div>
+      <div class="ea-followup hidden">
+        <textarea class="ea-followup-input" rows="1" placeholder="Ask a follow-up question..."></textarea>
+        <button class="ea-followup-send" title="Send">
+          ${ICONS.send}
+        </button>
       </div>
     `;
     
     modalOverlay.appendChild(modal);
-    document.body.appendChild(modalOverlay);
+    getUIRoot().appendChild(modalOverlay);
     
     // Event listeners
     modal.querySelector('.ea-close-btn').addEventListener('click', hideResponseModal);
@@ -233,6 +876,7 @@
     modalOverlay.addEventListener('click', (e) => {
       if (e.target === modalOverlay) hideResponseModal();
     });
+    setupFollowUpInput(modal);
 
     if (type === 'translate') {
       modal.querySelectorAll('.ea-tab-btn').forEach((btn) => {
@@ -255,7 +899,12 @@
     
     // Hide mini popup and request explanation
     hideMiniPopup();
-    requestAIResponse(type, activeTab);
+    if (saved) {
+      showSavedResponse(saved);
+    } else {
+      rememberLastAction();
+      requestAIResponse(type, activeTab);
+    }
   }
 
   /**
@@ -263,9 +912,16 @@
    */
   function hideResponseModal() {
     if (modalOverlay) {
+      const hadFocus = document.activeElement === uiHost;
       modalOverlay.remove();
       modalOverlay = null;
+
+      // Give the focus back to the page without scrolling it
+      if (hadFocus && focusBeforeModal?.isConnected && focusBeforeModal !== uiHost) {
+        focusBeforeModal.focus({ preventScroll: true });
+      }
     }
+    focusBeforeModal = null;
     cleanupActivePort();
     document.removeEventListener('keydown', handleEscape);
     document.removeEventListener('mousemove', drag);
@@ -323,7 +979,9 @@
    * Copy response to clipboard
    */
   async function copyResponse() {
-    const responseEl = modalOverlay?.querySelector('.ea-response');
+    // Copy the latest answer when a follow-up thread is open
+    const responses = modalOverlay?.querySelectorAll('.ea-response');
+    const responseEl = responses?.[responses.length - 1];
     if (!responseEl) return;
     
     const copyBtn = modalOverlay.querySelector('.ea-copy-btn');
@@ -376,6 +1034,24 @@
       const isActive = btn.dataset.tab === tabId;
       btn.classList.toggle('active', isActive);
     });
+    rememberLastAction();
+  }
+
+  /**
+   * Store the action shown in the modal so the "repeat last action" shortcut works across pages
+   */
+  function rememberLastAction() {
+    if (!isExtensionContextValid()) return;
+
+    const lastAction = {
+      type: activeType,
+      actionId: activeAction?.id || null,
+      tabId: activeTab
+    };
+
+    chrome.storage.local.set({ lastAction }).catch((e) => {
+      console.warn('Explain Anything: Could not store last action', e);
+    });
   }
 
   function getTranslateTab(tabId) {
@@ -396,6 +1072,9 @@
           return 'Getting translation...';
       }
     }
+    if (type === 'custom' && activeAction) {
+      return `Running ${activeAction.name}...`;
+    }
     return type === 'translate' ? 'Getting translation...' : 'Getting explanation...';
   }
 
@@ -403,6 +1082,9 @@
     if (type === 'translate') {
       return getTranslateTab(tabId).label.toLowerCase();
     }
+    if (type === 'custom' && activeAction) {
+      return activeAction.name.toLowerCase();
+    }
     return type === 'translate' ? 'translation' : 'explanation';
   }
 
@@ -422,51 +1104,263 @@
     }
   }
 
-  function cleanupActivePort() {
-    if (activeRequestPort) {
-      try {
-        activeRequestPort.disconnect();
-      } catch (e) {
-        console.warn('Could not disconnect port', e);
-      }
-      activeRequestPort = null;
+  /**
+   * Show the countdown while the background script waits to retry a failed request
+   */
+  function showRetryStatus(container, { retryIn, attempt, maxAttempts, status, providerName }) {
+    const loading = container?.querySelector('.ea-loading');
+    if (!loading) return;
+
+    let statusEl = loading.querySelector('.ea-loading-status');
+    if (!statusEl) {
+      statusEl = document.createElement('div');
+      statusEl.className = 'ea-loading-status';
+      loading.appendChild(statusEl);
+    }
+
+    const reason = status === 429
+      ? `${providerName} is rate limiting requests`
+      : status === 0
+        ? `Could not reach ${providerName}`
+        : `${providerName} is unavailable`;
+    statusEl.textContent = `${reason}, retrying in ${retryIn}s... (attempt ${attempt + 1} of ${maxAttempts})`;
+  }
+
+  function cleanupActivePort() {
+    modalOverlay?.querySelector('.ea-stop-btn')?.remove();
+    if (activeRequestPort) {
+      try {
+        activeRequestPort.disconnect();
+      } catch (e) {
+        console.warn('Could not disconnect port', e);
+      }
+      activeRequestPort = null;
+    }
+  }
+
+  /**
+   * Request explanation or translation from background script using streaming
+   * Starts a fresh conversation for the current selection
+   */
+  function requestAIResponse(type, tabId = null, { regenerate = false } = {}) {
+    if (!isExtensionContextValid()) {
+      showReloadMessage();
+      return;
+    }
+
+    const container = modalOverlay?.querySelector('.ea-response-container');
+    if (container) {
+      // Show loading state initially
+      showLoadingState(type, tabId);
+    }
+
+    resetConversation();
+
+    const showFooter = (content, meta) => {
+      renderResponseFooter(container, meta, type, tabId, content);
+      if (meta?.truncated) {
+        renderTruncatedNotice(container, () => continueResponse(container, type, tabId, showFooter));
+      }
+    };
+
+    streamAIResponse({
+      type,
+      tabId,
+      container,
+      regenerate,
+      onDone: (content, meta) => {
+        conversation.push({ role: 'assistant', content });
+        currentHistoryId = meta?.historyId || null;
+        showFooter(content, meta);
+        showFollowUpInput();
+      },
+      onError: (errorMsg) => showErrorState(errorMsg, type, tabId)
+    });
+  }
+
+  /**
+   * Ask a follow-up question about the current selection
+   * Prior turns are sent along so the model keeps the original context
+   */
+  function requestFollowUp(question) {
+    if (!isExtensionContextValid()) {
+      showReloadMessage();
+      return;
     }
+
+    const thread = modalOverlay?.querySelector('.ea-thread');
+    if (!thread) return;
+
+    // Only the latest answer can be continued, the question comes after the others
+    modalOverlay.querySelectorAll('.ea-continue-btn').forEach(button => button.remove());
+
+    const questionEl = document.createElement('div');
+    questionEl.className = 'ea-thread-question';
+    questionEl.textContent = question;
+
+    const answerEl = document.createElement('div');
+    answerEl.className = 'ea-thread-answer';
+
+    thread.appendChild(questionEl);
+    thread.appendChild(answerEl);
+
+    const followUps = [...conversation, { role: 'user', content: question }];
+    const type = activeType;
+    const tabId = activeTab;
+
+    const showFooter = (content, meta) => {
+      if (meta?.truncated) {
+        renderTruncatedNotice(answerEl, () => continueResponse(answerEl, type, tabId, showFooter));
+      }
+    };
+
+    const send = () => {
+      answerEl.innerHTML = renderLoading('Thinking...');
+      setFollowUpBusy(true);
+      scrollModalToBottom();
+
+      streamAIResponse({
+        type,
+        tabId,
+        container: answerEl,
+        followUps,
+        onDone: (content, meta) => {
+          conversation.push({ role: 'user', content: question });
+          conversation.push({ role: 'assistant', content });
+          setFollowUpBusy(false);
+          showFooter(content, meta);
+        },
+        onError: (errorMsg) => {
+          answerEl.innerHTML = renderError(errorMsg);
+          answerEl.querySelector('.ea-retry-btn')?.addEventListener('click', send);
+          setFollowUpBusy(false);
+        }
+      });
+    };
+
+    send();
   }
 
   /**
-   * Request explanation or translation from background script using streaming
+   * Continue the latest answer after it was cut off at the token limit
+   * The partial answer is sent along and the new text streams in right after it
+   * @param {HTMLElement} container - Element showing the partial answer
+   * @param {string} type - 'explain', 'translate' or 'custom'
+   * @param {string|null} tabId - Active translate tab
+   * @param {Function} onDone - Called with the complete answer and the DONE message
    */
-  function requestAIResponse(type, tabId = null) {
+  function continueResponse(container, type, tabId, onDone) {
     if (!isExtensionContextValid()) {
       showReloadMessage();
       return;
     }
 
-    const container = modalOverlay?.querySelector('.ea-response-container');
-    if (container) {
-      // Show loading state initially
-      showLoadingState(type, tabId);
-    }
+    const answer = conversation[conversation.length - 1];
+    if (answer?.role !== 'assistant') return;
+
+    container.querySelectorAll('.ea-response-footer').forEach(footer => footer.remove());
+    setFollowUpBusy(true);
+
+    streamAIResponse({
+      type,
+      tabId,
+      container,
+      followUps: [...conversation],
+      continueFrom: answer.content,
+      onDone: (content, meta) => {
+        answer.content = content;
+        setFollowUpBusy(false);
+        onDone(content, meta);
+      },
+      onError: (errorMsg) => {
+        // Put the partial answer back, a cost confirmation may have replaced it
+        container.innerHTML = `<div class="ea-response">${renderMarkdown(answer.content)}</div>`;
+        container.querySelectorAll('pre code').forEach(block => highlightCode(block));
+        renderTruncatedNotice(container, () => continueResponse(container, type, tabId, onDone), errorMsg);
+        setFollowUpBusy(false);
+      }
+    });
+  }
 
-    const messageType = type === 'translate' ? 'TRANSLATE_TEXT_STREAM' : 'EXPLAIN_TEXT_STREAM';
+  /**
+   * Stream a response from the background script into a container
+   * @param {Object} options
+   * @param {string} options.type - 'explain', 'translate' or 'custom'
+   * @param {string|null} options.tabId - Active translate tab
+   * @param {HTMLElement} options.container - Element that receives the rendered response
+   * @param {Array<{role: string, content: string}>} [options.followUps] - Conversation after the first answer
+   * @param {boolean} [options.regenerate] - Skip the response cache
+   * @param {string} [options.continueFrom] - Cut-off answer to continue, the last turn of followUps;
+   *   the streamed text is appended to it
+   * @param {Function} options.onDone - Called with the full response text and the DONE message
+   * @param {Function} options.onError - Called with the error message
+   */
+  function streamAIResponse({ type, tabId, container, followUps = [], regenerate = false, continueFrom = '', onDone, onError }) {
+    const actionId = type === 'custom' ? activeAction?.id : type;
     cleanupActivePort();
     
     try {
       const port = chrome.runtime.connect({ name: 'explain-anything-stream' });
       activeRequestPort = port;
-      let fullContent = '';
+      let fullContent = continueFrom;
       let isFirstChunk = true;
+      // Sent with the chunks, so follow-ups to a stopped answer extend its history entry
+      let historyId = null;
+
+      // Sits after the container so re-rendering the response keeps it
+      const stopBtn = document.createElement('button');
+      stopBtn.className = 'ea-footer-btn ea-stop-btn';
+      stopBtn.textContent = 'Stop generating';
+      stopBtn.addEventListener('click', () => {
+        if (port !== activeRequestPort) return;
+        try {
+          port.postMessage({ type: 'CANCEL' });
+        } catch (e) {
+          console.warn('Could not cancel request', e);
+        }
+        cleanupActivePort();
+
+        if (!fullContent) {
+          onError('Stopped: The request was cancelled before a response arrived.');
+          return;
+        }
+        container?.querySelectorAll('.ea-response pre code').forEach(block => highlightCode(block));
+        onDone(fullContent, { stopped: true, historyId });
+      });
+      container?.after(stopBtn);
 
       port.onMessage.addListener((msg) => {
         if (port !== activeRequestPort || !modalOverlay) return;
 
         if (msg.error) {
           // Show error immediately instead of loading
-          showErrorState(msg.error, type, tabId);
+          onError(msg.error);
           cleanupActivePort();
           return;
         }
 
+        if (msg.type === 'STATUS') {
+          if (isFirstChunk) {
+            showRetryStatus(container, msg);
+          }
+          return;
+        }
+
+        if (msg.type === 'CONFIRM_COST') {
+          confirmCost(container, msg, {
+            onConfirm: () => {
+              stopBtn.hidden = false;
+              port.postMessage({ type: 'ACTION_TEXT_STREAM', payload: { ...payload, costConfirmed: true } });
+            },
+            onCancel: () => {
+              cleanupActivePort();
+              onError('Not sent: The request was cancelled before it was sent.');
+            }
+          });
+          stopBtn.hidden = true;
+          return;
+        }
+
         if (msg.type === 'CHUNK') {
           if (isFirstChunk && container) {
             container.innerHTML = `<div class="ea-response"></div>`;
@@ -474,21 +1368,17 @@
           }
           
           fullContent += msg.content;
+          historyId = msg.historyId || null;
           const responseEl = container?.querySelector('.ea-response');
           
           // Parse markdown and display
-          let html = parseMarkdown(fullContent);
-          // Apply text direction detection
-          html = applyTextDirection(html);
+          const html = renderMarkdown(fullContent);
           
           if (responseEl) {
             responseEl.innerHTML = html;
             
             // Optional: Scroll to bottom
-            const modalContent = modalOverlay.querySelector('.ea-modal-content');
-            if (modalContent) {
-              modalContent.scrollTop = modalContent.scrollHeight;
-            }
+            scrollModalToBottom();
           }
         }
 
@@ -501,33 +1391,53 @@
             });
           }
           cleanupActivePort();
+          onDone(fullContent, msg);
         }
       });
 
       const payload = {
+        actionId,
         text: currentSelection.text,
         contextBefore: currentSelection.contextBefore,
+        contextAfter: currentSelection.contextAfter,
+        headings: currentSelection.headings,
         pageTitle: currentSelection.pageTitle,
-        pageUrl: window.location.href
+        pageDescription: currentSelection.pageDescription,
+        pageLanguage: currentSelection.pageLanguage,
+        pageUrl: currentSelection.pageUrl
       };
 
       if (type === 'translate') {
         payload.mode = tabId || 'translation';
       }
 
+      if (followUps.length) {
+        payload.followUps = followUps;
+        payload.historyId = currentHistoryId;
+      }
+
+      if (regenerate) {
+        payload.regenerate = true;
+      }
+
+      if (continueFrom) {
+        payload.continuation = true;
+      }
+
       port.postMessage({
-        type: messageType,
+        type: 'ACTION_TEXT_STREAM',
         payload
       });
 
       port.onDisconnect.addListener(() => {
         if (port !== activeRequestPort) return;
+        stopBtn.remove();
         if (chrome.runtime.lastError) {
           console.warn('Port disconnected with error:', chrome.runtime.lastError);
           // If we haven't received any content, show error instead of loading
           if (isFirstChunk) {
             const errorMsg = chrome.runtime.lastError.message || 'Connection lost. Please refresh the page and try again.';
-            showErrorState(errorMsg, type, tabId);
+            onError(errorMsg);
           }
         }
         activeRequestPort = null;
@@ -536,8 +1446,309 @@
     } catch (e) {
       console.error('Streaming request failed:', e);
       const errorMsg = e.message || 'Failed to connect. Please refresh the page and try again.';
-      showErrorState(errorMsg, type, tabId);
+      onError(errorMsg);
+    }
+  }
+
+  /**
+   * Ask whether to send a request whose estimated cost is over the threshold in settings
+   * The loading state comes back when the user confirms
+   */
+  function confirmCost(container, { estimate, threshold, providerName, model }, { onConfirm, onCancel }) {
+    if (!container) return;
+
+    const loadingHtml = container.innerHTML;
+    const tokens = (estimate.promptTokens + estimate.completionTokens).toLocaleString();
+
+    container.innerHTML = `
+      <div class="ea-cost-confirm">
+        <div class="ea-cost-confirm-title">This request is estimated to cost about ${escapeHtml(formatCost(estimate.cost))}</div>
+        <div class="ea-cost-confirm-text">About ${escapeHtml(tokens)} tokens with ${escapeHtml(describeModel({ providerName, model }))}, more than the ${escapeHtml(formatCost(threshold))} you set to be asked about.</div>
+        <div class="ea-cost-confirm-buttons">
+          <button class="ea-retry-btn ea-cost-send">Send anyway</button>
+          <button class="ea-footer-btn ea-cost-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.ea-cost-send').addEventListener('click', () => {
+      container.innerHTML = loadingHtml;
+      onConfirm();
+    });
+    container.querySelector('.ea-cost-cancel').addEventListener('click', onCancel);
+  }
+
+  /**
+   * Show details and actions for a finished answer below it
+   * (cache or history origin, fallback provider, stopped answers, tokens and cost, and saving
+   * translations to the vocabulary deck)
+   */
+  function renderResponseFooter(container, meta, type, tabId, content) {
+    const isCachedOrSaved = meta?.cached || meta?.savedAt;
+    const usedFallback = meta?.answeredBy && meta.fallbackFrom?.length;
+    const isDowngraded = meta?.answeredBy && meta.budgetDowngrade;
+    const canSaveToDeck = type === 'translate' && content;
+    const canRegenerate = isCachedOrSaved || meta?.stopped;
+    const usage = meta?.usage;
+    if (!container || !(canRegenerate || usedFallback || isDowngraded || canSaveToDeck || usage)) return;
+
+    let badge = '';
+    if (meta?.stopped) {
+      badge = '<span class="ea-cached-badge" title="Generation was stopped, the answer may be incomplete">Stopped</span>';
+    } else if (meta?.cached) {
+      badge = `<span class="ea-cached-badge" title="Served from the local response cache">Cached · ${formatAge(meta.cachedAt)}</span>`;
+    } else if (meta?.savedAt) {
+      badge = `<span class="ea-cached-badge" title="Opened from your history">Saved · ${formatAge(meta.savedAt)}</span>`;
+    } else if (isDowngraded) {
+      badge = `<span class="ea-cached-badge" title="Your monthly budget is used up, so the cheaper model from settings answered">Over budget · ${escapeHtml(describeModel(meta.answeredBy))}</span>`;
+    } else if (usedFallback) {
+      badge = `<span class="ea-cached-badge ea-fallback-badge">Answered by ${escapeHtml(describeModel(meta.answeredBy))}</span>`;
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'ea-response-footer';
+    footer.innerHTML = `
+      ${usage ? `<span class="ea-usage">${escapeHtml(describeUsage(usage))}</span>` : ''}
+      ${badge}
+      ${canSaveToDeck ? '<button class="ea-footer-btn ea-deck-btn" title="Add this phrase to your vocabulary deck">Save to deck</button>' : ''}
+      ${canRegenerate ? '<button class="ea-footer-btn ea-regenerate-btn" title="Ask the model again">Regenerate</button>' : ''}
+    `;
+
+    const usageEl = footer.querySelector('.ea-usage');
+    if (usageEl) {
+      usageEl.title = `Prompt: ${usage.promptTokens.toLocaleString()} tokens\nCompletion: ${usage.completionTokens.toLocaleString()} tokens`;
+      if (typeof usage.cost !== 'number') {
+        usageEl.title += "\nThis model's price is unknown, so the answer doesn't count toward your monthly budget";
+      }
+    }
+
+    const fallbackBadge = footer.querySelector('.ea-fallback-badge');
+    if (fallbackBadge) {
+      fallbackBadge.title = ['Fell back after:', ...meta.fallbackFrom.map(failure => `${describeModel(failure)}: ${failure.error}`)].join('\n');
+    }
+
+    footer.querySelector('.ea-regenerate-btn')?.addEventListener('click', () => {
+      requestAIResponse(type, tabId, { regenerate: true });
+    });
+
+    const deckBtn = footer.querySelector('.ea-deck-btn');
+    deckBtn?.addEventListener('click', () => saveToDeck(deckBtn, content, tabId));
+
+    container.appendChild(footer);
+  }
+
+  /**
+   * Tell the user an answer stopped at the token limit and offer to continue it
+   * @param {HTMLElement} container - Element showing the answer
+   * @param {Function} onContinue - Continues the answer
+   * @param {string} [error] - Why the last attempt to continue failed
+   */
+  function renderTruncatedNotice(container, onContinue, error = '') {
+    if (!container) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'ea-response-footer ea-truncated-notice';
+    notice.innerHTML = `
+      <span class="ea-truncated-text">${error ? `Could not continue: ${escapeHtml(error)}` : 'Response was cut off'}</span>
+      <button class="ea-footer-btn ea-continue-btn" title="Ask the model to finish this answer">Continue</button>
+    `;
+    notice.querySelector('.ea-continue-btn').addEventListener('click', onContinue);
+
+    container.appendChild(notice);
+  }
+
+  /**
+   * Format the tokens and cost of an answer, e.g. "1,234 tokens · $0.0021"
+   */
+  function describeUsage({ promptTokens, completionTokens, cost }) {
+    const tokens = `${(promptTokens + completionTokens).toLocaleString()} tokens`;
+    return typeof cost === 'number' ? `${tokens} · ${formatCost(cost)}` : `${tokens} · price unknown`;
+  }
+
+  /**
+   * Format a cost in USD, with four decimals for fractions of a cent
+   */
+  function formatCost(cost) {
+    if (cost === 0) return '$0';
+    if (cost < 0.0001) return '<$0.0001';
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  /**
+   * Format a provider and model for display, e.g. "Gemini · gemini-2.0-flash"
+   */
+  function describeModel({ providerName, model }) {
+    return model ? `${providerName} · ${model}` : providerName;
+  }
+
+  /**
+   * Save the current selection and its translation to the vocabulary deck
+   */
+  function saveToDeck(button, translation, tabId) {
+    if (!isExtensionContextValid()) {
+      showReloadMessage();
+      return;
+    }
+
+    button.disabled = true;
+    chrome.runtime.sendMessage({
+      type: 'SAVE_TO_DECK',
+      payload: {
+        text: currentSelection.text,
+        translation,
+        contextBefore: currentSelection.contextBefore,
+        pageTitle: currentSelection.pageTitle,
+        pageUrl: currentSelection.pageUrl,
+        mode: tabId || 'translation'
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        button.disabled = false;
+        button.textContent = 'Save failed, retry';
+        return;
+      }
+      button.textContent = response.duplicate ? 'Already in deck' : 'Saved to deck';
+    });
+  }
+
+  /**
+   * Show a response from the history without asking the model again
+   * Follow-up turns are restored so the conversation can continue
+   */
+  function showSavedResponse(entry) {
+    const container = modalOverlay?.querySelector('.ea-response-container');
+    const thread = modalOverlay?.querySelector('.ea-thread');
+    if (!container || !thread) return;
+
+    resetConversation();
+
+    container.innerHTML = `<div class="ea-response">${renderMarkdown(entry.content)}</div>`;
+    container.querySelectorAll('pre code').forEach(block => highlightCode(block));
+    conversation.push({ role: 'assistant', content: entry.content });
+
+    (entry.thread || []).forEach((turn) => {
+      const turnEl = document.createElement('div');
+      if (turn.role === 'user') {
+        turnEl.className = 'ea-thread-question';
+        turnEl.textContent = turn.content;
+      } else {
+        turnEl.className = 'ea-thread-answer';
+        turnEl.innerHTML = `<div class="ea-response">${renderMarkdown(turn.content)}</div>`;
+        turnEl.querySelectorAll('pre code').forEach(block => highlightCode(block));
+      }
+      thread.appendChild(turnEl);
+      conversation.push({ role: turn.role, content: turn.content });
+    });
+
+    currentHistoryId = entry.id;
+    renderResponseFooter(container, { savedAt: entry.createdAt }, activeType, activeTab, entry.content);
+    showFollowUpInput();
+  }
+
+  /**
+   * Open the modal for a history entry sent by the background script
+   */
+  function showHistoryEntry(entry) {
+    if (!entry?.content) return;
+
+    hideMiniPopup();
+    currentSelection = {
+      text: entry.text,
+      contextBefore: entry.contextBefore,
+      contextAfter: entry.contextAfter || '',
+      headings: entry.headings || [],
+      pageTitle: entry.pageTitle || document.title,
+      pageDescription: entry.pageDescription || '',
+      pageLanguage: entry.pageLanguage || '',
+      pageUrl: window.location.href,
+      position: { x: window.scrollX, y: window.scrollY }
+    };
+
+    if (entry.actionId === 'explain' || entry.actionId === 'translate') {
+      showResponseModal(entry.actionId, null, { tabId: entry.mode || 'translation', saved: entry });
+      return;
+    }
+
+    // Fall back to the saved name and icon if the custom action was removed since
+    const action = customActions.find((item) => item.id === entry.actionId)
+      || { id: entry.actionId, name: entry.actionName, icon: entry.actionIcon };
+    showResponseModal('custom', action, { saved: entry });
+  }
+
+  /**
+   * Format a timestamp as a short relative age ("just now", "5m ago", "3d ago")
+   */
+  function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  function scrollModalToBottom() {
+    const modalContent = modalOverlay?.querySelector('.ea-modal-content');
+    if (modalContent) {
+      modalContent.scrollTop = modalContent.scrollHeight;
+    }
+  }
+
+  /**
+   * Clear the follow-up thread and hide the input until the first answer arrives
+   */
+  function resetConversation() {
+    conversation = [];
+    currentHistoryId = null;
+
+    const thread = modalOverlay?.querySelector('.ea-thread');
+    if (thread) {
+      thread.innerHTML = '';
     }
+
+    modalOverlay?.querySelector('.ea-followup')?.classList.add('hidden');
+  }
+
+  function showFollowUpInput() {
+    const followUp = modalOverlay?.querySelector('.ea-followup');
+    if (!followUp) return;
+
+    followUp.classList.remove('hidden');
+    setFollowUpBusy(false);
+  }
+
+  function setFollowUpBusy(isBusy) {
+    const followUp = modalOverlay?.querySelector('.ea-followup');
+    if (!followUp) return;
+
+    followUp.querySelector('.ea-followup-input').disabled = isBusy;
+    followUp.querySelector('.ea-followup-send').disabled = isBusy;
+  }
+
+  /**
+   * Wire up the follow-up input at the bottom of the modal
+   */
+  function setupFollowUpInput(modal) {
+    const input = modal.querySelector('.ea-followup-input');
+    const sendBtn = modal.querySelector('.ea-followup-send');
+
+    const submit = () => {
+      const question = input.value.trim();
+      if (!question || input.disabled) return;
+      input.value = '';
+      requestFollowUp(question);
+    };
+
+    sendBtn.addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+      // Keep host page shortcuts from reacting to typing; Escape still closes the modal
+      if (e.key !== 'Escape') {
+        e.stopPropagation();
+      }
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        submit();
+      }
+    });
   }
 
   /**
@@ -672,10 +1883,7 @@
       showErrorState(response.error, type, tabId);
     } else if (response?.content) {
       // Parse markdown and display
-      let html = parseMarkdown(response.content);
-
-      // Apply text direction detection
-      html = applyTextDirection(html);
+      const html = renderMarkdown(response.content);
 
       container.innerHTML = `<div class="ea-response">${html}</div>`;
 
@@ -688,150 +1896,6 @@
     }
   }
 
-  /**
-   * Simple markdown parser
-   */
-  function parseMarkdown(text) {
-    if (!text) return '';
-    
-    let html = escapeHtml(text);
-    
-    // Code blocks
-    html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-      return `<pre><code class="language-${lang || 'plaintext'}">${code.trim()}</code></pre>`;
-    });
-    
-    // Inline code
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-    
-    // Bold
-    html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    
-    // Italic
-    html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-    
-    // Headers
-    html = html.replace(/^#### (.+)$/gm, '<h4>$1</h4>');
-    html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-    html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-    html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
-    
-    // Blockquotes
-    html = html.replace(/^&gt; (.+)$/gm, '<blockquote>$1</blockquote>');
-    
-    // Unordered lists
-    html = html.replace(/^- (.+)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>\n?)+/g, '<ul>$&</ul>');
-    
-    // Ordered lists
-    html = html.replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
-    
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-    
-    // Horizontal rules
-    html = html.replace(/^---$/gm, '<hr>');
-    
-    // Tables - must be processed before paragraphs
-    // Pattern matches: header row | separator row | data rows (with or without trailing newline)
-    html = html.replace(/(\|[^\n]*\|\n\|[:\-| ]+\|\n(?:\|[^\n]*\|(?:\n|$))+)/g, (match) => {
-      const lines = match.trim().split('\n').filter(line => line.trim());
-      if (lines.length < 2) return match;
-      
-      // Check if second line is a separator (contains dashes/colons)
-      const isSeparator = (line) => /^[\s|:\-]+$/.test(line);
-      let separatorIndex = -1;
-      
-      // Find separator row
-      for (let i = 1; i < lines.length; i++) {
-        if (isSeparator(lines[i])) {
-          separatorIndex = i;
-          break;
-        }
-      }
-      
-      // If no separator found, not a valid table
-      if (separatorIndex === -1) return match;
-      
-      // Helper function to parse a table row
-      const parseRow = (line) => {
-        const cells = line.split('|').map(cell => cell.trim());
-        // Remove empty cells from start/end (from leading/trailing pipes)
-        if (cells[0] === '') cells.shift();
-        if (cells[cells.length - 1] === '') cells.pop();
-        return cells;
-      };
-      
-      // Parse header row
-      const headerCells = parseRow(lines[0]);
-      const headerHtml = '<tr>' + headerCells.map(cell => `<th>${cell}</th>`).join('') + '</tr>';
-      
-      // Parse data rows (skip separator row)
-      const dataRows = lines.slice(separatorIndex + 1).map(line => {
-        const cells = parseRow(line);
-        return '<tr>' + cells.map(cell => `<td>${cell}</td>`).join('') + '</tr>';
-      }).join('');
-      
-      return '<table>' + headerHtml + dataRows + '</table>';
-    });
-    
-    // Paragraphs
-    html = html.replace(/\n\n/g, '</p><p>');
-    html = '<p>' + html + '</p>';
-    
-    // Clean up empty paragraphs
-    html = html.replace(/<p>\s*<\/p>/g, '');
-    html = html.replace(/<p>\s*(<h[1-4]>)/g, '$1');
-    html = html.replace(/(<\/h[1-4]>)\s*<\/p>/g, '$1');
-    html = html.replace(/<p>\s*(<ul>)/g, '$1');
-    html = html.replace(/(<\/ul>)\s*<\/p>/g, '$1');
-    html = html.replace(/<p>\s*(<pre>)/g, '$1');
-    html = html.replace(/(<\/pre>)\s*<\/p>/g, '$1');
-    html = html.replace(/<p>\s*(<blockquote>)/g, '$1');
-    html = html.replace(/(<\/blockquote>)\s*<\/p>/g, '$1');
-    html = html.replace(/<p>\s*(<hr>)/g, '$1');
-    html = html.replace(/(<hr>)\s*<\/p>/g, '$1');
-    html = html.replace(/<p>\s*(<table>)/g, '$1');
-    html = html.replace(/(<\/table>)\s*<\/p>/g, '$1');
-    
-    return html;
-  }
-
-  /**
-   * Simple syntax highlighting
-   */
-  function highlightCode(block) {
-    let code = block.textContent;
-    const lang = block.className.replace('language-', '');
-    
-    // Keywords for common languages
-    const keywords = {
-      javascript: /\b(const|let|var|function|return|if|else|for|while|class|extends|import|export|from|async|await|try|catch|throw|new|this|typeof|instanceof)\b/g,
-      python: /\b(def|class|if|else|elif|for|while|return|import|from|as|try|except|raise|with|lambda|yield|async|await|True|False|None)\b/g,
-      typescript: /\b(const|let|var|function|return|if|else|for|while|class|extends|import|export|from|async|await|try|catch|throw|new|this|typeof|instanceof|interface|type|enum|implements|private|public|protected)\b/g,
-      java: /\b(public|private|protected|class|interface|extends|implements|return|if|else|for|while|new|this|static|final|void|int|String|boolean)\b/g,
-      css: /\b(color|background|margin|padding|border|display|flex|grid|position|width|height|font|text)\b/g
-    };
-    
-    // Strings
-    code = code.replace(/(["'`])(?:(?!\1)[^\\]|\\.)*\1/g, '<span class="hljs-string">$&</span>');
-    
-    // Comments
-    code = code.replace(/(\/\/.*$|\/\*[\s\S]*?\*\/|#.*$)/gm, '<span class="hljs-comment">$&</span>');
-    
-    // Keywords
-    const keywordPattern = keywords[lang] || keywords.javascript;
-    code = code.replace(keywordPattern, '<span class="hljs-keyword">$&</span>');
-    
-    // Numbers
-    code = code.replace(/\b(\d+\.?\d*)\b/g, '<span class="hljs-number">$1</span>');
-    
-    // Functions
-    code = code.replace(/\b([a-zA-Z_]\w*)\s*\(/g, '<span class="hljs-function">$1</span>(');
-    
-    block.innerHTML = code;
-  }
-
   /**
    * Escape HTML special characters
    */
@@ -884,6 +1948,14 @@
     return (rtlWordCount / totalDirectionalWords) > 0.5 ? 'rtl' : 'ltr';
   }
 
+  /**
+   * Render an answer as HTML
+   * Images from the answer are only loaded outside strict privacy mode, otherwise they are links
+   */
+  function renderMarkdown(content) {
+    return applyTextDirection(parseMarkdown(content, { allowImages: showImages && !strictPrivacy }));
+  }
+
   /**
    * Apply direction attributes to HTML elements based on text content
    */
@@ -905,39 +1977,108 @@
    * Handle text selection
    */
   function handleSelection(e) {
+    // Disabled by a site rule
+    if (siteConfig.disabled) {
+      return;
+    }
+
     // Ignore if clicking inside our UI
-    if (e.target.closest('.ea-mini-popup, .ea-modal-overlay')) {
+    if (isEventFromOwnUI(e)) {
       return;
     }
+
+    // Read now, the path is empty once the event is dispatched
+    const path = e.composedPath();
+    const trigger = { altKey: e.altKey, isMouseUp: e.type === 'mouseup' };
     
     // Small delay to let selection complete
     setTimeout(() => {
-      const context = getSelectionContext();
-      
-      if (context && context.text.length >= 2) {
-        showMiniPopup(context);
-      } else {
-        hideMiniPopup();
+      const context = getSelectionContext(path);
+
+      if (isTopFrame) {
+        showSelectionUI(context, trigger);
+      } else if (context || hasRelayedSelection) {
+        // Clearing a selection only needs relaying when the popup shows it
+        hasRelayedSelection = !!context;
+        relayToTopFrame({ kind: 'selection', context, trigger });
       }
     }, 10);
   }
 
+  /**
+   * Show the popup for a finished selection, or run the site's default action
+   * @param {Object|null} context - From getSelectionContext, null when nothing is selected
+   * @param {{altKey: boolean, isMouseUp: boolean}} trigger - How the selection was made
+   */
+  function showSelectionUI(context, { altKey, isMouseUp }) {
+    // Site rule asks for Alt to be held while selecting
+    if (siteConfig.trigger === 'modifier' && !altKey) {
+      hideMiniPopup();
+      return;
+    }
+
+    if (!context || context.text.length < 2) {
+      hideMiniPopup();
+    } else if (siteConfig.trigger === 'instant' && isMouseUp) {
+      // Keyboard selections still use the popup, otherwise every Shift+Arrow would start a request
+      runDefaultAction(context);
+    } else {
+      showMiniPopup(context);
+    }
+  }
+
+  /**
+   * Whether an event happened in the popup or modal
+   * The UI's shadow root is closed, so outside it its events only show the host
+   */
+  function isEventFromOwnUI(e) {
+    return !!uiHost && e.composedPath().includes(uiHost);
+  }
+
   /**
    * Handle clicks outside selection
    */
   function handleClick(e) {
     // Don't hide if clicking our UI
-    if (e.target.closest('.ea-mini-popup, .ea-modal-overlay')) {
+    if (isEventFromOwnUI(e)) {
       return;
     }
     
     // Hide popup if clicking elsewhere and no selection
-    const selection = window.getSelection();
+    const selection = getDeepSelection(e.composedPath());
     if (!selection || selection.toString().trim().length < 2) {
       hideMiniPopup();
     }
   }
 
+  // Load custom actions and site rules, and keep them in sync with the options page
+  loadContentConfig();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.customActions || changes.siteRules || changes.contextBeforeChars || changes.contextAfterChars || changes.strictPrivacy || changes.showImages)) {
+      loadContentConfig();
+    }
+  });
+
+  // Messages from the background script (context menu, keyboard shortcuts, history)
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === 'SHOW_ACTION_MODAL') {
+      showActionFromBackground(message.payload || {});
+      sendResponse({ success: true });
+    } else if (message?.type === 'RUN_COMMAND') {
+      runCommand(message.payload?.command);
+      sendResponse({ success: true });
+    } else if (message?.type === 'SHOW_SAVED_RESPONSE') {
+      showHistoryEntry(message.payload);
+      sendResponse({ success: true });
+    } else if (message?.type === 'FRAME_RELAY' && isTopFrame) {
+      completeFrameRelay(message.payload?.relayId, message.payload || {});
+      sendResponse({ success: true });
+    }
+  });
+
+  // Popup positions of selections in frames, passed up through each parent frame
+  window.addEventListener('message', handleFrameMessage);
+
   // Initialize event listeners
   document.addEventListener('mouseup', handleSelection);
   document.addEventListener('mousedown', handleClick);
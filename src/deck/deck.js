@@ -0,0 +1,371 @@
+/**
+ * Explain Anything - Vocabulary Deck Page Script
+ */
+
+import { scheduleReview } from '../background/deck.js';
+
+const { parseMarkdown } = globalThis.ExplainAnythingMarkdown;
+
+// Labels of the translate tabs, mirrors TRANSLATE_TABS in the content script
+const TRANSLATE_MODE_LABELS = {
+  translation: 'Translation',
+  idioms: 'Idioms & Nuance',
+  similar: 'Similar Phrases',
+  learning: 'Study Notes'
+};
+
+const GRADE_KEYS = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' };
+
+// DOM Elements
+const elements = {
+  dueStats: document.getElementById('dueStats'),
+  reviewEmpty: document.getElementById('reviewEmpty'),
+  reviewCard: document.getElementById('reviewCard'),
+  reviewFront: document.getElementById('reviewFront'),
+  reviewContext: document.getElementById('reviewContext'),
+  reviewAnswer: document.getElementById('reviewAnswer'),
+  showAnswer: document.getElementById('showAnswer'),
+  gradeButtons: document.getElementById('gradeButtons'),
+  deckSearch: document.getElementById('deckSearch'),
+  deckStats: document.getElementById('deckStats'),
+  deckList: document.getElementById('deckList'),
+  exportCsv: document.getElementById('exportCsv'),
+  exportTsv: document.getElementById('exportTsv')
+};
+
+// State
+let allCards = [];
+let reviewQueue = [];
+let isAnswerShown = false;
+let isGrading = false;
+let allowImages = false;
+
+/**
+ * Initialize the deck page
+ */
+async function init() {
+  setupEventListeners();
+  await loadImageSetting();
+  await loadDeck();
+}
+
+/**
+ * Load whether answers may load images, see showImages in the background script
+ */
+async function loadImageSetting() {
+  const response = await sendMessage({ type: 'GET_SETTINGS' });
+  allowImages = !!response?.settings?.showImages && !response.settings.strictPrivacy;
+}
+
+/**
+ * Load cards from the background script and start a review session
+ */
+async function loadDeck() {
+  const response = await sendMessage({ type: 'GET_DECK' });
+
+  if (response?.error) {
+    elements.deckList.innerHTML = `
+      <div class="model-error">
+        <span>Failed to load the deck. ${escapeHtml(response.error)}</span>
+      </div>
+    `;
+    return;
+  }
+
+  allCards = response?.cards || [];
+  const now = Date.now();
+  reviewQueue = allCards
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due);
+
+  showNextCard();
+  renderCardList();
+}
+
+/**
+ * Send a message to the background script
+ */
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, resolve);
+  });
+}
+
+/**
+ * Show the first card of the review queue, question side up
+ */
+function showNextCard() {
+  const card = reviewQueue[0];
+  elements.dueStats.textContent = `${reviewQueue.length} due now • ${allCards.length} cards in total`;
+
+  if (!card) {
+    elements.reviewCard.classList.add('hidden');
+    elements.reviewEmpty.classList.remove('hidden');
+    return;
+  }
+
+  isAnswerShown = false;
+  elements.reviewEmpty.classList.add('hidden');
+  elements.reviewCard.classList.remove('hidden');
+
+  elements.reviewFront.textContent = card.front;
+  elements.reviewContext.innerHTML = card.context
+    ? `…${escapeHtml(card.context)} <mark>${escapeHtml(card.front)}</mark>`
+    : '';
+  elements.reviewAnswer.innerHTML = parseMarkdown(card.back, { allowImages });
+  elements.reviewAnswer.classList.add('hidden');
+  elements.gradeButtons.classList.add('hidden');
+  elements.showAnswer.classList.remove('hidden');
+
+  elements.gradeButtons.querySelectorAll('.grade-btn').forEach(button => {
+    const next = scheduleReview(card, button.dataset.grade);
+    button.querySelector('.grade-interval').textContent = formatInterval(next.due - Date.now());
+  });
+}
+
+/**
+ * Reveal the answer side of the current card
+ */
+function revealAnswer() {
+  if (!reviewQueue.length || isAnswerShown) return;
+
+  isAnswerShown = true;
+  elements.reviewAnswer.classList.remove('hidden');
+  elements.showAnswer.classList.add('hidden');
+  elements.gradeButtons.classList.remove('hidden');
+}
+
+/**
+ * Grade the current card and move on
+ * Cards graded "Again" go back to the end of this session's queue
+ */
+async function gradeCard(grade) {
+  const card = reviewQueue[0];
+  if (!card || !isAnswerShown || isGrading) return;
+
+  isGrading = true;
+  const response = await sendMessage({ type: 'REVIEW_DECK_CARD', payload: { id: card.id, grade } });
+  isGrading = false;
+
+  reviewQueue.shift();
+
+  if (response?.card) {
+    allCards = allCards.map(item => item.id === card.id ? response.card : item);
+    if (grade === 'again') {
+      reviewQueue.push(response.card);
+    }
+  }
+
+  showNextCard();
+  renderCardList();
+}
+
+/**
+ * Render the card list, filtered by the search box
+ */
+function renderCardList() {
+  const terms = elements.deckSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const cards = terms.length
+    ? allCards.filter(card => {
+      const haystack = [card.front, card.back, card.context, card.pageTitle].join('\n').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    })
+    : allCards;
+
+  elements.deckStats.textContent = `Showing ${cards.length} of ${allCards.length} cards`;
+
+  if (cards.length === 0) {
+    elements.deckList.innerHTML = `
+      <div class="model-empty">
+        <span>${allCards.length ? 'No cards match your search' : 'Your deck is empty'}</span>
+      </div>
+    `;
+    return;
+  }
+
+  elements.deckList.innerHTML = cards.map(card => `
+    <div class="deck-item" data-card-id="${escapeHtml(card.id)}">
+      <div class="deck-item-text">
+        <span class="deck-item-front" dir="auto">${escapeHtml(card.front)}</span>
+        <span class="deck-item-back" dir="auto">${escapeHtml(truncate(card.back, 160))}</span>
+      </div>
+      <div class="deck-item-meta">
+        <span>${escapeHtml(card.language || '')}${card.mode && card.mode !== 'translation' ? ` • ${escapeHtml(TRANSLATE_MODE_LABELS[card.mode] || card.mode)}` : ''}</span>
+        <span>${escapeHtml(formatDue(card.due))}</span>
+      </div>
+      <button type="button" class="btn btn-text btn-small card-delete">Delete</button>
+    </div>
+  `).join('');
+
+  elements.deckList.querySelectorAll('.deck-item').forEach(item => {
+    item.querySelector('.card-delete').addEventListener('click', () => deleteCard(item.dataset.cardId));
+  });
+}
+
+/**
+ * Delete a card
+ */
+async function deleteCard(cardId) {
+  await sendMessage({ type: 'DELETE_DECK_CARDS', payload: { ids: [cardId] } });
+
+  const wasCurrent = reviewQueue[0]?.id === cardId;
+  allCards = allCards.filter(card => card.id !== cardId);
+  reviewQueue = reviewQueue.filter(card => card.id !== cardId);
+
+  if (wasCurrent) {
+    showNextCard();
+  } else {
+    elements.dueStats.textContent = `${reviewQueue.length} due now • ${allCards.length} cards in total`;
+  }
+  renderCardList();
+}
+
+/**
+ * Export every card in an Anki-importable text format
+ * Fields are HTML; the header lines tell Anki the separator and column names
+ * @param {string} separator - ',' for CSV or '\t' for TSV
+ */
+function exportDeck(separator) {
+  const isCsv = separator === ',';
+  const header = [
+    `#separator:${isCsv ? 'Comma' : 'Tab'}`,
+    '#html:true',
+    `#columns:${['Front', 'Back', 'Context', 'Source', 'Tags'].join(separator)}`,
+    '#tags column:5'
+  ];
+
+  const rows = allCards.map(card => [
+    escapeHtml(card.front),
+    parseMarkdown(card.back),
+    card.context ? `…${escapeHtml(card.context)} <b>${escapeHtml(card.front)}</b>` : '',
+    card.pageUrl ? `<a href="${escapeHtml(card.pageUrl)}">${escapeHtml(card.pageTitle || card.pageUrl)}</a>` : '',
+    getCardTags(card)
+  ].map(field => quoteField(field, separator)).join(separator));
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    `explain-anything-deck-${date}.${isCsv ? 'csv' : 'tsv'}`,
+    [...header, ...rows].join('\n') + '\n',
+    isCsv ? 'text/csv' : 'text/tab-separated-values'
+  );
+}
+
+/**
+ * Build the space-separated Anki tags of a card
+ */
+function getCardTags(card) {
+  const tags = ['explain-anything'];
+  if (card.language) {
+    tags.push(card.language.toLowerCase().replace(/\s+/g, '_'));
+  }
+  if (card.mode && card.mode !== 'translation') {
+    tags.push(card.mode);
+  }
+  return tags.join(' ');
+}
+
+/**
+ * Quote a field when it contains the separator, quotes or line breaks
+ */
+function quoteField(field, separator) {
+  const value = String(field ?? '');
+  if (value.includes(separator) || /["\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Trigger a file download
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Format the time until a card comes back ("10m", "1d", "3mo")
+ */
+function formatInterval(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+}
+
+/**
+ * Describe when a card is due
+ */
+function formatDue(due) {
+  const ms = due - Date.now();
+  return ms <= 0 ? 'Due now' : `Due in ${formatInterval(ms)}`;
+}
+
+/**
+ * Shorten text for previews
+ */
+function truncate(text, length) {
+  if (!text) return '';
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Debounce function
+ */
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  elements.showAnswer.addEventListener('click', revealAnswer);
+  elements.gradeButtons.querySelectorAll('.grade-btn').forEach(button => {
+    button.addEventListener('click', () => gradeCard(button.dataset.grade));
+  });
+
+  elements.deckSearch.addEventListener('input', debounce(renderCardList, 200));
+  elements.exportCsv.addEventListener('click', () => exportDeck(','));
+  elements.exportTsv.addEventListener('click', () => exportDeck('\t'));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.closest('input, textarea, select') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === ' ' || e.key === 'Enter') {
+      if (!isAnswerShown && reviewQueue.length) {
+        e.preventDefault();
+        revealAnswer();
+      }
+      return;
+    }
+
+    if (GRADE_KEYS[e.key]) {
+      gradeCard(GRADE_KEYS[e.key]);
+    }
+  });
+}
+
+// Initialize
+init();
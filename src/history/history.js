@@ -0,0 +1,425 @@
+/**
+ * Explain Anything - History Page Script
+ */
+
+const { parseMarkdown, highlightCode } = globalThis.ExplainAnythingMarkdown;
+
+// Labels of the translate tabs, mirrors TRANSLATE_TABS in the content script
+const TRANSLATE_MODE_LABELS = {
+  translation: 'Translation',
+  idioms: 'Idioms & Nuance',
+  similar: 'Similar Phrases',
+  learning: 'Study Notes'
+};
+
+// DOM Elements
+const elements = {
+  historySearch: document.getElementById('historySearch'),
+  filterAction: document.getElementById('filterAction'),
+  filterSite: document.getElementById('filterSite'),
+  filterFrom: document.getElementById('filterFrom'),
+  filterTo: document.getElementById('filterTo'),
+  historyStats: document.getElementById('historyStats'),
+  historyList: document.getElementById('historyList'),
+  exportJson: document.getElementById('exportJson'),
+  exportMarkdown: document.getElementById('exportMarkdown'),
+  clearHistory: document.getElementById('clearHistory')
+};
+
+// State
+let allEntries = [];
+let filteredEntries = [];
+const expandedIds = new Set();
+let allowImages = false;
+
+/**
+ * Initialize the history page
+ */
+async function init() {
+  setupEventListeners();
+  await loadImageSetting();
+  await loadHistory();
+}
+
+/**
+ * Load whether answers may load images, see showImages in the background script
+ */
+async function loadImageSetting() {
+  const response = await sendMessage({ type: 'GET_SETTINGS' });
+  allowImages = !!response?.settings?.showImages && !response.settings.strictPrivacy;
+}
+
+/**
+ * Load history entries from the background script
+ */
+async function loadHistory() {
+  const response = await sendMessage({ type: 'GET_HISTORY' });
+
+  if (response?.error) {
+    elements.historyList.innerHTML = `
+      <div class="model-error">
+        <span>Failed to load history. ${escapeHtml(response.error)}</span>
+      </div>
+    `;
+    return;
+  }
+
+  allEntries = response?.entries || [];
+  populateFilters();
+  applyFilters();
+}
+
+/**
+ * Send a message to the background script
+ */
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, resolve);
+  });
+}
+
+/**
+ * Fill the action and site dropdowns from the entries
+ */
+function populateFilters() {
+  const actions = new Map();
+  const sites = new Set();
+
+  allEntries.forEach(entry => {
+    if (!actions.has(entry.actionId)) {
+      actions.set(entry.actionId, entry.actionName || entry.actionId);
+    }
+    const hostname = getHostname(entry.pageUrl);
+    if (hostname) {
+      sites.add(hostname);
+    }
+  });
+
+  const selectedAction = elements.filterAction.value;
+  const selectedSite = elements.filterSite.value;
+
+  elements.filterAction.innerHTML = '<option value="">All actions</option>' +
+    Array.from(actions.entries())
+      .map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`)
+      .join('');
+
+  elements.filterSite.innerHTML = '<option value="">All sites</option>' +
+    Array.from(sites)
+      .sort()
+      .map(site => `<option value="${escapeHtml(site)}">${escapeHtml(site)}</option>`)
+      .join('');
+
+  elements.filterAction.value = actions.has(selectedAction) ? selectedAction : '';
+  elements.filterSite.value = sites.has(selectedSite) ? selectedSite : '';
+}
+
+/**
+ * Apply search and filters to the entries
+ */
+function applyFilters() {
+  const terms = elements.historySearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const actionId = elements.filterAction.value;
+  const site = elements.filterSite.value;
+  // Date inputs are in local time; "to" includes the whole day
+  const from = elements.filterFrom.value ? new Date(`${elements.filterFrom.value}T00:00:00`).getTime() : null;
+  const to = elements.filterTo.value ? new Date(`${elements.filterTo.value}T23:59:59.999`).getTime() : null;
+
+  filteredEntries = allEntries.filter(entry => {
+    if (actionId && entry.actionId !== actionId) return false;
+    if (site && getHostname(entry.pageUrl) !== site) return false;
+    if (from && entry.createdAt < from) return false;
+    if (to && entry.createdAt > to) return false;
+
+    if (terms.length) {
+      const haystack = [
+        entry.text,
+        entry.content,
+        entry.pageTitle,
+        entry.pageUrl,
+        entry.actionName,
+        ...(entry.thread || []).map(turn => turn.content)
+      ].join('\n').toLowerCase();
+
+      return terms.every(term => haystack.includes(term));
+    }
+
+    return true;
+  });
+
+  renderEntries();
+}
+
+/**
+ * Render the filtered entries
+ */
+function renderEntries() {
+  elements.historyStats.textContent = `Showing ${filteredEntries.length} of ${allEntries.length} entries`;
+
+  if (filteredEntries.length === 0) {
+    elements.historyList.innerHTML = `
+      <div class="model-empty">
+        <span>${allEntries.length ? 'No entries match your filters' : 'Nothing here yet. Completed explanations and translations will show up here.'}</span>
+      </div>
+    `;
+    return;
+  }
+
+  elements.historyList.innerHTML = filteredEntries.map(entry => {
+    const isExpanded = expandedIds.has(entry.id);
+    const hostname = getHostname(entry.pageUrl);
+    const followUps = Math.floor((entry.thread?.length || 0) / 2);
+
+    return `
+      <article class="history-entry" data-entry-id="${escapeHtml(entry.id)}">
+        <div class="history-entry-header">
+          <span class="history-badge">${escapeHtml(getEntryLabel(entry))}</span>
+          ${hostname ? `<span class="history-site" title="${escapeHtml(entry.pageTitle || entry.pageUrl)}">${escapeHtml(hostname)}</span>` : ''}
+          <span class="history-date">${escapeHtml(formatDate(entry.createdAt))}</span>
+        </div>
+        <blockquote class="history-selection" dir="auto">${escapeHtml(truncate(entry.text, 240))}</blockquote>
+        ${isExpanded
+          ? `<div class="history-response">${renderConversation(entry)}</div>`
+          : `<p class="history-preview" dir="auto">${escapeHtml(truncate(entry.content, 200))}</p>`}
+        <div class="history-entry-footer">
+          <span class="history-model">${escapeHtml(entry.model || entry.provider || '')}${followUps ? ` • ${followUps} follow-up${followUps === 1 ? '' : 's'}` : ''}</span>
+          <div class="history-entry-buttons">
+            <button type="button" class="btn btn-text btn-small entry-toggle">${isExpanded ? 'Collapse' : 'View'}</button>
+            <button type="button" class="btn btn-text btn-small entry-reopen" ${/^https?:/i.test(entry.pageUrl) ? '' : 'disabled'}>Open in Page</button>
+            <button type="button" class="btn btn-text btn-small entry-delete">Delete</button>
+          </div>
+        </div>
+        <div class="entry-status hidden"></div>
+      </article>
+    `;
+  }).join('');
+
+  elements.historyList.querySelectorAll('.history-response pre code').forEach(block => highlightCode(block));
+
+  elements.historyList.querySelectorAll('.history-entry').forEach(item => {
+    const entryId = item.dataset.entryId;
+
+    item.querySelector('.entry-toggle').addEventListener('click', () => {
+      if (expandedIds.has(entryId)) {
+        expandedIds.delete(entryId);
+      } else {
+        expandedIds.add(entryId);
+      }
+      renderEntries();
+    });
+
+    item.querySelector('.entry-reopen').addEventListener('click', () => reopenEntry(entryId, item));
+    item.querySelector('.entry-delete').addEventListener('click', () => deleteEntry(entryId));
+  });
+}
+
+/**
+ * Render an entry's response and follow-up thread as HTML
+ */
+function renderConversation(entry) {
+  const turns = [{ role: 'assistant', content: entry.content }, ...(entry.thread || [])];
+
+  return turns.map(turn => turn.role === 'user'
+    ? `<div class="history-question" dir="auto">${escapeHtml(turn.content)}</div>`
+    : `<div class="history-answer markdown-body">${parseMarkdown(turn.content, { allowImages })}</div>`
+  ).join('');
+}
+
+/**
+ * Open the entry's page with the saved response shown in the modal
+ */
+async function reopenEntry(entryId, item) {
+  const status = item.querySelector('.entry-status');
+  status.classList.add('hidden');
+
+  const response = await sendMessage({ type: 'REOPEN_HISTORY', payload: { id: entryId } });
+
+  if (response?.error) {
+    status.textContent = response.error;
+    status.classList.remove('hidden');
+  }
+}
+
+/**
+ * Delete a single entry
+ */
+async function deleteEntry(entryId) {
+  await sendMessage({ type: 'DELETE_HISTORY', payload: { ids: [entryId] } });
+  allEntries = allEntries.filter(entry => entry.id !== entryId);
+  expandedIds.delete(entryId);
+  populateFilters();
+  applyFilters();
+}
+
+/**
+ * Delete every entry after confirmation
+ */
+async function clearAllHistory() {
+  if (!allEntries.length || !confirm('Delete your entire history? This cannot be undone.')) {
+    return;
+  }
+
+  await sendMessage({ type: 'DELETE_HISTORY' });
+  allEntries = [];
+  expandedIds.clear();
+  populateFilters();
+  applyFilters();
+}
+
+/**
+ * Export the filtered entries as JSON
+ */
+function exportJson() {
+  const data = JSON.stringify(filteredEntries, null, 2);
+  downloadFile(`explain-anything-history-${formatFileDate()}.json`, data, 'application/json');
+}
+
+/**
+ * Export the filtered entries as Markdown
+ */
+function exportMarkdown() {
+  const sections = filteredEntries.map(entry => {
+    const lines = [
+      `## ${getEntryLabel(entry)}: ${truncate(entry.text.replace(/\s+/g, ' '), 80)}`,
+      '',
+      `- **Date:** ${new Date(entry.createdAt).toISOString()}`
+    ];
+
+    if (entry.pageUrl) {
+      lines.push(`- **Page:** [${(entry.pageTitle || entry.pageUrl).replace(/[[\]]/g, '')}](${formatLinkTarget(entry.pageUrl)})`);
+    }
+    if (entry.model) {
+      lines.push(`- **Model:** ${entry.model}`);
+    }
+
+    lines.push('', quoteMarkdown(entry.text), '', fenceMarkdown(entry.content));
+
+    (entry.thread || []).forEach(turn => {
+      lines.push('', turn.role === 'user' ? `**Q:**\n\n${quoteMarkdown(turn.content)}` : fenceMarkdown(turn.content));
+    });
+
+    return lines.join('\n');
+  });
+
+  const markdown = `# Explain Anything History\n\n${sections.join('\n\n---\n\n')}\n`;
+  downloadFile(`explain-anything-history-${formatFileDate()}.md`, markdown, 'text/markdown');
+}
+
+/**
+ * Write a URL as a Markdown link target that spaces and parentheses can't break
+ */
+function formatLinkTarget(url) {
+  return `<${url.replace(/[\s<>]/g, char => encodeURIComponent(char))}>`;
+}
+
+/**
+ * Quote text line by line
+ */
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Fence an answer so its headings and rules can't break the export's structure
+ * The fence is longer than any run of backticks in the answer, so its code blocks stay inside
+ */
+function fenceMarkdown(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}markdown\n${text}\n${fence}`;
+}
+
+/**
+ * Trigger a file download
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get the label of an entry's action, including the translate tab
+ */
+function getEntryLabel(entry) {
+  const name = entry.actionName || entry.actionId;
+  if (entry.actionId === 'translate' && entry.mode && entry.mode !== 'translation') {
+    return `${name} • ${TRANSLATE_MODE_LABELS[entry.mode] || entry.mode}`;
+  }
+  return entry.actionIcon ? `${entry.actionIcon} ${name}` : name;
+}
+
+/**
+ * Get the hostname of a URL, empty for invalid URLs
+ */
+function getHostname(url) {
+  try {
+    return url ? new URL(url).hostname : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Format a timestamp for display
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+/**
+ * Format today's date for export file names
+ */
+function formatFileDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Shorten text for previews
+ */
+function truncate(text, length) {
+  if (!text) return '';
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Debounce function
+ */
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  elements.historySearch.addEventListener('input', debounce(applyFilters, 200));
+  elements.filterAction.addEventListener('change', applyFilters);
+  elements.filterSite.addEventListener('change', applyFilters);
+  elements.filterFrom.addEventListener('change', applyFilters);
+  elements.filterTo.addEventListener('change', applyFilters);
+  elements.exportJson.addEventListener('click', exportJson);
+  elements.exportMarkdown.addEventListener('click', exportMarkdown);
+  elements.clearHistory.addEventListener('click', clearAllHistory);
+}
+
+// Initialize
+init();
@@ -0,0 +1,1239 @@
+/**
+ * Explain Anything - Markdown Renderer
+ * Shared by the content script and the extension pages (history, deck)
+ * Parses the CommonMark blocks and inlines models write, plus GitHub's tables,
+ * strikethrough and task lists. HTML in the text is always escaped, never passed through.
+ */
+
+(function(global) {
+  'use strict';
+
+  // Links and images with any other scheme, or none, render as plain text
+  const LINK_SCHEMES = ['http', 'https', 'mailto'];
+  const IMAGE_SCHEMES = ['https'];
+
+  const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+  const CLOSING_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+  const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+  const BLOCKQUOTE = /^ {0,3}> ?/;
+  const LIST_ITEM = /^( {0,3})([-+*]|(\d{1,9})([.)]))([ \t]+|$)/;
+  const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+  const TABLE_DELIMITER_ROW = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const REFERENCE_DEFINITION = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<(?:[^<>\n\\]|\\.)*>|\S+)(?:[ \t]*\n?[ \t]*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+  // Sticky, matched at a position of the inline text
+  const ENTITY = /&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/y;
+  const URI_AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+  const EMAIL_AUTOLINK = /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y;
+  const REFERENCE_LABEL = /\[((?:[^\\[\]]|\\.){0,999})\]/y;
+
+  const INLINE_SPECIAL = /[\\`*_~![\]<&\n]/g;
+  const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+  const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+  // Block quotes, lists, emphasis and links nested deeper render as text, which keeps
+  // the recursion in parsing and rendering bounded
+  const MAX_NESTING_DEPTH = 20;
+
+  // Tokens of highlighted code: a comment, a string, a number, or a word (keyword or function name)
+  const CODE_TOKEN = /(\/\/.*|\/\*[\s\S]*?\*\/|#.*)|((["'`])(?:(?!\3)[^\\]|\\.)*\3)|\b(\d+\.?\d*)\b|\b([a-zA-Z_]\w*)\b/g;
+  const CALL_PARENTHESIS = /\s*\(/y;
+
+  // Keywords for common languages, the others use JavaScript's
+  const KEYWORDS = {
+    javascript: 'const let var function return if else for while class extends import export from async await try catch throw new this typeof instanceof',
+    python: 'def class if else elif for while return import from as try except raise with lambda yield async await True False None',
+    typescript: 'const let var function return if else for while class extends import export from async await try catch throw new this typeof instanceof interface type enum implements private public protected',
+    java: 'public private protected class interface extends implements return if else for while new this static final void int String boolean',
+    css: 'color background margin padding border display flex grid position width height font text'
+  };
+
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  /**
+   * Render markdown as HTML
+   * @param {string} text - Markdown, possibly cut off mid-stream
+   * @param {Object} [options]
+   * @param {boolean} [options.allowImages=false] - Load images, otherwise they become links to the image
+   * @returns {string} HTML
+   */
+  function parseMarkdown(text, { allowImages = false } = {}) {
+    if (!text) return '';
+
+    const lines = text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u0000/g, '\uFFFD')
+      .split('\n')
+      .map(expandTabs);
+
+    // Filled while parsing the blocks, references may be defined after they are used
+    const refs = new Map();
+    const { blocks } = parseBlocks(lines, refs);
+
+    return renderBlocks(blocks, { refs, allowImages }, false);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blocks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Split lines into blocks, recursing into block quotes and list items
+   * @param {Array<string>} lines - Lines of the document or of a container
+   * @param {Map} refs - Link reference definitions, added to
+   * @param {number} [depth=0] - Block quotes and list items this container is nested in
+   * @returns {{blocks: Array<Object>, separatedByBlank: boolean}} separatedByBlank is true when a
+   *   blank line sits between two of the blocks, which makes a list item loose
+   */
+  function parseBlocks(lines, refs, depth = 0) {
+    const blocks = [];
+    let paragraph = null;
+    let started = 0;
+    let blankBeforeNext = false;
+    let separatedByBlank = false;
+    let i = 0;
+
+    const startBlock = () => {
+      if (blankBeforeNext && started) separatedByBlank = true;
+      blankBeforeNext = false;
+      started++;
+    };
+
+    const closeParagraph = () => {
+      if (!paragraph) return;
+      const text = extractReferences(joinParagraph(paragraph), refs);
+      if (text) blocks.push({ type: 'paragraph', text });
+      paragraph = null;
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        closeParagraph();
+        blankBeforeNext = true;
+        i++;
+        continue;
+      }
+
+      // Indented code, which can't interrupt a paragraph
+      if (getIndent(line) >= 4) {
+        if (paragraph) {
+          paragraph.push(line);
+          i++;
+          continue;
+        }
+
+        const code = [];
+        while (i < lines.length && (isBlank(lines[i]) || getIndent(lines[i]) >= 4)) {
+          code.push(lines[i].slice(4));
+          i++;
+        }
+        let trailingBlanks = 0;
+        while (isBlank(code[code.length - 1])) {
+          code.pop();
+          trailingBlanks++;
+        }
+        startBlock();
+        blocks.push({ type: 'code', lang: '', text: code.join('\n') });
+        blankBeforeNext = trailingBlanks > 0;
+        continue;
+      }
+
+      // Fenced code, runs to the end when the closing fence hasn't arrived yet
+      const fence = matchFence(line);
+      if (fence) {
+        closeParagraph();
+        startBlock();
+        const code = [];
+        i++;
+        while (i < lines.length) {
+          const closing = lines[i].match(CLOSING_FENCE);
+          if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+            i++;
+            break;
+          }
+          code.push(removeIndent(lines[i], fence.indent));
+          i++;
+        }
+        blocks.push({ type: 'code', lang: fence.lang, text: code.join('\n') });
+        continue;
+      }
+
+      const heading = line.match(ATX_HEADING);
+      if (heading) {
+        closeParagraph();
+        startBlock();
+        blocks.push({ type: 'heading', level: heading[1].length, text: (heading[2] || '').trim() });
+        i++;
+        continue;
+      }
+
+      if (paragraph && SETEXT_UNDERLINE.test(line)) {
+        const text = extractReferences(joinParagraph(paragraph), refs);
+        paragraph = null;
+        if (text) {
+          blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text });
+          i++;
+          continue;
+        }
+      }
+
+      if (THEMATIC_BREAK.test(line)) {
+        closeParagraph();
+        startBlock();
+        blocks.push({ type: 'hr' });
+        i++;
+        continue;
+      }
+
+      if (depth < MAX_NESTING_DEPTH && BLOCKQUOTE.test(line)) {
+        closeParagraph();
+        startBlock();
+        const quoted = [];
+        while (i < lines.length) {
+          const current = lines[i];
+          if (BLOCKQUOTE.test(current)) {
+            quoted.push(current.replace(BLOCKQUOTE, ''));
+          } else if (!isBlank(current) && !isBlank(quoted[quoted.length - 1]) && !startsBlock(current)) {
+            // Lazy continuation of a quoted paragraph
+            quoted.push(current);
+          } else {
+            break;
+          }
+          i++;
+        }
+        blocks.push({ type: 'blockquote', blocks: parseBlocks(quoted, refs, depth + 1).blocks });
+        continue;
+      }
+
+      const item = line.match(LIST_ITEM);
+      if (item && depth < MAX_NESTING_DEPTH && (!paragraph || canInterruptParagraph(item, line))) {
+        closeParagraph();
+        startBlock();
+        const list = parseList(lines, i, refs, depth);
+        blocks.push(list.block);
+        i = list.next;
+        continue;
+      }
+
+      if (isTableStart(lines, i)) {
+        closeParagraph();
+        startBlock();
+        const table = parseTable(lines, i);
+        blocks.push(table.block);
+        i = table.next;
+        continue;
+      }
+
+      if (!paragraph) {
+        startBlock();
+        paragraph = [];
+      }
+      paragraph.push(line);
+      i++;
+    }
+
+    closeParagraph();
+    return { blocks, separatedByBlank };
+  }
+
+  /**
+   * Parse a list and all its items
+   * @param {Array<string>} lines
+   * @param {number} i - Line of the first item
+   * @param {Map} refs
+   * @param {number} depth - Nesting of the container the list is in
+   * @returns {{block: Object, next: number}} The list and the line after it
+   */
+  function parseList(lines, i, refs, depth) {
+    const first = lines[i].match(LIST_ITEM);
+    const ordered = first[3] !== undefined;
+    const marker = ordered ? first[4] : first[2];
+    const items = [];
+    let loose = false;
+
+    // Items of the same list use the same bullet, or the same delimiter after the number
+    const matchItem = (line) => {
+      const match = line.match(LIST_ITEM);
+      if (!match || THEMATIC_BREAK.test(line)) return null;
+      if ((match[3] !== undefined) !== ordered || (ordered ? match[4] : match[2]) !== marker) return null;
+      return match;
+    };
+
+    while (i < lines.length) {
+      const match = matchItem(lines[i]);
+      if (!match) break;
+
+      const markerEnd = match[1].length + match[2].length;
+      const rest = lines[i].slice(markerEnd);
+      const spaces = getIndent(rest);
+
+      // Content starting with indented code, or on the next line, is indented by one space
+      const padding = isBlank(rest) || spaces >= 5 ? 1 : spaces;
+      const contentIndent = markerEnd + padding;
+      const itemLines = [isBlank(rest) ? '' : rest.slice(padding)];
+      i++;
+
+      while (i < lines.length) {
+        const current = lines[i];
+
+        if (isBlank(current)) {
+          // An item can start with at most one blank line
+          if (itemLines.length === 1 && itemLines[0] === '') break;
+          itemLines.push('');
+        } else if (getIndent(current) >= contentIndent) {
+          itemLines.push(current.slice(contentIndent));
+        } else if (!isBlank(itemLines[itemLines.length - 1]) && !LIST_ITEM.test(current) && !startsBlock(current)) {
+          // Lazy continuation of the item's paragraph
+          itemLines.push(current);
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      // Blank lines after the item belong to whatever follows it
+      while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+        itemLines.pop();
+        i--;
+      }
+
+      const task = itemLines[0].match(TASK_MARKER);
+      if (task) {
+        itemLines[0] = itemLines[0].slice(task[0].length);
+      }
+
+      const content = parseBlocks(itemLines, refs, depth + 1);
+      if (content.separatedByBlank) loose = true;
+      items.push({ blocks: content.blocks, checked: task ? task[1] !== ' ' : null });
+
+      // A blank line between two items makes the list loose
+      let next = i;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next > i && next < lines.length && matchItem(lines[next])) {
+        loose = true;
+        i = next;
+      }
+    }
+
+    return {
+      block: { type: 'list', ordered, start: ordered ? Number(first[3]) : 1, loose, items },
+      next: i
+    };
+  }
+
+  /**
+   * Whether a header row and a matching delimiter row start a table at a line
+   * @param {Array<string>} lines
+   * @param {number} i
+   * @returns {boolean}
+   */
+  function isTableStart(lines, i) {
+    const header = lines[i];
+    const delimiter = lines[i + 1];
+
+    return delimiter !== undefined &&
+      header.includes('|') &&
+      delimiter.includes('|') &&
+      TABLE_DELIMITER_ROW.test(delimiter) &&
+      splitTableRow(header).length === splitTableRow(delimiter).length;
+  }
+
+  /**
+   * Parse a table, which ends at a blank line or the start of another block
+   * @param {Array<string>} lines
+   * @param {number} i - Line of the header row
+   * @returns {{block: Object, next: number}} The table and the line after it
+   */
+  function parseTable(lines, i) {
+    const header = splitTableRow(lines[i]);
+    const align = splitTableRow(lines[i + 1]).map((cell) => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      return left ? 'left' : '';
+    });
+
+    const rows = [];
+    i += 2;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+      const cells = splitTableRow(lines[i]);
+      // Rows are cut or padded to the header's width
+      rows.push(header.map((_, index) => cells[index] || ''));
+      i++;
+    }
+
+    return { block: { type: 'table', align, header, rows }, next: i };
+  }
+
+  /**
+   * Split a table row into cells, \| is a pipe inside a cell
+   * @param {string} line
+   * @returns {Array<string>}
+   */
+  function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        cell += '|';
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    cells.push(cell.trim());
+
+    return cells;
+  }
+
+  /**
+   * Match the opening fence of a code block
+   * @param {string} line
+   * @returns {{indent: number, marker: string, lang: string}|null}
+   */
+  function matchFence(line) {
+    const match = line.match(FENCE);
+    // Backtick fences can't have backticks in their info string, those are inline code
+    if (!match || (match[2][0] === '`' && match[3].includes('`'))) return null;
+
+    return {
+      indent: match[1].length,
+      marker: match[2],
+      lang: unescapeText(match[3].trim().split(/\s+/)[0])
+    };
+  }
+
+  /**
+   * Whether a line starts a block that ends a paragraph, a lazy continuation or a table
+   * @param {string} line
+   * @returns {boolean}
+   */
+  function startsBlock(line) {
+    const item = line.match(LIST_ITEM);
+    return ATX_HEADING.test(line) ||
+      THEMATIC_BREAK.test(line) ||
+      BLOCKQUOTE.test(line) ||
+      !!matchFence(line) ||
+      (!!item && canInterruptParagraph(item, line));
+  }
+
+  /**
+   * Whether a list item can end the paragraph before it
+   * Only non-empty bullets and numbered items starting at 1 can, so "2024. was a year" stays text
+   * @param {Array<string>} item - LIST_ITEM match
+   * @param {string} line
+   * @returns {boolean}
+   */
+  function canInterruptParagraph(item, line) {
+    return (item[3] === undefined || Number(item[3]) === 1) && !isBlank(line.slice(item[0].length));
+  }
+
+  /**
+   * Remove link reference definitions from the start of a paragraph
+   * @param {string} text - Paragraph text
+   * @param {Map} refs - Definitions, the first one of a label wins
+   * @returns {string} The rest of the paragraph
+   */
+  function extractReferences(text, refs) {
+    let match;
+    while ((match = text.match(REFERENCE_DEFINITION))) {
+      const label = normalizeLabel(match[1]);
+      if (!label) break;
+
+      if (!refs.has(label)) {
+        const href = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+        refs.set(label, {
+          href: unescapeText(href),
+          title: match[3] ? unescapeText(match[3].slice(1, -1)) : ''
+        });
+      }
+      text = text.slice(match[0].length);
+    }
+    return text;
+  }
+
+  /**
+   * Join paragraph lines, keeping trailing spaces that mark hard line breaks
+   * @param {Array<string>} lines
+   * @returns {string}
+   */
+  function joinParagraph(lines) {
+    return lines.map(line => line.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+  }
+
+  /**
+   * Render blocks as HTML
+   * @param {Array<Object>} blocks
+   * @param {Object} context - {refs, allowImages}
+   * @param {boolean} tight - Items of a tight list don't wrap their paragraphs in <p>
+   * @returns {string}
+   */
+  function renderBlocks(blocks, context, tight) {
+    return blocks.map(block => renderBlock(block, context, tight)).join('\n');
+  }
+
+  /**
+   * Render one block as HTML
+   * @param {Object} block
+   * @param {Object} context - {refs, allowImages}
+   * @param {boolean} tight
+   * @returns {string}
+   */
+  function renderBlock(block, context, tight) {
+    switch (block.type) {
+      case 'paragraph': {
+        const html = renderInline(block.text, context);
+        return tight ? html : `<p>${html}</p>`;
+      }
+
+      case 'heading':
+        return `<h${block.level}>${renderInline(block.text, context)}</h${block.level}>`;
+
+      case 'code': {
+        const lang = block.lang.replace(/[^\w+#.-]/g, '') || 'plaintext';
+        return `<pre><code class="language-${lang}">${escapeHtml(block.text)}</code></pre>`;
+      }
+
+      case 'hr':
+        return '<hr>';
+
+      case 'blockquote':
+        return `<blockquote>${renderBlocks(block.blocks, context, false)}</blockquote>`;
+
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map((item) => {
+          const content = renderBlocks(item.blocks, context, !block.loose);
+          if (item.checked === null) {
+            return `<li>${content}</li>`;
+          }
+
+          const checkbox = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}>`;
+          const body = content.startsWith('<p>')
+            ? `<p>${checkbox} ${content.slice(3)}`
+            : `${checkbox} ${content}`;
+          return `<li class="task-list-item">${body}</li>`;
+        });
+        return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+      }
+
+      case 'table': {
+        const renderCell = (tag, text, index) => {
+          const align = block.align[index] ? ` style="text-align: ${block.align[index]}"` : '';
+          return `<${tag}${align}>${renderInline(text, context)}</${tag}>`;
+        };
+        const head = `<thead><tr>${block.header.map((text, index) => renderCell('th', text, index)).join('')}</tr></thead>`;
+        const body = block.rows.length
+          ? `<tbody>${block.rows.map(row => `<tr>${row.map((text, index) => renderCell('td', text, index)).join('')}</tr>`).join('')}</tbody>`
+          : '';
+        return `<table>${head}${body}</table>`;
+      }
+    }
+
+    return '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inlines
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render the inline content of a block as HTML
+   * @param {string} text
+   * @param {Object} context - {refs, allowImages}
+   * @returns {string}
+   */
+  function renderInline(text, context) {
+    const nodes = parseInlines(text, context.refs);
+    processEmphasis(nodes);
+    return renderNodes(nodes, context);
+  }
+
+  /**
+   * Tokenize inline text into nodes, resolving code spans, links and images as they close
+   * Emphasis delimiters are kept as nodes for processEmphasis
+   * @param {string} text
+   * @param {Map} refs - Link reference definitions
+   * @returns {Array<Object>}
+   */
+  function parseInlines(text, refs) {
+    const nodes = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      switch (char) {
+        case '\\': {
+          const next = text[i + 1];
+          if (next === '\n') {
+            nodes.push({ type: 'html', value: '<br>\n', text: ' ' });
+            i = skipSpaces(text, i + 2);
+          } else if (next && ASCII_PUNCTUATION.test(next)) {
+            pushText(nodes, next);
+            i += 2;
+          } else {
+            pushText(nodes, '\\');
+            i++;
+          }
+          break;
+        }
+
+        case '`': {
+          const length = countRun(text, i, '`');
+          const closing = findBacktickRun(text, i + length, length);
+          if (closing === -1) {
+            pushText(nodes, '`'.repeat(length));
+            i += length;
+            break;
+          }
+
+          let code = text.slice(i + length, closing).replace(/\n/g, ' ');
+          if (/^ [\s\S]* $/.test(code) && /[^ ]/.test(code)) {
+            code = code.slice(1, -1);
+          }
+          nodes.push({ type: 'html', value: `<code>${escapeHtml(code)}</code>`, text: code });
+          i = closing + length;
+          break;
+        }
+
+        case '*':
+        case '_':
+        case '~': {
+          const length = countRun(text, i, char);
+          // Only ~ and ~~ strike through
+          if (char === '~' && length > 2) {
+            pushText(nodes, char.repeat(length));
+          } else {
+            const flanking = getFlanking(char, text[i - 1] || '\n', text[i + length] || '\n');
+            nodes.push({ type: 'delim', char, count: length, origCount: length, ...flanking });
+          }
+          i += length;
+          break;
+        }
+
+        case '!':
+          if (text[i + 1] === '[') {
+            nodes.push({ type: 'bracket', image: true, active: true, start: i + 2 });
+            i += 2;
+          } else {
+            pushText(nodes, '!');
+            i++;
+          }
+          break;
+
+        case '[':
+          nodes.push({ type: 'bracket', image: false, active: true, start: i + 1 });
+          i++;
+          break;
+
+        case ']':
+          i = closeBracket(nodes, text, i, refs);
+          break;
+
+        case '<': {
+          const uri = matchAt(URI_AUTOLINK, text, i);
+          const email = !uri && matchAt(EMAIL_AUTOLINK, text, i);
+          if (uri || email) {
+            const match = uri || email;
+            nodes.push({
+              type: 'link',
+              image: false,
+              href: uri ? match[1] : `mailto:${match[1]}`,
+              title: '',
+              children: [{ type: 'text', value: match[1] }]
+            });
+            i += match[0].length;
+          } else {
+            pushText(nodes, '<');
+            i++;
+          }
+          break;
+        }
+
+        case '&': {
+          const entity = matchAt(ENTITY, text, i);
+          if (entity) {
+            nodes.push({ type: 'html', value: entity[0], text: entity[0] });
+            i += entity[0].length;
+          } else {
+            pushText(nodes, '&');
+            i++;
+          }
+          break;
+        }
+
+        case '\n': {
+          // Two or more trailing spaces make a hard line break
+          const last = nodes[nodes.length - 1];
+          const isHardBreak = last?.type === 'text' && / {2,}$/.test(last.value);
+          if (last?.type === 'text') {
+            last.value = last.value.replace(/ +$/, '');
+          }
+          nodes.push({ type: 'html', value: isHardBreak ? '<br>\n' : '\n', text: ' ' });
+          i = skipSpaces(text, i + 1);
+          break;
+        }
+
+        default: {
+          INLINE_SPECIAL.lastIndex = i;
+          const next = INLINE_SPECIAL.exec(text);
+          const end = next ? next.index : text.length;
+          pushText(nodes, text.slice(i, end));
+          i = end;
+        }
+      }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Close the innermost open bracket as a link or image, or leave both brackets as text
+   * @param {Array<Object>} nodes - Nodes so far, changed in place
+   * @param {string} text
+   * @param {number} i - Position of the "]"
+   * @param {Map} refs
+   * @returns {number} Position after the link, or after the "]"
+   */
+  function closeBracket(nodes, text, i, refs) {
+    let openerIndex = nodes.length - 1;
+    while (openerIndex >= 0 && nodes[openerIndex].type !== 'bracket') openerIndex--;
+
+    if (openerIndex < 0) {
+      pushText(nodes, ']');
+      return i + 1;
+    }
+
+    const opener = nodes[openerIndex];
+    const target = opener.active && parseLinkTarget(text, i + 1, text.slice(opener.start, i), refs);
+
+    if (!target) {
+      nodes[openerIndex] = { type: 'text', value: opener.image ? '![' : '[' };
+      pushText(nodes, ']');
+      return i + 1;
+    }
+
+    const children = nodes.splice(openerIndex + 1);
+    processEmphasis(children);
+    const depth = 1 + getNestingDepth(children);
+    if (depth > MAX_NESTING_DEPTH) {
+      nodes[openerIndex] = { type: 'text', value: opener.image ? '![' : '[' };
+      for (const node of children) nodes.push(node);
+      pushText(nodes, ']');
+
+      // Any bracket below would hold this one too, so it can't be a link either
+      for (let j = openerIndex - 1; j >= 0; j--) {
+        if (nodes[j].type === 'bracket') nodes[j].active = false;
+      }
+      return i + 1;
+    }
+
+    nodes.pop();
+    nodes.push({ type: 'link', image: opener.image, href: target.href, title: target.title, children, depth });
+
+    // Links can't contain other links. Brackets below an inactive one were
+    // already deactivated by an earlier link
+    if (!opener.image) {
+      for (let j = openerIndex - 1; j >= 0; j--) {
+        const node = nodes[j];
+        if (node.type !== 'bracket' || node.image) continue;
+        if (!node.active) break;
+        node.active = false;
+      }
+    }
+
+    return target.end;
+  }
+
+  /**
+   * Parse what follows the "]" of a link: (destination "title"), [label], [] or nothing
+   * @param {string} text
+   * @param {number} i - Position after the "]"
+   * @param {string} label - Text between the brackets, for collapsed and shortcut references
+   * @param {Map} refs
+   * @returns {{href: string, title: string, end: number}|null}
+   */
+  function parseLinkTarget(text, i, label, refs) {
+    if (text[i] === '(') {
+      const inline = parseInlineTarget(text, i);
+      if (inline) return inline;
+    }
+
+    const reference = matchAt(REFERENCE_LABEL, text, i);
+    if (reference && reference[1].trim()) {
+      const definition = refs.get(normalizeLabel(reference[1]));
+      return definition ? { ...definition, end: i + reference[0].length } : null;
+    }
+
+    const definition = refs.get(normalizeLabel(label));
+    if (!definition) return null;
+    return { ...definition, end: reference ? i + reference[0].length : i };
+  }
+
+  /**
+   * Parse an inline link destination and title
+   * @param {string} text
+   * @param {number} i - Position of the "("
+   * @returns {{href: string, title: string, end: number}|null}
+   */
+  function parseInlineTarget(text, i) {
+    i = skipWhitespace(text, i + 1);
+
+    let href;
+    if (text[i] === '<') {
+      const match = text.slice(i).match(/^<((?:[^<>\n\\]|\\.)*)>/);
+      if (!match) return null;
+      href = match[1];
+      i += match[0].length;
+    } else {
+      // Balanced parentheses are part of the destination, e.g. Wikipedia links
+      const start = i;
+      let depth = 0;
+      while (i < text.length) {
+        const char = text[i];
+        if (char === '\\' && ASCII_PUNCTUATION.test(text[i + 1] || '')) {
+          i += 2;
+          continue;
+        }
+        if (/[\s\u0000-\u001f]/.test(char)) break;
+        if (char === '(') depth++;
+        if (char === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        i++;
+      }
+      href = text.slice(start, i);
+    }
+
+    const afterHref = i;
+    i = skipWhitespace(text, i);
+
+    let title = '';
+    if (i > afterHref && /["'(]/.test(text[i] || '')) {
+      const close = text[i] === '(' ? ')' : text[i];
+      let end = i + 1;
+      while (end < text.length && text[end] !== close) {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) return null;
+      title = text.slice(i + 1, end);
+      i = skipWhitespace(text, end + 1);
+    }
+
+    if (text[i] !== ')') return null;
+
+    return { href: unescapeText(href), title: unescapeText(title), end: i + 1 };
+  }
+
+  /**
+   * Whether a delimiter run can open or close emphasis, following CommonMark's flanking rules
+   * @param {string} char - "*", "_" or "~"
+   * @param {string} before - Character before the run, "\n" at the start
+   * @param {string} after - Character after the run, "\n" at the end
+   * @returns {{canOpen: boolean, canClose: boolean}}
+   */
+  function getFlanking(char, before, after) {
+    const beforeSpace = /\s/.test(before);
+    const afterSpace = /\s/.test(after);
+    const beforePunctuation = PUNCTUATION.test(before);
+    const afterPunctuation = PUNCTUATION.test(after);
+
+    const leftFlanking = !afterSpace && (!afterPunctuation || beforeSpace || beforePunctuation);
+    const rightFlanking = !beforeSpace && (!beforePunctuation || afterSpace || afterPunctuation);
+
+    // Underscores inside words, as in snake_case, never emphasize
+    if (char === '_') {
+      return {
+        canOpen: leftFlanking && (!rightFlanking || beforePunctuation),
+        canClose: rightFlanking && (!leftFlanking || afterPunctuation)
+      };
+    }
+
+    return { canOpen: leftFlanking, canClose: rightFlanking };
+  }
+
+  /**
+   * Match emphasis delimiters into <em>, <strong> and <del> elements, in place
+   * Unmatched delimiters stay behind and render as text, and so does emphasis
+   * that would nest deeper than MAX_NESTING_DEPTH
+   * @param {Array<Object>} nodes
+   */
+  function processEmphasis(nodes) {
+    const stack = [];
+    // For each kind of closer, the stack index at or below which no opener can
+    // match it, so runs of unmatched delimiters aren't searched again and again
+    const bottoms = new Map();
+
+    for (const closer of nodes) {
+      if (closer.type !== 'delim' || !closer.canClose) {
+        stack.push(closer);
+        continue;
+      }
+
+      const key = `${closer.char}${closer.canOpen}${closer.origCount % 3}`;
+      while (closer.count) {
+        const bottom = bottoms.get(key) ?? -1;
+        let openerIndex = stack.length - 1;
+        let depth = 1;
+        while (openerIndex > bottom && !canMatchDelimiters(stack[openerIndex], closer)) {
+          depth = Math.max(depth, (stack[openerIndex].depth || 0) + 1);
+          openerIndex--;
+        }
+
+        if (openerIndex <= bottom) {
+          bottoms.set(key, stack.length - 1);
+          break;
+        }
+        if (depth > MAX_NESTING_DEPTH) {
+          // Openers further down would nest deeper still
+          bottoms.set(key, openerIndex);
+          break;
+        }
+
+        const opener = stack[openerIndex];
+        let used;
+        let tag;
+        if (closer.char === '~') {
+          used = closer.count;
+          tag = 'del';
+        } else {
+          used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+          tag = used === 2 ? 'strong' : 'em';
+        }
+        opener.count -= used;
+        closer.count -= used;
+
+        const children = stack.splice(openerIndex + 1);
+        if (!opener.count) stack.pop();
+        stack.push({ type: 'element', tag, children, depth });
+
+        for (const [otherKey, otherBottom] of bottoms) {
+          if (otherBottom >= openerIndex) bottoms.set(otherKey, openerIndex - 1);
+        }
+      }
+
+      if (closer.count) stack.push(closer);
+    }
+
+    nodes.length = 0;
+    for (const node of stack) nodes.push(node);
+  }
+
+  /**
+   * How deeply the elements and links among nodes nest
+   * @param {Array<Object>} nodes
+   * @returns {number}
+   */
+  function getNestingDepth(nodes) {
+    return nodes.reduce((depth, node) => Math.max(depth, node.depth || 0), 0);
+  }
+
+  /**
+   * Whether a node opens the emphasis a closing delimiter ends
+   * @param {Object} opener
+   * @param {Object} closer
+   * @returns {boolean}
+   */
+  function canMatchDelimiters(opener, closer) {
+    if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen || !opener.count) {
+      return false;
+    }
+    if (closer.char === '~') {
+      return opener.count === closer.count;
+    }
+
+    // The "rule of 3", so *foo**bar* is one emphasis instead of two broken ones
+    if ((opener.canClose || closer.canOpen) && (opener.origCount + closer.origCount) % 3 === 0) {
+      return opener.origCount % 3 === 0 && closer.origCount % 3 === 0;
+    }
+    return true;
+  }
+
+  /**
+   * Render inline nodes as HTML
+   * @param {Array<Object>} nodes
+   * @param {Object} context - {refs, allowImages}
+   * @returns {string}
+   */
+  function renderNodes(nodes, context) {
+    return nodes.map((node) => {
+      switch (node.type) {
+        case 'text':
+          return escapeHtml(node.value);
+        case 'html':
+          return node.value;
+        case 'delim':
+          return node.char.repeat(node.count);
+        case 'bracket':
+          return node.image ? '![' : '[';
+        case 'element':
+          return `<${node.tag}>${renderNodes(node.children, context)}</${node.tag}>`;
+        case 'link':
+          return node.image ? renderImage(node, context) : renderLink(node, context);
+      }
+      return '';
+    }).join('');
+  }
+
+  /**
+   * Render a link that opens in a new tab, or only its text when the scheme isn't allowed
+   * @param {Object} node
+   * @param {Object} context
+   * @returns {string}
+   */
+  function renderLink(node, context) {
+    const content = renderNodes(node.children, context);
+    if (!hasScheme(node.href, LINK_SCHEMES)) return content;
+
+    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+    return `<a href="${escapeHtml(encodeUrl(node.href))}"${title} target="_blank" rel="noopener noreferrer">${content}</a>`;
+  }
+
+  /**
+   * Render an image, or a link to it when images aren't allowed
+   * @param {Object} node
+   * @param {Object} context
+   * @returns {string}
+   */
+  function renderImage(node, context) {
+    const alt = getPlainText(node.children);
+
+    if (context.allowImages && hasScheme(node.href, IMAGE_SCHEMES)) {
+      const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+      return `<img src="${escapeHtml(encodeUrl(node.href))}" alt="${escapeHtml(alt)}"${title} loading="lazy" referrerpolicy="no-referrer">`;
+    }
+
+    return renderLink({ ...node, children: [{ type: 'text', value: alt || node.href }] }, context);
+  }
+
+  /**
+   * Get the text of inline nodes without markup, for image descriptions
+   * @param {Array<Object>} nodes
+   * @returns {string}
+   */
+  function getPlainText(nodes) {
+    return nodes.map((node) => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'html':
+          return node.text || '';
+        case 'delim':
+          return node.char.repeat(node.count);
+        case 'bracket':
+          return node.image ? '![' : '[';
+        default:
+          return getPlainText(node.children);
+      }
+    }).join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Append text, merging it into the previous text node
+   * @param {Array<Object>} nodes
+   * @param {string} value
+   */
+  function pushText(nodes, value) {
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') {
+      last.value += value;
+    } else {
+      nodes.push({ type: 'text', value });
+    }
+  }
+
+  /**
+   * Match a sticky pattern at a position
+   * @param {RegExp} pattern - With the y flag
+   * @param {string} text
+   * @param {number} index
+   * @returns {Array<string>|null}
+   */
+  function matchAt(pattern, text, index) {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+  }
+
+  /**
+   * Find a run of exactly a number of backticks
+   * @param {string} text
+   * @param {number} from
+   * @param {number} length
+   * @returns {number} Position of the run, -1 if there is none
+   */
+  function findBacktickRun(text, from, length) {
+    const pattern = /`+/g;
+    pattern.lastIndex = from;
+
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match[0].length === length) return match.index;
+    }
+    return -1;
+  }
+
+  function countRun(text, i, char) {
+    let end = i;
+    while (text[end] === char) end++;
+    return end - i;
+  }
+
+  function skipSpaces(text, i) {
+    while (text[i] === ' ') i++;
+    return i;
+  }
+
+  function skipWhitespace(text, i) {
+    while (i < text.length && /[ \t\n]/.test(text[i])) i++;
+    return i;
+  }
+
+  function isBlank(line) {
+    return line === undefined || /^[ \t]*$/.test(line);
+  }
+
+  function getIndent(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  function removeIndent(line, count) {
+    return line.replace(new RegExp(`^ {0,${count}}`), '');
+  }
+
+  /**
+   * Replace tabs with spaces up to the next multiple of 4 columns
+   * @param {string} line
+   * @returns {string}
+   */
+  function expandTabs(line) {
+    if (!line.includes('\t')) return line;
+
+    let result = '';
+    for (const char of line) {
+      result += char === '\t' ? ' '.repeat(4 - (result.length % 4)) : char;
+    }
+    return result;
+  }
+
+  function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function unescapeText(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  }
+
+  /**
+   * Whether a URL has one of the given schemes
+   * URLs without a scheme are rejected too, relative links would point into the host page
+   * @param {string} url
+   * @param {Array<string>} schemes
+   * @returns {boolean}
+   */
+  function hasScheme(url, schemes) {
+    const match = url.trim().match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    return !!match && schemes.includes(match[1].toLowerCase());
+  }
+
+  /**
+   * Percent-encode the characters that can't appear in a URL attribute as they are
+   * @param {string} url
+   * @returns {string}
+   */
+  function encodeUrl(url) {
+    return url.trim().replace(/[\u0000- "<>\\^`{|}\u007f]/g, char => encodeURIComponent(char));
+  }
+
+  /**
+   * Simple syntax highlighting
+   * The code is only ever set as text, so markup in it can't come alive
+   * @param {HTMLElement} block - <code> element with a language-* class
+   */
+  function highlightCode(block) {
+    const lang = block.className.replace('language-', '');
+
+    const nodes = tokenizeCode(block.textContent, lang).map(({ text, className }) => {
+      if (!className) return document.createTextNode(text);
+
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      return span;
+    });
+
+    block.replaceChildren(...nodes);
+  }
+
+  /**
+   * Split code into highlighted and plain runs
+   * @param {string} code
+   * @param {string} lang - e.g. "python"
+   * @returns {Array<{text: string, className: string|null}>} Runs covering the whole code
+   */
+  function tokenizeCode(code, lang) {
+    const keywords = new Set((KEYWORDS[lang] || KEYWORDS.javascript).split(' '));
+    const tokens = [];
+    let plainStart = 0;
+
+    CODE_TOKEN.lastIndex = 0;
+    let match;
+    while ((match = CODE_TOKEN.exec(code))) {
+      const [text, comment, string, , number, word] = match;
+      let className = null;
+
+      if (comment) {
+        className = 'hljs-comment';
+      } else if (string) {
+        className = 'hljs-string';
+      } else if (number) {
+        className = 'hljs-number';
+      } else if (keywords.has(word)) {
+        className = 'hljs-keyword';
+      } else if (matchAt(CALL_PARENTHESIS, code, match.index + text.length)) {
+        className = 'hljs-function';
+      }
+
+      // Other words stay part of the plain run
+      if (!className) continue;
+
+      if (match.index > plainStart) {
+        tokens.push({ text: code.slice(plainStart, match.index), className: null });
+      }
+      tokens.push({ text, className });
+      plainStart = match.index + text.length;
+    }
+
+    if (plainStart < code.length) {
+      tokens.push({ text: code.slice(plainStart), className: null });
+    }
+    return tokens;
+  }
+
+  /**
+   * Escape HTML special characters, quotes included so the result is safe in attributes
+   */
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  global.ExplainAnythingMarkdown = { parseMarkdown, highlightCode };
+})(globalThis);
@@ -25,21 +25,104 @@ const elements = {
   selectedModelName: document.getElementById('selectedModelName'),
   selectedModelPrice: document.getElementById('selectedModelPrice'),
   systemPrompt: document.getElementById('systemPrompt'),
-  openrouterApiKey: document.getElementById('openrouterApiKey'),
-  openrouterApiKeySection: document.getElementById('openrouterApiKeySection'),
-  geminiApiKey: document.getElementById('geminiApiKey'),
-  geminiApiKeySection: document.getElementById('geminiApiKeySection'),
+  providerGrid: document.getElementById('providerGrid'),
+  providerSettings: document.getElementById('providerSettings'),
   testConnection: document.getElementById('testConnection'),
   connectionStatus: document.getElementById('connectionStatus'),
   resetPrompt: document.getElementById('resetPrompt'),
+  customActionList: document.getElementById('customActionList'),
+  customActionEditor: document.getElementById('customActionEditor'),
+  actionName: document.getElementById('actionName'),
+  actionIcon: document.getElementById('actionIcon'),
+  actionSystemPrompt: document.getElementById('actionSystemPrompt'),
+  actionUserTemplate: document.getElementById('actionUserTemplate'),
+  actionEditorError: document.getElementById('actionEditorError'),
+  addCustomAction: document.getElementById('addCustomAction'),
+  applyCustomAction: document.getElementById('applyCustomAction'),
+  cancelCustomAction: document.getElementById('cancelCustomAction'),
+  siteRuleList: document.getElementById('siteRuleList'),
+  siteRuleEditor: document.getElementById('siteRuleEditor'),
+  rulePattern: document.getElementById('rulePattern'),
+  ruleDisabled: document.getElementById('ruleDisabled'),
+  ruleOverrides: document.getElementById('ruleOverrides'),
+  ruleTrigger: document.getElementById('ruleTrigger'),
+  ruleDefaultAction: document.getElementById('ruleDefaultAction'),
+  ruleLanguage: document.getElementById('ruleLanguage'),
+  ruleProvider: document.getElementById('ruleProvider'),
+  ruleModel: document.getElementById('ruleModel'),
+  ruleEditorError: document.getElementById('ruleEditorError'),
+  addSiteRule: document.getElementById('addSiteRule'),
+  applySiteRule: document.getElementById('applySiteRule'),
+  cancelSiteRule: document.getElementById('cancelSiteRule'),
+  retryMaxAttempts: document.getElementById('retryMaxAttempts'),
+  contextBeforeChars: document.getElementById('contextBeforeChars'),
+  contextAfterChars: document.getElementById('contextAfterChars'),
+  strictPrivacy: document.getElementById('strictPrivacy'),
+  showImages: document.getElementById('showImages'),
+  fallbackList: document.getElementById('fallbackList'),
+  addFallback: document.getElementById('addFallback'),
+  cacheEnabled: document.getElementById('cacheEnabled'),
+  cacheMaxEntries: document.getElementById('cacheMaxEntries'),
+  cacheTtlHours: document.getElementById('cacheTtlHours'),
+  cacheStats: document.getElementById('cacheStats'),
+  clearCache: document.getElementById('clearCache'),
+  historyEnabled: document.getElementById('historyEnabled'),
+  historyMaxEntries: document.getElementById('historyMaxEntries'),
+  openHistory: document.getElementById('openHistory'),
+  generationList: document.getElementById('generationList'),
+  usageStats: document.getElementById('usageStats'),
+  budgetMonthlyLimit: document.getElementById('budgetMonthlyLimit'),
+  budgetAction: document.getElementById('budgetAction'),
+  budgetDowngradeFields: document.getElementById('budgetDowngradeFields'),
+  budgetDowngradeProvider: document.getElementById('budgetDowngradeProvider'),
+  budgetDowngradeModel: document.getElementById('budgetDowngradeModel'),
+  costConfirmThreshold: document.getElementById('costConfirmThreshold'),
+  openUsage: document.getElementById('openUsage'),
+  openDeck: document.getElementById('openDeck'),
+  shortcutList: document.getElementById('shortcutList'),
+  editShortcuts: document.getElementById('editShortcuts'),
   saveSettings: document.getElementById('saveSettings'),
   saveStatus: document.getElementById('saveStatus')
 };
 
 // State
 let currentSettings = {};
+let providers = [];
 let allModels = [];
 let filteredModels = [];
+let customActions = [];
+let editingActionId = null;
+let siteRules = [];
+let editingRuleId = null;
+let fallbackChain = [];
+let generationParams = {};
+let generationDefaults = {};
+
+// Labels of the translate tabs, mirrors TRANSLATE_TABS in the content script
+const TRANSLATE_TAB_LABELS = {
+  translation: 'Translation',
+  idioms: 'Idioms & Nuance',
+  similar: 'Similar Phrases',
+  learning: 'Study Notes'
+};
+
+// Used for custom actions, mirrors the service worker
+const DEFAULT_CUSTOM_GENERATION_PARAMS = { temperature: 0.7, maxTokens: 2048 };
+
+// Upper bound of each page context window, in characters
+const MAX_CONTEXT_CHARS = 2000;
+
+// Characters allowed in an HTTP header name, mirrors HEADER_NAME in the OpenAI-compatible provider
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// A price field's value: a non-negative number, in USD per million tokens
+const PRICE = /^\d+(?:\.\d+)?$/;
+
+const TRIGGER_LABELS = {
+  popup: 'Popup',
+  modifier: 'Alt + select',
+  instant: 'Runs immediately'
+};
 
 /**
  * Initialize the options page
@@ -48,6 +131,9 @@ async function init() {
   await loadSettings();
   setupEventListeners();
   updateProviderUI();
+  loadShortcuts();
+  loadCacheStats();
+  loadUsageStats();
 }
 
 /**
@@ -58,13 +144,45 @@ async function loadSettings() {
     chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }, (response) => {
       if (response?.settings) {
         currentSettings = response.settings;
+        providers = response.providers || [];
+        renderProviders();
 
         // Populate form
         elements.language.value = currentSettings.language || 'English';
         elements.systemPrompt.value = currentSettings.systemPrompt || DEFAULT_SYSTEM_PROMPT;
-        elements.openrouterApiKey.value = currentSettings.openrouterApiKey || '';
-        elements.geminiApiKey.value = currentSettings.geminiApiKey || '';
+        elements.providerSettings.querySelectorAll('[data-setting-key]').forEach(input => {
+          input.value = currentSettings[input.dataset.settingKey] || '';
+        });
         elements.model.value = currentSettings.model || '';
+        generationDefaults = response.generationDefaults || {};
+        generationParams = Object.fromEntries(
+          Object.entries(currentSettings.generationParams || {}).map(([key, params]) => [key, formatGenerationParams(params)])
+        );
+        customActions = (currentSettings.customActions || []).map(action => ({ ...action }));
+        renderCustomActions();
+        siteRules = (currentSettings.siteRules || []).map(rule => ({ ...rule }));
+        renderSiteRules();
+        fallbackChain = (currentSettings.fallbackChain || []).map(entry => ({ ...entry }));
+        renderFallbackChain();
+        elements.retryMaxAttempts.value = currentSettings.retryMaxAttempts;
+        elements.contextBeforeChars.value = currentSettings.contextBeforeChars;
+        elements.contextAfterChars.value = currentSettings.contextAfterChars;
+        elements.strictPrivacy.checked = !!currentSettings.strictPrivacy;
+        elements.showImages.checked = !!currentSettings.showImages;
+        elements.budgetMonthlyLimit.value = currentSettings.budgetMonthlyLimit;
+        elements.budgetAction.value = currentSettings.budgetAction;
+        elements.budgetDowngradeProvider.innerHTML = providers
+          .map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`)
+          .join('');
+        elements.budgetDowngradeProvider.value = currentSettings.budgetDowngradeProvider;
+        elements.budgetDowngradeModel.value = currentSettings.budgetDowngradeModel || '';
+        elements.costConfirmThreshold.value = currentSettings.costConfirmThreshold;
+        updateBudgetFields();
+        elements.cacheEnabled.checked = currentSettings.cacheEnabled !== false;
+        elements.cacheMaxEntries.value = currentSettings.cacheMaxEntries;
+        elements.cacheTtlHours.value = currentSettings.cacheTtlHours;
+        elements.historyEnabled.checked = currentSettings.historyEnabled !== false;
+        elements.historyMaxEntries.value = currentSettings.historyMaxEntries;
 
         // Set provider radio
         const providerRadio = document.querySelector(`input[name="provider"][value="${currentSettings.provider}"]`);
@@ -84,7 +202,7 @@ async function loadSettings() {
  * Load models for a provider
  */
 async function loadModels(provider, forceRefresh = false) {
-  const apiKey = getApiKeyForProvider(provider);
+  const credentials = getProviderCredentials(provider);
 
   // Show loading state
   elements.modelList.innerHTML = `
@@ -98,9 +216,10 @@ async function loadModels(provider, forceRefresh = false) {
     const messageType = forceRefresh ? 'REFRESH_MODELS' : 'GET_MODELS';
     chrome.runtime.sendMessage({
       type: messageType,
-      payload: { provider, apiKey }
+      payload: { provider, credentials }
     }, (response) => {
-      if (response?.models) {
+      // An empty list with an error means the provider could not be reached
+      if (response?.models && (response.models.length || !response.error)) {
         allModels = response.models;
         applyFiltersAndSort();
         updateSelectedModelDisplay();
@@ -266,9 +385,12 @@ function formatPrice(model) {
   if (model.isFree) {
     return 'Free';
   }
+  if (!model.pricing) {
+    return 'Price unknown';
+  }
 
-  const prompt = model.pricing?.prompt || 0;
-  const completion = model.pricing?.completion || 0;
+  const prompt = model.pricing.prompt || 0;
+  const completion = model.pricing.completion || 0;
 
   if (prompt === 0 && completion === 0) {
     return 'Free';
@@ -300,29 +422,561 @@ function escapeHtml(text) {
 }
 
 /**
- * Set up event listeners
+ * Render the custom action list
  */
-function setupEventListeners() {
-  // Provider change
-  document.querySelectorAll('input[name="provider"]').forEach(radio => {
-    radio.addEventListener('change', (e) => {
-      updateProviderUI();
-      loadModels(e.target.value);
-      hideConnectionStatus();
+function renderCustomActions() {
+  elements.customActionList.innerHTML = customActions.map(action => `
+    <div class="action-item ${action.enabled === false ? 'disabled' : ''}" data-action-id="${escapeHtml(action.id)}">
+      <span class="action-item-icon">${escapeHtml(action.icon || action.name.charAt(0))}</span>
+      <span class="action-item-name">${escapeHtml(action.name)}</span>
+      <div class="action-item-buttons">
+        <label class="toggle">
+          <input type="checkbox" class="action-enabled" ${action.enabled === false ? '' : 'checked'}>
+          Enabled
+        </label>
+        <button type="button" class="btn btn-text action-edit">Edit</button>
+        <button type="button" class="btn btn-text action-delete">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  elements.customActionList.querySelectorAll('.action-item').forEach(item => {
+    const actionId = item.dataset.actionId;
+
+    item.querySelector('.action-enabled').addEventListener('change', (e) => {
+      const action = customActions.find(a => a.id === actionId);
+      if (action) {
+        action.enabled = e.target.checked;
+        item.classList.toggle('disabled', !action.enabled);
+      }
+      hideSaveStatus();
+    });
+
+    item.querySelector('.action-edit').addEventListener('click', () => openActionEditor(actionId));
+
+    item.querySelector('.action-delete').addEventListener('click', () => {
+      customActions = customActions.filter(a => a.id !== actionId);
+      if (editingActionId === actionId) {
+        closeActionEditor();
+      }
+      renderCustomActions();
+      renderSiteRules();
+      hideSaveStatus();
     });
   });
 
-  // Toggle API key visibility
-  document.querySelectorAll('.toggle-api-key').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const targetId = btn.dataset.target;
-      const input = document.getElementById(targetId);
-      if (input) {
-        input.type = input.type === 'password' ? 'text' : 'password';
+  renderGenerationParams();
+}
+
+/**
+ * List the actions that have generation parameters: Explain, each translate tab and the custom actions
+ * @returns {Array<{key: string, name: string, defaults: Object}>}
+ */
+function getGenerationActions() {
+  return [
+    { key: 'explain', name: 'Explain' },
+    ...Object.entries(TRANSLATE_TAB_LABELS).map(([mode, label]) => ({ key: `translate:${mode}`, name: `Translate • ${label}` })),
+    ...customActions.map(action => ({ key: action.id, name: action.name }))
+  ].map(action => ({ ...action, defaults: generationDefaults[action.key] || DEFAULT_CUSTOM_GENERATION_PARAMS }));
+}
+
+/**
+ * Render the generation parameter rows
+ */
+function renderGenerationParams() {
+  const actions = getGenerationActions();
+
+  elements.generationList.innerHTML = actions.map(action => `
+    <div class="action-item generation-item" data-key="${escapeHtml(action.key)}">
+      <span class="action-item-name">${escapeHtml(action.name)}</span>
+      <input type="number" class="input input-small" data-field="temperature" min="0" max="2" step="0.1" placeholder="${escapeHtml(String(action.defaults.temperature))}" title="Temperature">
+      <input type="number" class="input input-small" data-field="maxTokens" min="1" step="1" placeholder="${escapeHtml(String(action.defaults.maxTokens))}" title="Max tokens">
+      <input type="number" class="input input-small" data-field="topP" min="0" max="1" step="0.05" placeholder="Off" title="Top P">
+      <textarea class="textarea textarea-small" data-field="stop" rows="2" placeholder="None" title="Stop sequences, one per line" spellcheck="false"></textarea>
+    </div>
+  `).join('');
+
+  elements.generationList.querySelectorAll('.generation-item').forEach(item => {
+    const key = item.dataset.key;
+
+    item.querySelectorAll('[data-field]').forEach(input => {
+      input.value = generationParams[key]?.[input.dataset.field] ?? '';
+      input.addEventListener('input', () => {
+        generationParams[key] = { ...generationParams[key], [input.dataset.field]: input.value };
+        hideSaveStatus();
+      });
+    });
+  });
+}
+
+/**
+ * Turn stored generation parameters into input values
+ */
+function formatGenerationParams(params) {
+  return {
+    temperature: params.temperature ?? '',
+    maxTokens: params.maxTokens ?? '',
+    topP: params.topP ?? '',
+    stop: (params.stop || []).map(sequence => sequence.replace(/\n/g, '\\n')).join('\n')
+  };
+}
+
+/**
+ * Read the generation parameters from the inputs, keeping only valid values of existing actions
+ */
+function readGenerationParams() {
+  const result = {};
+
+  getGenerationActions().forEach(({ key }) => {
+    const values = generationParams[key];
+    if (!values) return;
+
+    const params = {};
+    const temperature = parseFloat(values.temperature);
+    if (temperature >= 0 && temperature <= 2) params.temperature = temperature;
+    const maxTokens = parseInt(values.maxTokens, 10);
+    if (maxTokens > 0) params.maxTokens = maxTokens;
+    const topP = parseFloat(values.topP);
+    if (topP > 0 && topP <= 1) params.topP = topP;
+    // One sequence per line, so a sequence can contain commas
+    const stop = String(values.stop || '')
+      .split('\n')
+      .map(sequence => sequence.trim().replace(/\\n/g, '\n'))
+      .filter(Boolean);
+    if (stop.length) params.stop = stop;
+
+    if (Object.keys(params).length) {
+      result[key] = params;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Open the action editor for an existing action, or a blank one when no ID is given
+ */
+function openActionEditor(actionId = null) {
+  const action = customActions.find(a => a.id === actionId);
+  editingActionId = action ? action.id : null;
+
+  elements.actionName.value = action?.name || '';
+  elements.actionIcon.value = action?.icon || '';
+  elements.actionSystemPrompt.value = action?.systemPrompt || '';
+  elements.actionUserTemplate.value = action?.userTemplate || '';
+  elements.actionEditorError.classList.add('hidden');
+
+  elements.customActionEditor.classList.remove('hidden');
+  elements.addCustomAction.classList.add('hidden');
+  elements.actionName.focus();
+}
+
+/**
+ * Close the action editor without applying changes
+ */
+function closeActionEditor() {
+  editingActionId = null;
+  elements.customActionEditor.classList.add('hidden');
+  elements.addCustomAction.classList.remove('hidden');
+}
+
+/**
+ * Apply the editor fields to the action list
+ */
+function applyActionEditor() {
+  const name = elements.actionName.value.trim();
+  const userTemplate = elements.actionUserTemplate.value.trim();
+
+  if (!name) {
+    elements.actionEditorError.textContent = 'Please give the action a name.';
+    elements.actionEditorError.classList.remove('hidden');
+    return;
+  }
+
+  if (userTemplate && !userTemplate.includes('{{text}}')) {
+    elements.actionEditorError.textContent = 'The template must include {{text}} so the selection is sent.';
+    elements.actionEditorError.classList.remove('hidden');
+    return;
+  }
+
+  const values = {
+    name,
+    icon: elements.actionIcon.value.trim(),
+    systemPrompt: elements.actionSystemPrompt.value.trim(),
+    userTemplate
+  };
+
+  const existing = customActions.find(a => a.id === editingActionId);
+  if (existing) {
+    Object.assign(existing, values);
+  } else {
+    customActions.push({
+      id: `action-${Date.now().toString(36)}`,
+      enabled: true,
+      ...values
+    });
+  }
+
+  closeActionEditor();
+  renderCustomActions();
+  hideSaveStatus();
+}
+
+/**
+ * Describe what a site rule changes, for the rule list
+ */
+function describeSiteRule(rule) {
+  if (rule.disabled) {
+    return 'Extension disabled';
+  }
+
+  const parts = [];
+  if (rule.trigger && rule.trigger !== 'popup') {
+    parts.push(TRIGGER_LABELS[rule.trigger] || rule.trigger);
+  }
+  if (rule.trigger === 'instant') {
+    parts.push(getActionLabel(rule.defaultAction));
+  }
+  if (rule.language) {
+    parts.push(rule.language);
+  }
+  if (rule.provider || rule.model) {
+    parts.push([rule.provider && getProviderName(rule.provider), rule.model].filter(Boolean).join(' / '));
+  }
+
+  return parts.join(' • ') || 'No overrides';
+}
+
+/**
+ * Get the display name of a built-in or custom action
+ */
+function getActionLabel(actionId) {
+  if (actionId === 'explain' || !actionId) return 'Explain';
+  if (actionId === 'translate') return 'Translate';
+  return customActions.find(a => a.id === actionId)?.name || 'Removed action';
+}
+
+/**
+ * Render the site rule list
+ */
+function renderSiteRules() {
+  elements.siteRuleList.innerHTML = siteRules.map(rule => `
+    <div class="action-item ${rule.enabled === false ? 'disabled' : ''}" data-rule-id="${escapeHtml(rule.id)}">
+      <div class="action-item-name">
+        <span class="rule-pattern">${escapeHtml(rule.pattern)}</span>
+        <span class="rule-summary">${escapeHtml(describeSiteRule(rule))}</span>
+      </div>
+      <div class="action-item-buttons">
+        <label class="toggle">
+          <input type="checkbox" class="rule-enabled" ${rule.enabled === false ? '' : 'checked'}>
+          Enabled
+        </label>
+        <button type="button" class="btn btn-text rule-edit">Edit</button>
+        <button type="button" class="btn btn-text rule-delete">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  elements.siteRuleList.querySelectorAll('.action-item').forEach(item => {
+    const ruleId = item.dataset.ruleId;
+
+    item.querySelector('.rule-enabled').addEventListener('change', (e) => {
+      const rule = siteRules.find(r => r.id === ruleId);
+      if (rule) {
+        rule.enabled = e.target.checked;
+        item.classList.toggle('disabled', !rule.enabled);
       }
+      hideSaveStatus();
+    });
+
+    item.querySelector('.rule-edit').addEventListener('click', () => openRuleEditor(ruleId));
+
+    item.querySelector('.rule-delete').addEventListener('click', () => {
+      siteRules = siteRules.filter(r => r.id !== ruleId);
+      if (editingRuleId === ruleId) {
+        closeRuleEditor();
+      }
+      renderSiteRules();
+      hideSaveStatus();
     });
   });
+}
+
+/**
+ * Render the fallback provider list
+ */
+function renderFallbackChain() {
+  const providerOptions = providers
+    .map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`)
+    .join('');
+
+  elements.fallbackList.innerHTML = fallbackChain.map((entry, index) => `
+    <div class="action-item fallback-item ${entry.enabled === false ? 'disabled' : ''}" data-index="${index}">
+      <span class="action-item-icon">${index + 1}</span>
+      <select class="select select-small fallback-provider" title="Provider">${providerOptions}</select>
+      <input type="text" class="input input-small fallback-model" placeholder="Default model" title="Model">
+      <div class="action-item-buttons">
+        <label class="toggle">
+          <input type="checkbox" class="fallback-enabled" ${entry.enabled === false ? '' : 'checked'}>
+          Enabled
+        </label>
+        <button type="button" class="btn btn-text fallback-up" title="Try earlier" ${index === 0 ? 'disabled' : ''}>Up</button>
+        <button type="button" class="btn btn-text fallback-delete">Remove</button>
+      </div>
+    </div>
+  `).join('');
+
+  elements.fallbackList.querySelectorAll('.fallback-item').forEach(item => {
+    const index = Number(item.dataset.index);
+    const entry = fallbackChain[index];
+
+    const providerSelect = item.querySelector('.fallback-provider');
+    providerSelect.value = entry.provider;
+    providerSelect.addEventListener('change', (e) => {
+      entry.provider = e.target.value;
+      hideSaveStatus();
+    });
+
+    const modelInput = item.querySelector('.fallback-model');
+    modelInput.value = entry.model || '';
+    modelInput.addEventListener('input', (e) => {
+      entry.model = e.target.value;
+      hideSaveStatus();
+    });
+
+    item.querySelector('.fallback-enabled').addEventListener('change', (e) => {
+      entry.enabled = e.target.checked;
+      item.classList.toggle('disabled', !entry.enabled);
+      hideSaveStatus();
+    });
+
+    item.querySelector('.fallback-up').addEventListener('click', () => {
+      fallbackChain.splice(index - 1, 0, ...fallbackChain.splice(index, 1));
+      renderFallbackChain();
+      hideSaveStatus();
+    });
+
+    item.querySelector('.fallback-delete').addEventListener('click', () => {
+      fallbackChain.splice(index, 1);
+      renderFallbackChain();
+      hideSaveStatus();
+    });
+  });
+}
+
+/**
+ * Append a fallback entry, preferring a provider that is not in use yet
+ */
+function addFallback() {
+  const primary = document.querySelector('input[name="provider"]:checked')?.value;
+  const used = new Set([primary, ...fallbackChain.map(entry => entry.provider)]);
+  const provider = providers.find(p => !used.has(p.id)) || providers[0];
+  if (!provider) return;
+
+  fallbackChain.push({ provider: provider.id, model: '', enabled: true });
+  renderFallbackChain();
+  hideSaveStatus();
+}
+
+/**
+ * Fill the rule editor's action and language dropdowns
+ */
+function populateRuleEditorOptions() {
+  const actionOptions = [
+    { id: 'explain', name: 'Explain' },
+    { id: 'translate', name: 'Translate' },
+    ...customActions.filter(a => a.enabled !== false)
+  ];
+  elements.ruleDefaultAction.innerHTML = actionOptions
+    .map(action => `<option value="${escapeHtml(action.id)}">${escapeHtml(action.name)}</option>`)
+    .join('');
+
+  if (elements.ruleLanguage.options.length === 1) {
+    Array.from(elements.language.options).forEach(option => {
+      elements.ruleLanguage.appendChild(option.cloneNode(true));
+    });
+  }
+}
+
+/**
+ * Open the rule editor for an existing rule, or a blank one when no ID is given
+ */
+function openRuleEditor(ruleId = null) {
+  const rule = siteRules.find(r => r.id === ruleId);
+  editingRuleId = rule ? rule.id : null;
+
+  populateRuleEditorOptions();
+
+  elements.rulePattern.value = rule?.pattern || '';
+  elements.ruleDisabled.checked = !!rule?.disabled;
+  elements.ruleTrigger.value = rule?.trigger || 'popup';
+  elements.ruleDefaultAction.value = rule?.defaultAction || 'explain';
+  elements.ruleLanguage.value = rule?.language || '';
+  elements.ruleProvider.value = rule?.provider || '';
+  elements.ruleModel.value = rule?.model || '';
+  elements.ruleEditorError.classList.add('hidden');
+  updateRuleEditorState();
+
+  elements.siteRuleEditor.classList.remove('hidden');
+  elements.addSiteRule.classList.add('hidden');
+  elements.rulePattern.focus();
+}
 
+/**
+ * Close the rule editor without applying changes
+ */
+function closeRuleEditor() {
+  editingRuleId = null;
+  elements.siteRuleEditor.classList.add('hidden');
+  elements.addSiteRule.classList.remove('hidden');
+}
+
+/**
+ * Hide overrides that don't apply to the current editor state
+ */
+function updateRuleEditorState() {
+  elements.ruleOverrides.classList.toggle('hidden', elements.ruleDisabled.checked);
+  elements.ruleDefaultAction.disabled = elements.ruleTrigger.value !== 'instant';
+}
+
+/**
+ * Apply the editor fields to the rule list
+ */
+function applyRuleEditor() {
+  const pattern = elements.rulePattern.value.trim();
+
+  if (!pattern) {
+    elements.ruleEditorError.textContent = 'Please enter a site pattern.';
+    elements.ruleEditorError.classList.remove('hidden');
+    return;
+  }
+
+  const values = {
+    pattern,
+    disabled: elements.ruleDisabled.checked,
+    trigger: elements.ruleTrigger.value,
+    defaultAction: elements.ruleDefaultAction.value,
+    language: elements.ruleLanguage.value,
+    provider: elements.ruleProvider.value,
+    model: elements.ruleModel.value.trim()
+  };
+
+  const existing = siteRules.find(r => r.id === editingRuleId);
+  if (existing) {
+    Object.assign(existing, values);
+  } else {
+    siteRules.push({
+      id: `rule-${Date.now().toString(36)}`,
+      enabled: true,
+      ...values
+    });
+  }
+
+  closeRuleEditor();
+  renderSiteRules();
+  hideSaveStatus();
+}
+
+/**
+ * Show the current keyboard shortcuts
+ */
+async function loadShortcuts() {
+  const commands = await chrome.commands.getAll();
+
+  elements.shortcutList.innerHTML = commands
+    .filter(command => command.description)
+    .map(command => `
+      <div class="shortcut-item">
+        <span>${escapeHtml(command.description)}</span>
+        ${command.shortcut
+          ? `<kbd class="shortcut-keys">${escapeHtml(command.shortcut)}</kbd>`
+          : '<span class="shortcut-keys unset">Not set</span>'}
+      </div>
+    `).join('');
+}
+
+/**
+ * Show how many responses are cached
+ */
+function loadCacheStats() {
+  chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' }, (response) => {
+    if (!response || response.error) {
+      elements.cacheStats.textContent = '';
+      return;
+    }
+
+    const size = response.bytes >= 1024 * 1024
+      ? `${(response.bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.ceil(response.bytes / 1024)} KB`;
+    elements.cacheStats.textContent = `${response.entries} cached responses (${size})`;
+  });
+}
+
+/**
+ * Show today's and this month's usage
+ */
+function loadUsageStats() {
+  chrome.runtime.sendMessage({ type: 'GET_USAGE' }, (response) => {
+    if (!response || response.error || !response.rows.length) return;
+
+    const today = formatDayKey(new Date());
+    const month = today.slice(0, 7);
+    const sum = (rows) => rows.reduce((total, row) => ({
+      requests: total.requests + row.requests,
+      cost: total.cost + row.cost
+    }), { requests: 0, cost: 0 });
+
+    const todayTotal = sum(response.rows.filter(row => row.day === today));
+    const monthTotal = sum(response.rows.filter(row => row.day.startsWith(month)));
+    elements.usageStats.textContent = `Today: ${todayTotal.requests} requests, $${todayTotal.cost.toFixed(2)} · This month: ${monthTotal.requests} requests, $${monthTotal.cost.toFixed(2)}`;
+  });
+}
+
+/**
+ * Format a date as the YYYY-MM-DD local day the usage totals are keyed by
+ */
+function formatDayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Clear the response cache
+ */
+function clearCache() {
+  elements.clearCache.disabled = true;
+  chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, () => {
+    elements.clearCache.disabled = false;
+    loadCacheStats();
+  });
+}
+
+/**
+ * Read a whole number from an input, falling back when it is empty or invalid
+ */
+function readNumber(input, fallback, min = 0) {
+  const value = parseInt(input.value, 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+/**
+ * Read an amount of money from an input, falling back when it is empty or invalid
+ */
+function readAmount(input, fallback) {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Show the model to switch to only when the budget switches models
+ */
+function updateBudgetFields() {
+  elements.budgetDowngradeFields.classList.toggle('hidden', elements.budgetAction.value !== 'downgrade');
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
   // Model search
   elements.modelSearch.addEventListener('input', debounce(applyFiltersAndSort, 200));
 
@@ -347,6 +1001,44 @@ function setupEventListeners() {
     elements.systemPrompt.value = DEFAULT_SYSTEM_PROMPT;
   });
 
+  // Custom actions
+  elements.addCustomAction.addEventListener('click', () => openActionEditor());
+  elements.applyCustomAction.addEventListener('click', applyActionEditor);
+  elements.cancelCustomAction.addEventListener('click', closeActionEditor);
+
+  // Site rules
+  elements.addSiteRule.addEventListener('click', () => openRuleEditor());
+  elements.addFallback.addEventListener('click', addFallback);
+  elements.applySiteRule.addEventListener('click', applyRuleEditor);
+  elements.cancelSiteRule.addEventListener('click', closeRuleEditor);
+  elements.ruleDisabled.addEventListener('change', updateRuleEditorState);
+  elements.ruleTrigger.addEventListener('change', updateRuleEditorState);
+
+  // Response cache
+  elements.clearCache.addEventListener('click', clearCache);
+
+  // History
+  elements.openHistory.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
+  });
+
+  // Usage
+  elements.budgetAction.addEventListener('change', updateBudgetFields);
+  elements.openUsage.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/usage/usage.html') });
+  });
+
+  // Vocabulary deck
+  elements.openDeck.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/deck/deck.html') });
+  });
+
+  // Keyboard shortcuts can only be changed on Chrome's own page
+  elements.editShortcuts.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  window.addEventListener('focus', loadShortcuts);
+
   // Save settings
   elements.saveSettings.addEventListener('click', saveSettings);
 
@@ -371,33 +1063,195 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Render the provider picker, each provider's settings fields and the site rule provider options
+ * Fields come from the settings schema each provider registers with
+ */
+function renderProviders() {
+  elements.providerGrid.innerHTML = providers.map(provider => `
+    <label class="provider-card">
+      <input type="radio" name="provider" value="${escapeHtml(provider.id)}">
+      <div class="provider-content">
+        <div class="provider-icon">
+          <svg viewBox="0 0 24 24">${provider.icon || ''}</svg>
+        </div>
+        <div class="provider-info">
+          <span class="provider-name">${escapeHtml(provider.name)}</span>
+          <span class="provider-desc">${escapeHtml(provider.description || '')}</span>
+        </div>
+      </div>
+    </label>
+  `).join('');
+
+  elements.providerSettings.innerHTML = providers.map(provider => `
+    <div class="api-key-section hidden" data-provider="${escapeHtml(provider.id)}">
+      ${provider.settingsSchema.map(field => `
+        <div class="field">
+          <label for="${escapeHtml(field.key)}">${escapeHtml(field.label)}:</label>
+          <div class="input-group">
+            ${field.type === 'textarea' ? `
+              <textarea id="${escapeHtml(field.key)}" class="textarea" rows="3" data-setting-key="${escapeHtml(field.key)}" placeholder="${escapeHtml(field.placeholder || '')}" spellcheck="false"></textarea>
+            ` : `
+              <input type="${field.type === 'password' ? 'password' : field.type === 'url' ? 'url' : 'text'}" id="${escapeHtml(field.key)}" class="input" data-setting-key="${escapeHtml(field.key)}" placeholder="${escapeHtml(field.placeholder || '')}" autocomplete="off">
+            `}
+            ${field.type === 'password' ? `
+              <button type="button" class="btn btn-icon toggle-api-key" data-target="${escapeHtml(field.key)}" title="Show/Hide">
+                <svg viewBox="0 0 24 24"><path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>
+              </button>
+            ` : ''}
+          </div>
+          ${field.helpText || field.helpUrl ? `
+            <p class="help-text">${escapeHtml(field.helpText || '')}${field.helpUrl ? ` <a href="${escapeHtml(field.helpUrl)}" target="_blank">${escapeHtml(field.helpUrl.replace(/^https?:\/\//, ''))}</a>` : ''}</p>
+          ` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  elements.ruleProvider.innerHTML = '<option value="">Use global setting</option>' + providers
+    .map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`)
+    .join('');
+
+  // Provider change
+  elements.providerGrid.querySelectorAll('input[name="provider"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      updateProviderUI();
+      loadModels(e.target.value);
+      hideConnectionStatus();
+    });
+  });
+
+  // Toggle API key visibility
+  elements.providerSettings.querySelectorAll('.toggle-api-key').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const input = document.getElementById(btn.dataset.target);
+      if (input) {
+        input.type = input.type === 'password' ? 'text' : 'password';
+      }
+    });
+  });
+}
+
 /**
  * Update UI based on selected provider
  */
 function updateProviderUI() {
   const provider = document.querySelector('input[name="provider"]:checked')?.value;
 
-  // Hide all API key sections
-  elements.openrouterApiKeySection.classList.add('hidden');
-  elements.geminiApiKeySection.classList.add('hidden');
+  elements.providerSettings.querySelectorAll('.api-key-section').forEach(section => {
+    section.classList.toggle('hidden', section.dataset.provider !== provider);
+  });
+}
+
+/**
+ * Get the values of a provider's settings fields from the form
+ */
+function getProviderCredentials(providerId) {
+  const section = elements.providerSettings.querySelector(`.api-key-section[data-provider="${CSS.escape(providerId || '')}"]`);
+  const credentials = {};
+  section?.querySelectorAll('[data-setting-key]').forEach(input => {
+    credentials[input.dataset.settingKey] = input.value.trim();
+  });
+  return credentials;
+}
+
+/**
+ * Get the values of every provider's settings fields, for saving
+ */
+function getAllProviderSettings() {
+  const values = {};
+  elements.providerSettings.querySelectorAll('[data-setting-key]').forEach(input => {
+    values[input.dataset.settingKey] = input.value.trim();
+  });
+  return values;
+}
 
-  if (provider === 'openrouter') {
-    elements.openrouterApiKeySection.classList.remove('hidden');
-  } else if (provider === 'gemini') {
-    elements.geminiApiKeySection.classList.remove('hidden');
+/**
+ * Check the provider fields holding header lines
+ * @returns {string|null} What is wrong with the first bad line, null when all are valid
+ */
+function findInvalidHeaderField() {
+  for (const provider of providers) {
+    for (const field of provider.settingsSchema.filter(f => f.format === 'headers')) {
+      const input = elements.providerSettings.querySelector(`[data-setting-key="${CSS.escape(field.key)}"]`);
+      const lines = (input?.value || '').split('\n');
+
+      for (const [index, line] of lines.entries()) {
+        if (!line.trim()) continue;
+
+        const where = `${provider.name} ${field.label.replace(/\s*\(optional\)$/i, '')}, line ${index + 1}`;
+        const colon = line.indexOf(':');
+        if (colon <= 0) {
+          return `${where}: write headers as "Name: value".`;
+        }
+        const name = line.slice(0, colon).trim();
+        if (!HEADER_NAME.test(name)) {
+          return `${where}: "${name}" is not a valid header name.`;
+        }
+      }
+    }
   }
+  return null;
 }
 
 /**
- * Get the API key for the current provider
+ * Check the provider fields holding prices
+ * @returns {string|null} Which price is not a number, null when all are valid or empty
  */
-function getApiKeyForProvider(provider) {
-  if (provider === 'openrouter') {
-    return elements.openrouterApiKey.value;
-  } else if (provider === 'gemini') {
-    return elements.geminiApiKey.value;
+function findInvalidPriceField() {
+  for (const provider of providers) {
+    for (const field of provider.settingsSchema.filter(f => f.format === 'price')) {
+      const input = elements.providerSettings.querySelector(`[data-setting-key="${CSS.escape(field.key)}"]`);
+      const value = (input?.value || '').trim();
+
+      if (value && !PRICE.test(value)) {
+        return `${provider.name} ${field.label.replace(/\s*\(optional\)$/i, '')}: enter the price in USD per million tokens, e.g. 0.15.`;
+      }
+    }
   }
-  return '';
+  return null;
+}
+
+/**
+ * Get the display name of a provider
+ */
+function getProviderName(providerId) {
+  return providers.find(provider => provider.id === providerId)?.name || providerId;
+}
+
+/**
+ * Get the "scheme://host/*" match pattern for a server URL
+ * @returns {string|null} Null for invalid or non-http(s) URLs
+ */
+function getOriginPattern(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Ask Chrome for access to the servers a provider is configured to call.
+ * Must run before the first await of a click handler, Chrome only prompts during a user gesture.
+ * @returns {Promise<boolean>} Whether access is granted (true when nothing needs asking)
+ */
+function requestProviderHostPermissions(providerId) {
+  const provider = providers.find(p => p.id === providerId);
+  const credentials = getProviderCredentials(providerId);
+  const origins = (provider?.settingsSchema || [])
+    .filter(field => field.hostPermission && credentials[field.key])
+    .map(field => getOriginPattern(credentials[field.key]))
+    .filter(Boolean);
+
+  if (!origins.length) return Promise.resolve(true);
+
+  return chrome.permissions.request({ origins }).catch((error) => {
+    console.error('Error requesting host permission:', error);
+    return false;
+  });
 }
 
 /**
@@ -405,7 +1259,8 @@ function getApiKeyForProvider(provider) {
  */
 async function testConnection() {
   const provider = document.querySelector('input[name="provider"]:checked')?.value;
-  const apiKey = getApiKeyForProvider(provider);
+  const credentials = getProviderCredentials(provider);
+  const permissionRequest = requestProviderHostPermissions(provider);
 
   elements.testConnection.disabled = true;
   elements.testConnection.innerHTML = `
@@ -414,10 +1269,15 @@ async function testConnection() {
   `;
 
   try {
+    if (!await permissionRequest) {
+      showConnectionStatus(false, 'Access to the server was not granted, the extension cannot call it.');
+      return;
+    }
+
     const response = await new Promise((resolve) => {
       chrome.runtime.sendMessage({
         type: 'TEST_CONNECTION',
-        payload: { provider, apiKey }
+        payload: { provider, credentials }
       }, resolve);
     });
 
@@ -469,15 +1329,44 @@ function hideConnectionStatus() {
  * Save settings
  */
 async function saveSettings() {
+  const fieldError = findInvalidHeaderField() || findInvalidPriceField();
+  if (fieldError) {
+    showSaveStatus(false, escapeHtml(fieldError));
+    return;
+  }
+
   const provider = document.querySelector('input[name="provider"]:checked')?.value;
+  const permissionRequest = requestProviderHostPermissions(provider);
 
   const settings = {
     language: elements.language.value,
     provider: provider,
     model: elements.model.value,
     systemPrompt: elements.systemPrompt.value,
-    openrouterApiKey: elements.openrouterApiKey.value,
-    geminiApiKey: elements.geminiApiKey.value
+    ...getAllProviderSettings(),
+    customActions,
+    generationParams: readGenerationParams(),
+    siteRules,
+    retryMaxAttempts: Math.min(readNumber(elements.retryMaxAttempts, 3, 1), 6),
+    budgetMonthlyLimit: readAmount(elements.budgetMonthlyLimit, 0),
+    budgetAction: elements.budgetAction.value,
+    budgetDowngradeProvider: elements.budgetDowngradeProvider.value,
+    budgetDowngradeModel: elements.budgetDowngradeModel.value.trim(),
+    costConfirmThreshold: readAmount(elements.costConfirmThreshold, 0.1),
+    contextBeforeChars: Math.min(readNumber(elements.contextBeforeChars, 400), MAX_CONTEXT_CHARS),
+    contextAfterChars: Math.min(readNumber(elements.contextAfterChars, 200), MAX_CONTEXT_CHARS),
+    strictPrivacy: elements.strictPrivacy.checked,
+    showImages: elements.showImages.checked,
+    fallbackChain: fallbackChain.map(entry => ({
+      provider: entry.provider,
+      model: (entry.model || '').trim(),
+      enabled: entry.enabled !== false
+    })),
+    cacheEnabled: elements.cacheEnabled.checked,
+    cacheMaxEntries: readNumber(elements.cacheMaxEntries, 200, 10),
+    cacheTtlHours: readNumber(elements.cacheTtlHours, 168),
+    historyEnabled: elements.historyEnabled.checked,
+    historyMaxEntries: readNumber(elements.historyMaxEntries, 500, 10)
   };
 
   elements.saveSettings.disabled = true;
@@ -494,7 +1383,10 @@ async function saveSettings() {
       }, resolve);
     });
 
-    if (response?.success) {
+    if (response?.success && !await permissionRequest) {
+      showSaveStatus(false, 'Settings saved, but access to the server was not granted. Save again to allow it.');
+      currentSettings = settings;
+    } else if (response?.success) {
       showSaveStatus(true);
       currentSettings = settings;
     } else {
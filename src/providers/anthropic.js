@@ -0,0 +1,415 @@
+/**
+ * Anthropic API Provider
+ * Calls the Messages API directly with an Anthropic API key
+ * Get your API key at: https://console.anthropic.com/settings/keys
+ */
+
+import { getRetryAfter } from './http.js';
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+// Published prices in USD per million tokens, matched by model ID prefix, most specific first.
+// The models API doesn't report prices
+const MODEL_PRICING = [
+  ['claude-opus-4-5', { prompt: 5, completion: 25 }],
+  ['claude-opus-4', { prompt: 15, completion: 75 }],
+  ['claude-sonnet-4', { prompt: 3, completion: 15 }],
+  ['claude-haiku-4-5', { prompt: 1, completion: 5 }],
+  ['claude-3-7-sonnet', { prompt: 3, completion: 15 }],
+  ['claude-3-5-sonnet', { prompt: 3, completion: 15 }],
+  ['claude-3-5-haiku', { prompt: 0.8, completion: 4 }],
+  ['claude-3-opus', { prompt: 15, completion: 75 }],
+  ['claude-3-haiku', { prompt: 0.25, completion: 1.25 }]
+];
+
+// Fallback models if API fetch fails
+const FALLBACK_MODELS = [
+  { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', pricing: findModelPricing('claude-sonnet-4-5'), isFree: false },
+  { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', pricing: findModelPricing('claude-haiku-4-5'), isFree: false },
+  { id: 'claude-opus-4-1', name: 'Claude Opus 4.1', pricing: findModelPricing('claude-opus-4-1'), isFree: false }
+];
+
+// HTTP statuses of the error types, for errors that arrive inside a stream after a 200
+const ERROR_TYPE_STATUSES = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  billing_error: 402,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  timeout_error: 504,
+  overloaded_error: 529
+};
+
+// Cached models
+let cachedModels = null;
+
+/**
+ * Look up the published price of a model
+ * @param {string} id - Model ID
+ * @returns {{prompt: number, completion: number}|null} USD per million tokens, null when unknown
+ */
+function findModelPricing(id) {
+  return MODEL_PRICING.find(([prefix]) => id.startsWith(prefix))?.[1] || null;
+}
+
+/**
+ * Build the request headers
+ * @param {string} apiKey - Anthropic API key
+ * @returns {Object}
+ */
+function buildHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+    // Required for calls made from a browser context such as the service worker
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+/**
+ * Turn an error response into a readable error
+ * @param {Response} response - Failed response
+ * @returns {Promise<string>}
+ */
+async function describeErrorResponse(response) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error('[Anthropic] API error:', errorData);
+  const message = errorData.error?.message;
+
+  if (response.status === 401) {
+    return 'Invalid API key. Please check your Anthropic API key in settings.';
+  }
+  if (response.status === 403) {
+    return message || 'Your API key does not have access to this resource.';
+  }
+  if (response.status === 404) {
+    return message || 'Model not found. Pick another model in settings.';
+  }
+  if (response.status === 429) {
+    return 'Rate limit exceeded. Please try again later.';
+  }
+  if (response.status === 529) {
+    return 'Anthropic is temporarily overloaded. Please try again later.';
+  }
+  return message || `Anthropic API error: ${response.status}`;
+}
+
+/**
+ * Normalize the usage object of a Messages API response
+ * Cached prompt tokens are counted separately by the API, they are part of the prompt here
+ * @param {Object} [usage] - {input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens}
+ * @returns {{promptTokens: number, completionTokens: number}|null}
+ */
+function getMessageUsage(usage) {
+  if (!usage) return null;
+
+  return {
+    promptTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+    completionTokens: usage.output_tokens || 0
+  };
+}
+
+/**
+ * Read a streaming Messages API response
+ * Events: message_start, content_block_start, content_block_delta, content_block_stop,
+ * message_delta, message_stop, ping and error
+ * @param {Response} response - Successful fetch response with stream: true
+ * @param {Function} onChunk - Called with each text delta
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status: number}>}
+ */
+async function readMessageStream(response, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullContent = '';
+  let buffer = '';
+  let stopped = false;
+  let usage = null;
+  let truncated = false;
+
+  // Every data line carries its event type, so the "event:" lines can be skipped
+  const handleLine = (line, isFinal) => {
+    const trimmedLine = line.trim();
+    if (!trimmedLine.startsWith('data:')) return null;
+
+    let data;
+    try {
+      data = JSON.parse(trimmedLine.slice(5).trim());
+    } catch (e) {
+      // The final partial line might not be valid JSON - ignore
+      if (!isFinal) {
+        console.warn('[Anthropic] Error parsing streaming chunk:', line);
+      }
+      return null;
+    }
+
+    switch (data.type) {
+      case 'message_start':
+        usage = getMessageUsage(data.message?.usage);
+        break;
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta' && data.delta.text) {
+          fullContent += data.delta.text;
+          onChunk(data.delta.text);
+        }
+        break;
+      case 'message_delta':
+        // Output tokens arrive here, as a running total
+        if (usage && data.usage?.output_tokens !== undefined) {
+          usage.completionTokens = data.usage.output_tokens;
+        }
+        if (data.delta?.stop_reason === 'max_tokens') {
+          truncated = true;
+        }
+        break;
+      case 'message_stop':
+        stopped = true;
+        break;
+      case 'error':
+        return {
+          error: data.error?.type === 'overloaded_error'
+            ? 'Anthropic is temporarily overloaded. Please try again later.'
+            : data.error?.message || 'Anthropic API error',
+          // Unknown types are treated as server errors, so they can be retried
+          status: ERROR_TYPE_STATUSES[data.error?.type] || 500
+        };
+    }
+
+    return null;
+  };
+
+  while (!stopped) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+
+    // Keep the last partial line in the buffer
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const error = handleLine(line, false);
+      if (error) return error;
+    }
+  }
+
+  // Process any remaining data in the buffer
+  const error = handleLine(buffer, true);
+  if (error) return error;
+
+  if (stopped) {
+    reader.cancel().catch(() => {});
+  }
+
+  return { content: fullContent, usage, truncated };
+}
+
+/**
+ * Send a request to the Anthropic Messages API
+ * @param {Object} params - Request parameters
+ * @param {string} params.model - Model ID
+ * @param {string} params.systemPrompt - System prompt, sent as the top-level system field
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
+ * @param {string} params.apiKey - Anthropic API key
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
+ * @param {Function} [onChunk] - Optional callback for streaming chunks
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number, retryAfter?: number|null}>}
+ */
+export async function sendAnthropicRequest({ model, systemPrompt, userMessage, messages, apiKey, requestParams, signal }, onChunk) {
+  if (!apiKey) {
+    return {
+      error: 'Anthropic API key is not configured. Create one at console.anthropic.com/settings/keys'
+    };
+  }
+
+  const isStreaming = typeof onChunk === 'function';
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
+
+  try {
+    const payload = {
+      model: model || DEFAULT_MODEL,
+      max_tokens: maxTokens,
+      messages: messages || [{ role: 'user', content: userMessage }],
+      stream: isStreaming
+    };
+
+    // Recent models reject temperature and top_p together, so top_p replaces temperature when set.
+    // Temperatures only go up to 1 here.
+    if (topP !== undefined) {
+      payload.top_p = topP;
+    } else {
+      payload.temperature = Math.min(temperature, 1);
+    }
+
+    if (stop?.length) {
+      payload.stop_sequences = stop;
+    }
+
+    if (systemPrompt) {
+      payload.system = systemPrompt;
+    }
+
+    const response = await fetch(`${ANTHROPIC_API_BASE}/messages`, {
+      method: 'POST',
+      signal,
+      headers: buildHeaders(apiKey),
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      return {
+        error: await describeErrorResponse(response),
+        status: response.status,
+        retryAfter: getRetryAfter(response)
+      };
+    }
+
+    if (isStreaming) {
+      return await readMessageStream(response, onChunk);
+    }
+
+    const data = await response.json();
+
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!content) {
+      console.error('[Anthropic] No content in response:', data);
+      return { error: 'No response content received from Anthropic.' };
+    }
+
+    return { content, usage: getMessageUsage(data.usage), truncated: data.stop_reason === 'max_tokens' };
+  } catch (error) {
+    console.error('[Anthropic] Request failed:', error);
+    return { error: `Anthropic error: ${error.message}`, status: 0 };
+  }
+}
+
+/**
+ * Test Anthropic API connection
+ * @param {string} apiKey - API key to test
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testAnthropicConnection(apiKey) {
+  if (!apiKey) {
+    return {
+      success: false,
+      error: 'API key is required. Create one at console.anthropic.com/settings/keys'
+    };
+  }
+
+  try {
+    // Listing models is free and checks the key
+    const response = await fetch(`${ANTHROPIC_API_BASE}/models?limit=1`, {
+      headers: buildHeaders(apiKey)
+    });
+
+    if (response.ok) {
+      return { success: true };
+    }
+
+    return { success: false, error: await describeErrorResponse(response) };
+  } catch (error) {
+    return { success: false, error: `Connection failed: ${error.message}` };
+  }
+}
+
+/**
+ * Fetch available models from the Anthropic API
+ * @param {string} apiKey - API key for authenticated requests
+ * @param {boolean} forceRefresh - Force refresh cached models
+ * @returns {Promise<Array>} Array of model objects
+ */
+export async function fetchAnthropicModels(apiKey, forceRefresh = false) {
+  if (cachedModels && !forceRefresh) {
+    return cachedModels;
+  }
+
+  if (!apiKey) {
+    return FALLBACK_MODELS;
+  }
+
+  try {
+    const response = await fetch(`${ANTHROPIC_API_BASE}/models?limit=100`, {
+      headers: buildHeaders(apiKey)
+    });
+
+    if (!response.ok) {
+      console.error('[Anthropic] Failed to fetch models:', response.status);
+      return FALLBACK_MODELS;
+    }
+
+    const data = await response.json();
+
+    if (!data.data || !Array.isArray(data.data)) {
+      return FALLBACK_MODELS;
+    }
+
+    // The API lists the newest models first, keep that order
+    cachedModels = data.data.map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      description: '',
+      contextLength: 0,
+      pricing: findModelPricing(model.id),
+      isFree: false,
+      provider: 'anthropic'
+    }));
+
+    return cachedModels;
+  } catch (error) {
+    console.error('[Anthropic] Error fetching models:', error);
+    return FALLBACK_MODELS;
+  }
+}
+
+/**
+ * Get cached models or fallback
+ * @returns {Array} Array of model objects
+ */
+export function getAnthropicModels() {
+  return cachedModels || FALLBACK_MODELS;
+}
+
+/**
+ * Anthropic provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  description: 'Claude models • API key',
+  icon: '<path d="M13.83 4h-3.66L4 20h3.76l1.26-3.36h5.96L16.24 20H20L13.83 4zm-3.63 9.5L12 8.7l1.8 4.8h-3.6z"/>',
+  settingsSchema: [
+    {
+      key: 'anthropicApiKey',
+      label: 'Anthropic API Key',
+      type: 'password',
+      placeholder: 'sk-ant-...',
+      required: true,
+      helpText: 'Create an API key at',
+      helpUrl: 'https://console.anthropic.com/settings/keys'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: true,
+    json: false
+  },
+  send: ({ credentials, ...params }) => sendAnthropicRequest({ ...params, apiKey: credentials.anthropicApiKey }),
+  stream: ({ credentials, ...params }, onChunk) => sendAnthropicRequest({ ...params, apiKey: credentials.anthropicApiKey }, onChunk),
+  listModels: (credentials, { forceRefresh = false } = {}) => fetchAnthropicModels(credentials.anthropicApiKey, forceRefresh),
+  getModels: getAnthropicModels,
+  testConnection: (credentials) => testAnthropicConnection(credentials.anthropicApiKey)
+};
@@ -0,0 +1,355 @@
+/**
+ * Azure OpenAI Provider
+ * Calls a chat model deployed on an Azure OpenAI resource
+ * Endpoint, deployment and key are in the Azure portal under "Keys and Endpoint"
+ * Endpoints outside *.openai.azure.com and *.cognitiveservices.azure.com are granted at
+ * runtime from the options page
+ */
+
+import { readChatCompletionStream } from './sse.js';
+import { getRetryAfter, getChatCompletionUsage } from './http.js';
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Build the chat-completions URL of a deployment
+ * @param {Object} config
+ * @param {string} config.endpoint - Resource endpoint (e.g. https://my-resource.openai.azure.com)
+ * @param {string} config.deployment - Deployment name
+ * @param {string} [config.apiVersion] - api-version query parameter
+ * @returns {string}
+ */
+function getChatCompletionsUrl({ endpoint, deployment, apiVersion }) {
+  const base = endpoint.trim().replace(/\/+$/, '').replace(/\/openai$/, '');
+  const version = (apiVersion || '').trim() || DEFAULT_API_VERSION;
+  return `${base}/openai/deployments/${encodeURIComponent(deployment.trim())}/chat/completions?api-version=${encodeURIComponent(version)}`;
+}
+
+/**
+ * Check that the extension may call the endpoint
+ * @param {string} endpoint - Resource endpoint
+ * @returns {Promise<string|null>} Error message, null when the endpoint can be called
+ */
+async function checkEndpointAccess(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint.trim());
+  } catch (e) {
+    return 'The Azure OpenAI endpoint is not a valid URL. Copy it from "Keys and Endpoint" of your resource.';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'The Azure OpenAI endpoint must start with https://.';
+  }
+
+  const granted = await chrome.permissions.contains({ origins: [`https://${url.hostname}/*`] });
+  if (!granted) {
+    return `Explain Anything has no access to ${url.host} yet. Open the settings and click Test Connection or Save Settings to allow it.`;
+  }
+
+  return null;
+}
+
+/**
+ * List the content filter categories that blocked a prompt or a response
+ * @param {Object} [results] - Azure content_filter_results or content_filter_result
+ * @returns {string} e.g. "hate: medium, violence: high"
+ */
+function describeFilteredCategories(results) {
+  return Object.entries(results || {})
+    .filter(([, result]) => result?.filtered)
+    .map(([category, result]) => result.severity ? `${category}: ${result.severity}` : category)
+    .join(', ');
+}
+
+/**
+ * Content filter error, in the "Cause: message" form the content script splits
+ * @param {'prompt'|'response'} target - What was filtered
+ * @param {Object} [results] - Filter results
+ * @returns {string}
+ */
+function contentFilterError(target, results) {
+  const categories = describeFilteredCategories(results);
+  return `Content filtered: Azure's content filter blocked the ${target}${categories ? ` (${categories})` : ''}. Try a different selection or ask your Azure admin about the filter policy.`;
+}
+
+/**
+ * Turn an error response into the {error} shape
+ * @param {Response} response - Failed response
+ * @param {string} deployment - Deployment name
+ * @returns {Promise<{error: string, status: number, retryAfter?: number}>}
+ */
+async function describeErrorResponse(response, deployment) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error('[Azure OpenAI] API error:', errorData);
+  const error = errorData.error || {};
+
+  if (error.code === 'content_filter') {
+    return { error: contentFilterError('prompt', error.innererror?.content_filter_result), status: response.status };
+  }
+  if (response.status === 401) {
+    return { error: 'Invalid API key. Please check your Azure OpenAI key in settings.', status: response.status };
+  }
+  if (response.status === 404 || error.code === 'DeploymentNotFound') {
+    return { error: `Deployment not found: "${deployment}" does not exist on this resource. On Azure the model is the deployment name, check it and the endpoint in settings.`, status: response.status };
+  }
+  if (response.status === 429) {
+    const retryAfter = getRetryAfter(response);
+    return {
+      error: `Quota exceeded: Your Azure OpenAI deployment hit its rate limit. ${retryAfter ? `Try again in ${retryAfter} seconds.` : 'Please try again later.'}`,
+      status: response.status,
+      ...(retryAfter ? { retryAfter } : {})
+    };
+  }
+  return { error: error.message || `Azure OpenAI error: ${response.status}`, status: response.status };
+}
+
+/**
+ * Send a request to an Azure OpenAI deployment
+ * @param {Object} params - Request parameters
+ * @param {string} params.endpoint - Resource endpoint
+ * @param {string} params.deployment - Deployment name, it selects the model
+ * @param {string} [params.apiVersion] - api-version query parameter
+ * @param {string} params.apiKey - Resource key
+ * @param {string} params.systemPrompt - System prompt
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
+ * @param {Function} [onChunk] - Optional callback for streaming chunks
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number, retryAfter?: number}>}
+ */
+export async function sendAzureOpenAIRequest({ endpoint, deployment, apiVersion, apiKey, systemPrompt, userMessage, messages, requestParams, signal }, onChunk) {
+  if (!endpoint || !deployment || !apiKey) {
+    return {
+      error: 'Azure OpenAI is not configured. Enter the endpoint, deployment name and key of your resource in the extension settings.'
+    };
+  }
+
+  const accessError = await checkEndpointAccess(endpoint);
+  if (accessError) {
+    return { error: accessError };
+  }
+
+  const isStreaming = typeof onChunk === 'function';
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
+
+  try {
+    const response = await fetch(getChatCompletionsUrl({ endpoint, deployment, apiVersion }), {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'api-key': apiKey
+      },
+      body: JSON.stringify({
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...(messages || [{ role: 'user', content: userMessage }])
+        ],
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        stop: stop?.length ? stop : undefined,
+        stream: isStreaming,
+        // Streams only report token counts when asked to
+        ...(isStreaming ? { stream_options: { include_usage: true } } : {})
+      })
+    });
+
+    if (!response.ok) {
+      return await describeErrorResponse(response, deployment);
+    }
+
+    if (isStreaming) {
+      const result = await readChatCompletionStream(response, onChunk, 'Azure OpenAI');
+      if (result.finishReason === 'content_filter') {
+        return { error: contentFilterError('response', result.contentFilterResults) };
+      }
+      return result;
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+
+    if (choice?.finish_reason === 'content_filter') {
+      return { error: contentFilterError('response', choice.content_filter_results) };
+    }
+
+    const content = choice?.message?.content;
+    if (!content) {
+      return { error: 'No response content received from Azure OpenAI.' };
+    }
+
+    return { content, usage: getChatCompletionUsage(data.usage), truncated: choice.finish_reason === 'length' };
+  } catch (error) {
+    console.error('[Azure OpenAI] Request failed:', error);
+    return { error: `Azure OpenAI error: ${error.message}`, status: 0 };
+  }
+}
+
+/**
+ * Test the connection with a one-token completion
+ * Azure has no data-plane call that checks a deployment for free
+ * @param {Object} config - endpoint, deployment, apiVersion and apiKey
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testAzureOpenAIConnection({ endpoint, deployment, apiVersion, apiKey }) {
+  if (!endpoint || !deployment || !apiKey) {
+    return {
+      success: false,
+      error: 'Endpoint, deployment name and key are required.'
+    };
+  }
+
+  const accessError = await checkEndpointAccess(endpoint);
+  if (accessError) {
+    return { success: false, error: accessError };
+  }
+
+  try {
+    const response = await fetch(getChatCompletionsUrl({ endpoint, deployment, apiVersion }), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'api-key': apiKey
+      },
+      body: JSON.stringify({
+        messages: [{ role: 'user', content: 'ping' }],
+        max_tokens: 1
+      })
+    });
+
+    if (response.ok) {
+      return { success: true };
+    }
+
+    const { error } = await describeErrorResponse(response, deployment);
+    return { success: false, error };
+  } catch (error) {
+    return { success: false, error: `Connection failed: ${error.message}` };
+  }
+}
+
+/**
+ * Read a price field
+ * @param {string} value - USD per million tokens, as entered
+ * @returns {number|null} null when empty or not a number
+ */
+function parsePrice(value) {
+  const price = Number.parseFloat((value || '').trim());
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * The deployment is the model; listing deployments needs Azure management access,
+ * so the configured deployment is the only choice
+ * Azure doesn't report prices, the deployment is priced from the price fields
+ * @param {Object} credentials - Values of the settings fields
+ * @returns {Array} Array of model objects
+ */
+export function getAzureOpenAIModels(credentials) {
+  const deployment = (credentials?.azureDeployment || '').trim();
+  if (!deployment) return [];
+
+  const prompt = parsePrice(credentials.azurePromptPrice);
+  const completion = parsePrice(credentials.azureCompletionPrice);
+
+  return [{
+    id: deployment,
+    name: deployment,
+    description: 'Azure OpenAI deployment',
+    contextLength: 0,
+    // Both prices are needed, half a price would undercount the budget
+    pricing: prompt !== null && completion !== null ? { prompt, completion } : null,
+    isFree: false,
+    provider: 'azure'
+  }];
+}
+
+/**
+ * Map stored settings to the deployment configuration
+ * @param {Object} credentials - Values of the settings fields
+ * @param {string} [model] - Model of the request, on Azure the name of a deployment of the
+ *   resource (e.g. one in the fallback chain); the configured deployment when empty
+ * @returns {{endpoint: string, deployment: string, apiVersion: string, apiKey: string}}
+ */
+function getDeploymentConfig(credentials, model) {
+  return {
+    endpoint: credentials.azureEndpoint,
+    deployment: model || credentials.azureDeployment,
+    apiVersion: credentials.azureApiVersion,
+    apiKey: credentials.azureApiKey
+  };
+}
+
+/**
+ * Azure OpenAI provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const azureOpenAIProvider = {
+  id: 'azure-openai',
+  name: 'Azure OpenAI',
+  description: 'Your Azure deployment',
+  icon: '<path d="M19.35 10.04C18.67 6.59 15.64 4 12 4 9.11 4 6.6 5.64 5.35 8.04 2.34 8.36 0 10.91 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96z"/>',
+  settingsSchema: [
+    {
+      key: 'azureEndpoint',
+      label: 'Endpoint',
+      type: 'url',
+      placeholder: 'https://my-resource.openai.azure.com',
+      required: true,
+      hostPermission: true,
+      helpText: 'Shown under "Keys and Endpoint" of your Azure OpenAI resource. Chrome asks once for access to custom domains.'
+    },
+    {
+      key: 'azureDeployment',
+      label: 'Deployment Name',
+      type: 'text',
+      placeholder: 'gpt-4o-mini',
+      required: true,
+      helpText: 'The name you gave the model deployment, not the model name. A model picked elsewhere, e.g. in the fallback chain, names another deployment of this resource.'
+    },
+    {
+      key: 'azureApiVersion',
+      label: 'API Version',
+      type: 'text',
+      placeholder: DEFAULT_API_VERSION,
+      default: DEFAULT_API_VERSION
+    },
+    {
+      key: 'azureApiKey',
+      label: 'API Key',
+      type: 'password',
+      placeholder: 'Key 1 or Key 2',
+      required: true
+    },
+    {
+      key: 'azurePromptPrice',
+      label: 'Input Price (optional)',
+      type: 'text',
+      placeholder: '0.15',
+      format: 'price',
+      helpText: 'USD per million input tokens of the deployment\'s model, from the Azure pricing page. Without both prices the deployment\'s costs are unknown and don\'t count toward the monthly budget.'
+    },
+    {
+      key: 'azureCompletionPrice',
+      label: 'Output Price (optional)',
+      type: 'text',
+      placeholder: '0.60',
+      format: 'price',
+      helpText: 'USD per million output tokens of the deployment\'s model.'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: false,
+    json: true
+  },
+  send: ({ credentials, ...params }) => sendAzureOpenAIRequest({ ...params, ...getDeploymentConfig(credentials, params.model) }),
+  stream: ({ credentials, ...params }, onChunk) => sendAzureOpenAIRequest({ ...params, ...getDeploymentConfig(credentials, params.model) }, onChunk),
+  listModels: async (credentials) => getAzureOpenAIModels(credentials),
+  getModels: getAzureOpenAIModels,
+  testConnection: (credentials) => testAzureOpenAIConnection(getDeploymentConfig(credentials))
+};
@@ -6,27 +6,81 @@
 
 const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 
+// Paid tier prices in USD per million tokens (prompts up to 200k tokens), matched by model
+// ID prefix, most specific first. The models API doesn't report prices, and a key may be on
+// the free tier, so spend is counted as if it weren't
+const MODEL_PRICING = [
+  ['gemini-2.5-pro', { prompt: 1.25, completion: 10 }],
+  ['gemini-2.5-flash-lite', { prompt: 0.1, completion: 0.4 }],
+  ['gemini-2.5-flash', { prompt: 0.3, completion: 2.5 }],
+  ['gemini-2.0-flash-lite', { prompt: 0.075, completion: 0.3 }],
+  ['gemini-2.0-flash', { prompt: 0.1, completion: 0.4 }],
+  ['gemini-1.5-pro', { prompt: 1.25, completion: 5 }],
+  ['gemini-1.5-flash-8b', { prompt: 0.0375, completion: 0.15 }],
+  ['gemini-1.5-flash', { prompt: 0.075, completion: 0.3 }]
+];
+
 // Fallback models if API fetch fails
 const FALLBACK_MODELS = [
-  { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', isFree: true },
-  { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', isFree: true },
-  { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', isFree: true }
+  { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', pricing: findModelPricing('gemini-2.0-flash'), isFree: true },
+  { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', pricing: findModelPricing('gemini-1.5-flash'), isFree: true },
+  { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', pricing: findModelPricing('gemini-1.5-pro'), isFree: true }
 ];
 
 // Cached models
 let cachedModels = null;
 
+/**
+ * Look up the published price of a model
+ * @param {string} id - Model ID
+ * @returns {{prompt: number, completion: number}|null} USD per million tokens, null when unknown
+ */
+function findModelPricing(id) {
+  return MODEL_PRICING.find(([prefix]) => id.startsWith(prefix))?.[1] || null;
+}
+
+/**
+ * Read the retry delay Gemini puts in the RetryInfo detail of a 429 error
+ * @param {Object} errorData - Error response body
+ * @returns {number|null} Seconds to wait
+ */
+function getRetryDelay(errorData) {
+  const retryInfo = (errorData.error?.details || [])
+    .find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+  // retryDelay is a protobuf Duration string such as "34s" or "1.5s"
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return seconds > 0 ? Math.ceil(seconds) : null;
+}
+
+/**
+ * Normalize Gemini's usageMetadata
+ * @param {Object} [usageMetadata] - {promptTokenCount, candidatesTokenCount, thoughtsTokenCount}
+ * @returns {{promptTokens: number, completionTokens: number}|null}
+ */
+function getUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+
+  return {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    // Thinking models bill their thoughts as output tokens
+    completionTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+  };
+}
+
 /**
  * Send a request to Gemini API
  * @param {Object} params - Request parameters
  * @param {string} params.model - Model ID
  * @param {string} params.systemPrompt - System prompt
- * @param {string} params.userMessage - User message
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
  * @param {string} params.apiKey - Gemini API key
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
  * @param {Function} [onChunk] - Optional callback for streaming chunks
- * @returns {Promise<{content: string} | {error: string}>}
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number, retryAfter?: number|null}>}
  */
-export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiKey }, onChunk) {
+export async function sendGeminiRequest({ model, systemPrompt, userMessage, messages, apiKey, requestParams, signal }, onChunk) {
   if (!apiKey) {
     return {
       error: 'Gemini API key is not configured. Get a free API key at aistudio.google.com/app/apikey'
@@ -34,22 +88,26 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
   }
 
   const isStreaming = typeof onChunk === 'function';
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
 
   try {
     const modelId = model || 'gemini-2.0-flash';
     const method = isStreaming ? 'streamGenerateContent' : 'generateContent';
 
+    // Gemini uses "model" instead of "assistant" for its own turns
+    const contents = (messages || [{ role: 'user', content: userMessage }]).map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+
     // Build the request payload
     const payload = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: userMessage }]
-        }
-      ],
+      contents,
       generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 2048
+        temperature,
+        maxOutputTokens: maxTokens,
+        topP,
+        stopSequences: stop?.length ? stop : undefined
       }
     };
 
@@ -64,6 +122,7 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
       `${GEMINI_API_BASE}/${modelId}:${method}?key=${apiKey}`,
       {
         method: 'POST',
+        signal,
         headers: {
           'Content-Type': 'application/json'
         },
@@ -76,15 +135,15 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
       console.error('[Gemini] API error:', errorData);
 
       if (response.status === 400) {
-        return { error: errorData.error?.message || 'Invalid request. Check your API key and model.' };
+        return { error: errorData.error?.message || 'Invalid request. Check your API key and model.', status: response.status };
       }
       if (response.status === 401 || response.status === 403) {
-        return { error: 'Invalid API key. Please check your Gemini API key in settings.' };
+        return { error: 'Invalid API key. Please check your Gemini API key in settings.', status: response.status };
       }
       if (response.status === 429) {
-        return { error: 'Rate limit exceeded. Please try again later.' };
+        return { error: 'Rate limit exceeded. Please try again later.', status: response.status, retryAfter: getRetryDelay(errorData) };
       }
-      return { error: errorData.error?.message || `Gemini API error: ${response.status}` };
+      return { error: errorData.error?.message || `Gemini API error: ${response.status}`, status: response.status };
     }
 
     if (isStreaming) {
@@ -92,6 +151,8 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
       const decoder = new TextDecoder();
       let fullContent = '';
       let buffer = '';
+      let usage = null;
+      let truncated = false;
 
       while (true) {
         const { done, value } = await reader.read();
@@ -146,6 +207,14 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
                     fullContent += content;
                     onChunk(content);
                   }
+                  // Every chunk repeats the running totals, the last one is final
+                  if (data.usageMetadata) {
+                    usage = getUsage(data.usageMetadata);
+                  }
+                  // Only the last chunk has a finish reason
+                  if (data.candidates?.[0]?.finishReason) {
+                    truncated = data.candidates[0].finishReason === 'MAX_TOKENS';
+                  }
                 } catch (e) {
                   console.error('Error parsing Gemini chunk:', e);
                 }
@@ -158,7 +227,7 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
         }
       }
 
-      return { content: fullContent };
+      return { content: fullContent, usage, truncated };
     } else {
       const data = await response.json();
 
@@ -170,11 +239,15 @@ export async function sendGeminiRequest({ model, systemPrompt, userMessage, apiK
         return { error: 'No response content received from Gemini.' };
       }
 
-      return { content };
+      return {
+        content,
+        usage: getUsage(data.usageMetadata),
+        truncated: data.candidates[0].finishReason === 'MAX_TOKENS'
+      };
     }
   } catch (error) {
     console.error('[Gemini] Request failed:', error);
-    return { error: `Gemini error: ${error.message}` };
+    return { error: `Gemini error: ${error.message}`, status: 0 };
   }
 }
 
@@ -254,6 +327,7 @@ export async function fetchGeminiModels(apiKey, forceRefresh = false) {
           name: model.displayName || id,
           description: model.description || '',
           contextLength: model.inputTokenLimit || 0,
+          pricing: findModelPricing(id),
           isFree: true, // Gemini API has free tier
           provider: 'google'
         };
@@ -275,3 +349,36 @@ export function getGeminiModels() {
   return cachedModels || FALLBACK_MODELS;
 }
 
+
+/**
+ * Gemini provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const geminiProvider = {
+  id: 'gemini',
+  name: 'Gemini',
+  description: 'Google AI • Free tier',
+  icon: '<path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>',
+  settingsSchema: [
+    {
+      key: 'geminiApiKey',
+      label: 'Gemini API Key',
+      type: 'password',
+      placeholder: 'AIza...',
+      required: true,
+      helpText: 'Get a free API key from',
+      helpUrl: 'https://aistudio.google.com/app/apikey'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: true,
+    json: true
+  },
+  send: ({ credentials, ...params }) => sendGeminiRequest({ ...params, apiKey: credentials.geminiApiKey }),
+  stream: ({ credentials, ...params }, onChunk) => sendGeminiRequest({ ...params, apiKey: credentials.geminiApiKey }, onChunk),
+  listModels: (credentials, { forceRefresh = false } = {}) => fetchGeminiModels(credentials.geminiApiKey, forceRefresh),
+  getModels: getGeminiModels,
+  testConnection: (credentials) => testGeminiConnection(credentials.geminiApiKey)
+};
@@ -0,0 +1,49 @@
+/**
+ * HTTP Helpers
+ * Shared by the provider modules
+ */
+
+/**
+ * Read how long a rate-limited response asks the client to wait
+ * Supports retry-after-ms (Azure) and Retry-After as seconds or an HTTP date
+ * @param {Response} response - Failed response
+ * @returns {number|null} Seconds to wait, null when the response does not say
+ */
+export function getRetryAfter(response) {
+  const retryAfterMs = Number(response.headers.get('retry-after-ms'));
+  if (retryAfterMs > 0) {
+    return Math.ceil(retryAfterMs / 1000);
+  }
+
+  const retryAfter = response.headers.get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds > 0 ? Math.ceil(seconds) : null;
+  }
+
+  const date = Date.parse(retryAfter);
+  if (Number.isNaN(date)) return null;
+
+  const secondsUntil = Math.ceil((date - Date.now()) / 1000);
+  return secondsUntil > 0 ? secondsUntil : null;
+}
+
+/**
+ * Normalize the usage object of a chat-completions response
+ * @param {Object} [usage] - {prompt_tokens, completion_tokens}, OpenRouter adds the billed cost
+ * @returns {{promptTokens: number, completionTokens: number, cost?: number}|null}
+ */
+export function getChatCompletionUsage(usage) {
+  if (!usage) return null;
+
+  const normalized = {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0
+  };
+  if (typeof usage.cost === 'number') {
+    normalized.cost = usage.cost;
+  }
+  return normalized;
+}
@@ -0,0 +1,314 @@
+/**
+ * Ollama Provider
+ * Talks to a local Ollama server, no API key needed
+ * Install from: https://ollama.com
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+// Cached models, per base URL
+let cachedModels = null;
+let cachedModelsBaseUrl = null;
+
+/**
+ * Normalize the configured base URL
+ * @param {string} [baseUrl] - Configured base URL
+ * @returns {string} Base URL without a trailing slash
+ */
+function getBaseUrl(baseUrl) {
+  return (baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Turn a failed fetch into a readable error
+ * @param {Error} error - Fetch error
+ * @param {string} baseUrl - Base URL that was called
+ * @returns {string}
+ */
+function describeNetworkError(error, baseUrl) {
+  if (error.name === 'TypeError') {
+    const message = `Could not reach Ollama at ${baseUrl}. Make sure it is running (ollama serve) and the address in settings is correct.`;
+    if (isLocalServer(baseUrl)) return message;
+
+    return `${message} A server on another computer must listen on its network address (OLLAMA_HOST=0.0.0.0), and the extension needs access to it: click Test Connection or Save Settings in settings to allow it.`;
+  }
+  return `Ollama error: ${error.message}`;
+}
+
+/**
+ * Check whether a server URL is on this computer, which the extension can always reach
+ * @param {string} baseUrl - Server URL
+ * @returns {boolean}
+ */
+function isLocalServer(baseUrl) {
+  try {
+    return ['localhost', '127.0.0.1'].includes(new URL(baseUrl).hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Turn an error response into a readable error
+ * @param {Response} response - Failed response
+ * @param {string} model - Requested model
+ * @returns {Promise<string>}
+ */
+async function describeErrorResponse(response, model) {
+  const errorData = await response.json().catch(() => ({}));
+
+  if (response.status === 403) {
+    return 'Ollama refused the request from the extension. Allow it by starting Ollama with OLLAMA_ORIGINS="chrome-extension://*".';
+  }
+  if (response.status === 404) {
+    return `Model "${model}" is not installed in Ollama. Run "ollama pull ${model}" or pick an installed model in settings.`;
+  }
+  return errorData.error || `Ollama error: ${response.status}`;
+}
+
+/**
+ * Read the token counts of the final chat response
+ * @param {Object} data - Final message, with done: true
+ * @returns {{promptTokens: number, completionTokens: number}|null}
+ */
+function getUsage(data) {
+  if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+
+  return {
+    promptTokens: data.prompt_eval_count || 0,
+    completionTokens: data.eval_count || 0
+  };
+}
+
+/**
+ * Send a request to Ollama's chat API
+ * @param {Object} params - Request parameters
+ * @param {string} [params.baseUrl] - Ollama server URL
+ * @param {string} params.model - Installed model name (e.g. "llama3.2")
+ * @param {string} params.systemPrompt - System prompt
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
+ * @param {Function} [onChunk] - Optional callback for streaming chunks
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number}>}
+ */
+export async function sendOllamaRequest({ baseUrl, model, systemPrompt, userMessage, messages, requestParams, signal }, onChunk) {
+  if (!model) {
+    return { error: 'No Ollama model selected. Pick one of your installed models in the extension settings.' };
+  }
+
+  const isStreaming = typeof onChunk === 'function';
+  const base = getBaseUrl(baseUrl);
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
+
+  try {
+    const requestMessages = messages || [{ role: 'user', content: userMessage }];
+
+    const response = await fetch(`${base}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        messages: systemPrompt
+          ? [{ role: 'system', content: systemPrompt }, ...requestMessages]
+          : requestMessages,
+        stream: isStreaming,
+        options: {
+          temperature,
+          num_predict: maxTokens,
+          top_p: topP,
+          stop: stop?.length ? stop : undefined
+        }
+      })
+    });
+
+    if (!response.ok) {
+      return { error: await describeErrorResponse(response, model), status: response.status };
+    }
+
+    if (isStreaming) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let fullContent = '';
+      let buffer = '';
+      let usage = null;
+      let truncated = false;
+
+      // Ollama streams one JSON object per line (NDJSON)
+      const handleLine = (line) => {
+        if (!line.trim()) return null;
+
+        let data;
+        try {
+          data = JSON.parse(line);
+        } catch (e) {
+          console.warn('[Ollama] Error parsing streaming chunk:', e, line);
+          return null;
+        }
+
+        if (data.error) {
+          return data.error;
+        }
+
+        const content = data.message?.content;
+        if (content) {
+          fullContent += content;
+          onChunk(content);
+        }
+        if (data.done) {
+          usage = getUsage(data);
+          truncated = data.done_reason === 'length';
+        }
+        return null;
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+
+        // Keep the last partial line in the buffer
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const error = handleLine(line);
+          if (error) return { error };
+        }
+      }
+
+      const error = handleLine(buffer);
+      if (error) return { error };
+
+      return { content: fullContent, usage, truncated };
+    } else {
+      const data = await response.json();
+
+      if (data.error) {
+        return { error: data.error };
+      }
+
+      const content = data.message?.content;
+      if (!content) {
+        return { error: 'No response content received from Ollama.' };
+      }
+
+      return { content, usage: getUsage(data), truncated: data.done_reason === 'length' };
+    }
+  } catch (error) {
+    console.error('[Ollama] Request failed:', error);
+    return { error: describeNetworkError(error, base), status: 0 };
+  }
+}
+
+/**
+ * Test the connection to the Ollama server
+ * @param {string} [baseUrl] - Ollama server URL
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testOllamaConnection(baseUrl) {
+  const base = getBaseUrl(baseUrl);
+
+  try {
+    const response = await fetch(`${base}/api/tags`);
+
+    if (response.ok) {
+      return { success: true };
+    }
+
+    return { success: false, error: await describeErrorResponse(response, '') };
+  } catch (error) {
+    return { success: false, error: describeNetworkError(error, base) };
+  }
+}
+
+/**
+ * Fetch the models installed on the Ollama server
+ * @param {string} [baseUrl] - Ollama server URL
+ * @param {boolean} forceRefresh - Force refresh cached models
+ * @returns {Promise<Array>} Array of model objects
+ */
+export async function fetchOllamaModels(baseUrl, forceRefresh = false) {
+  const base = getBaseUrl(baseUrl);
+
+  if (cachedModels && cachedModelsBaseUrl === base && !forceRefresh) {
+    return cachedModels;
+  }
+
+  const response = await fetch(`${base}/api/tags`).catch((error) => {
+    throw new Error(describeNetworkError(error, base));
+  });
+
+  if (!response.ok) {
+    throw new Error(await describeErrorResponse(response, ''));
+  }
+
+  const data = await response.json();
+
+  cachedModels = (data.models || [])
+    .filter(model => model.name)
+    .map(model => {
+      const details = model.details || {};
+      return {
+        id: model.name,
+        name: model.name,
+        description: [details.family, details.parameter_size, details.quantization_level].filter(Boolean).join(' • '),
+        contextLength: 0,
+        pricing: { prompt: 0, completion: 0 },
+        isFree: true,
+        provider: 'ollama'
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  cachedModelsBaseUrl = base;
+
+  return cachedModels;
+}
+
+/**
+ * Get cached models
+ * There is no fallback list, only installed models can be used
+ * @returns {Array} Array of model objects
+ */
+export function getOllamaModels() {
+  return cachedModels || [];
+}
+
+/**
+ * Ollama provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const ollamaProvider = {
+  id: 'ollama',
+  name: 'Ollama',
+  description: 'Runs locally • No API key',
+  icon: '<path d="M20 18c1.1 0 1.99-.9 1.99-2L22 6c0-1.1-.9-2-2-2H4c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2H0v2h24v-2h-4zM4 6h16v10H4V6z"/>',
+  settingsSchema: [
+    {
+      key: 'ollamaBaseUrl',
+      label: 'Ollama Server URL',
+      type: 'url',
+      placeholder: DEFAULT_BASE_URL,
+      default: DEFAULT_BASE_URL,
+      hostPermission: true,
+      helpText: 'With the default address your selections never leave this computer. For a server on another computer, Chrome asks once for access to it. Install Ollama from',
+      helpUrl: 'https://ollama.com'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: false,
+    json: true
+  },
+  send: ({ credentials, ...params }) => sendOllamaRequest({ ...params, baseUrl: credentials.ollamaBaseUrl }),
+  stream: ({ credentials, ...params }, onChunk) => sendOllamaRequest({ ...params, baseUrl: credentials.ollamaBaseUrl }, onChunk),
+  listModels: (credentials, { forceRefresh = false } = {}) => fetchOllamaModels(credentials.ollamaBaseUrl, forceRefresh),
+  getModels: getOllamaModels,
+  testConnection: (credentials) => testOllamaConnection(credentials.ollamaBaseUrl)
+};
@@ -0,0 +1,352 @@
+/**
+ * OpenAI-compatible Provider
+ * Any server implementing the chat-completions API (LM Studio, vLLM, llama.cpp server, ...)
+ * Access to the server's origin is granted at runtime from the options page
+ */
+
+import { readChatCompletionStream } from './sse.js';
+import { getRetryAfter, getChatCompletionUsage } from './http.js';
+
+// Characters allowed in an HTTP header name (RFC 9110 token)
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Cached models, per API base
+let cachedModels = null;
+let cachedModelsApiBase = null;
+
+/**
+ * Normalize the configured server URL to the API root ending in /v1
+ * @param {string} baseUrl - Configured server URL
+ * @returns {string}
+ */
+function getApiBase(baseUrl) {
+  const trimmed = (baseUrl || '').trim()
+    .replace(/\/+$/, '')
+    .replace(/\/chat\/completions$/, '');
+  return /\/v1$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+}
+
+/**
+ * Parse extra headers written one "Name: value" per line
+ * Lines without a valid header name are skipped, the options page reports them on save
+ * @param {string} text - Header lines
+ * @returns {Object}
+ */
+function parseExtraHeaders(text) {
+  const headers = {};
+  (text || '').split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+
+    const name = line.slice(0, index).trim();
+    const value = line.slice(index + 1).trim();
+    if (HEADER_NAME.test(name)) {
+      headers[name] = value;
+    }
+  });
+  return headers;
+}
+
+/**
+ * Build the request headers
+ * @param {Object} config
+ * @param {string} [config.apiKey] - Optional bearer key
+ * @param {string} [config.extraHeaders] - Header lines
+ * @returns {Object}
+ */
+function buildHeaders({ apiKey, extraHeaders }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...parseExtraHeaders(extraHeaders)
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Check the configuration and that the extension may call the server
+ * @param {string} baseUrl - Configured server URL
+ * @returns {Promise<string|null>} Error message, null when the server can be called
+ */
+async function checkServerAccess(baseUrl) {
+  let url;
+  try {
+    url = new URL(getApiBase(baseUrl));
+  } catch (e) {
+    return 'Set the server URL of your OpenAI-compatible server in the extension settings.';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'The server URL must start with http:// or https://.';
+  }
+
+  const origin = `${url.protocol}//${url.hostname}/*`;
+  const granted = await chrome.permissions.contains({ origins: [origin] });
+  if (!granted) {
+    return `Explain Anything has no access to ${url.host} yet. Open the settings and click Test Connection or Save Settings to allow it.`;
+  }
+
+  return null;
+}
+
+/**
+ * Turn an error response into a readable error
+ * @param {Response} response - Failed response
+ * @returns {Promise<string>}
+ */
+async function describeErrorResponse(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const message = errorData.error?.message || errorData.error || errorData.message;
+
+  if (response.status === 401 || response.status === 403) {
+    return 'The server rejected the request. Check the API key and extra headers in settings.';
+  }
+  if (response.status === 404) {
+    return `Not found${message ? `: ${message}` : ''}. Check the server URL (it usually ends in /v1) and the model name.`;
+  }
+  return typeof message === 'string' ? message : `Server error: ${response.status}`;
+}
+
+/**
+ * Turn a failed fetch into a readable error
+ * @param {Error} error - Fetch error
+ * @param {string} apiBase - API root that was called
+ * @returns {string}
+ */
+function describeNetworkError(error, apiBase) {
+  if (error.name === 'TypeError') {
+    return `Could not reach ${apiBase}. Make sure the server is running and allows requests from the extension (CORS).`;
+  }
+  return `Network error: ${error.message}`;
+}
+
+/**
+ * Send a request to an OpenAI-compatible server
+ * @param {Object} params - Request parameters
+ * @param {string} params.baseUrl - Server URL
+ * @param {string} [params.apiKey] - Optional bearer key
+ * @param {string} [params.extraHeaders] - Extra header lines
+ * @param {string} [params.model] - Model ID, some servers ignore it
+ * @param {string} params.systemPrompt - System prompt
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
+ * @param {Function} [onChunk] - Optional callback for streaming chunks
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number, retryAfter?: number|null}>}
+ */
+export async function sendOpenAICompatibleRequest({ baseUrl, apiKey, extraHeaders, model, systemPrompt, userMessage, messages, requestParams, signal }, onChunk) {
+  const accessError = await checkServerAccess(baseUrl);
+  if (accessError) {
+    return { error: accessError };
+  }
+
+  const isStreaming = typeof onChunk === 'function';
+  const apiBase = getApiBase(baseUrl);
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
+
+  try {
+    const response = await fetch(`${apiBase}/chat/completions`, {
+      method: 'POST',
+      signal,
+      credentials: 'omit',
+      headers: buildHeaders({ apiKey, extraHeaders }),
+      body: JSON.stringify({
+        model: model || undefined,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...(messages || [{ role: 'user', content: userMessage }])
+        ],
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        stop: stop?.length ? stop : undefined,
+        stream: isStreaming
+      })
+    });
+
+    if (!response.ok) {
+      return {
+        error: await describeErrorResponse(response),
+        status: response.status,
+        retryAfter: getRetryAfter(response)
+      };
+    }
+
+    if (isStreaming) {
+      return await readChatCompletionStream(response, onChunk, 'OpenAI-compatible');
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+      return { error: data.error.message || 'Server error' };
+    }
+
+    const choice = data.choices?.[0];
+    const content = choice?.message?.content;
+    if (!content) {
+      return { error: 'No response content received from the server.' };
+    }
+
+    return { content, usage: getChatCompletionUsage(data.usage), truncated: choice.finish_reason === 'length' };
+  } catch (error) {
+    console.error('[OpenAI-compatible] Request failed:', error);
+    return { error: describeNetworkError(error, apiBase), status: 0 };
+  }
+}
+
+/**
+ * Test the connection by listing the server's models
+ * @param {Object} config - baseUrl, apiKey and extraHeaders
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testOpenAICompatibleConnection(config) {
+  const accessError = await checkServerAccess(config.baseUrl);
+  if (accessError) {
+    return { success: false, error: accessError };
+  }
+
+  const apiBase = getApiBase(config.baseUrl);
+
+  try {
+    const response = await fetch(`${apiBase}/models`, {
+      credentials: 'omit',
+      headers: buildHeaders(config)
+    });
+
+    if (response.ok) {
+      return { success: true };
+    }
+
+    return { success: false, error: await describeErrorResponse(response) };
+  } catch (error) {
+    return { success: false, error: describeNetworkError(error, apiBase) };
+  }
+}
+
+/**
+ * Fetch the models served by the server from /v1/models
+ * @param {Object} config - baseUrl, apiKey and extraHeaders
+ * @param {boolean} forceRefresh - Force refresh cached models
+ * @returns {Promise<Array>} Array of model objects, the last ones fetched from this server
+ *   (or none) when the server can't be reached
+ */
+export async function fetchOpenAICompatibleModels(config, forceRefresh = false) {
+  const apiBase = getApiBase(config.baseUrl);
+  const fallbackModels = cachedModelsApiBase === apiBase ? cachedModels : [];
+
+  if (cachedModels && cachedModelsApiBase === apiBase && !forceRefresh) {
+    return cachedModels;
+  }
+
+  const accessError = await checkServerAccess(config.baseUrl);
+  if (accessError) {
+    console.error('[OpenAI-compatible] Cannot fetch models:', accessError);
+    return fallbackModels;
+  }
+
+  try {
+    const response = await fetch(`${apiBase}/models`, {
+      credentials: 'omit',
+      headers: buildHeaders(config)
+    });
+
+    if (!response.ok) {
+      console.error('[OpenAI-compatible] Failed to fetch models:', await describeErrorResponse(response));
+      return fallbackModels;
+    }
+
+    const data = await response.json();
+
+    cachedModels = (data.data || [])
+      .filter(model => model.id)
+      .map(model => ({
+        id: model.id,
+        name: model.id,
+        description: model.owned_by || '',
+        contextLength: model.context_length || model.max_model_len || 0,
+        // The server may be a paid proxy, its prices aren't reported
+        pricing: null,
+        isFree: false,
+        provider: model.owned_by || 'custom'
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    cachedModelsApiBase = apiBase;
+
+    return cachedModels;
+  } catch (error) {
+    console.error('[OpenAI-compatible] Error fetching models:', describeNetworkError(error, apiBase));
+    return fallbackModels;
+  }
+}
+
+/**
+ * Get cached models
+ * @returns {Array} Array of model objects
+ */
+export function getOpenAICompatibleModels() {
+  return cachedModels || [];
+}
+
+/**
+ * Map stored settings to the server configuration
+ * @param {Object} credentials - Values of the settings fields
+ * @returns {{baseUrl: string, apiKey: string, extraHeaders: string}}
+ */
+function getServerConfig(credentials) {
+  return {
+    baseUrl: credentials.customBaseUrl,
+    apiKey: credentials.customApiKey,
+    extraHeaders: credentials.customHeaders
+  };
+}
+
+/**
+ * OpenAI-compatible provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const openaiCompatibleProvider = {
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible',
+  description: 'LM Studio, vLLM, llama.cpp • Your server',
+  icon: '<path d="M20 13H4c-.55 0-1 .45-1 1v6c0 .55.45 1 1 1h16c.55 0 1-.45 1-1v-6c0-.55-.45-1-1-1zM7 19c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zM20 3H4c-.55 0-1 .45-1 1v6c0 .55.45 1 1 1h16c.55 0 1-.45 1-1V4c0-.55-.45-1-1-1zM7 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2z"/>',
+  settingsSchema: [
+    {
+      key: 'customBaseUrl',
+      label: 'Server URL',
+      type: 'url',
+      placeholder: 'http://localhost:1234/v1',
+      required: true,
+      hostPermission: true,
+      helpText: 'The API root of the server, e.g. LM Studio http://localhost:1234/v1, vLLM http://localhost:8000/v1 or llama.cpp http://localhost:8080/v1. Chrome asks once for access to it.'
+    },
+    {
+      key: 'customApiKey',
+      label: 'API Key (optional)',
+      type: 'password',
+      placeholder: 'Sent as a Bearer token'
+    },
+    {
+      key: 'customHeaders',
+      label: 'Extra Headers (optional)',
+      type: 'textarea',
+      placeholder: 'X-Team: docs',
+      format: 'headers',
+      helpText: 'One "Name: value" per line.'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: false,
+    json: false
+  },
+  send: ({ credentials, ...params }) => sendOpenAICompatibleRequest({ ...params, ...getServerConfig(credentials) }),
+  stream: ({ credentials, ...params }, onChunk) => sendOpenAICompatibleRequest({ ...params, ...getServerConfig(credentials) }, onChunk),
+  listModels: (credentials, { forceRefresh = false } = {}) => fetchOpenAICompatibleModels(getServerConfig(credentials), forceRefresh),
+  getModels: getOpenAICompatibleModels,
+  testConnection: (credentials) => testOpenAICompatibleConnection(getServerConfig(credentials))
+};
@@ -3,6 +3,9 @@
  * Uses API key authentication
  */
 
+import { readChatCompletionStream } from './sse.js';
+import { getRetryAfter, getChatCompletionUsage } from './http.js';
+
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
 
@@ -22,36 +25,40 @@ let cachedModels = null;
  * @param {string} params.apiKey - OpenRouter API key
  * @param {string} params.model - Model ID to use
  * @param {string} params.systemPrompt - System prompt
- * @param {string} params.userMessage - User message
+ * @param {string} [params.userMessage] - User message (single-turn requests)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation history, takes precedence over userMessage
+ * @param {Object} [params.requestParams] - {temperature, maxTokens, topP, stop} of the action
+ * @param {AbortSignal} [params.signal] - Cancels the request, including a running stream
  * @param {Function} [onChunk] - Optional callback for streaming chunks
- * @returns {Promise<{content: string} | {error: string}>}
+ * @returns {Promise<{content: string, usage: Object|null, truncated: boolean} | {error: string, status?: number, retryAfter?: number|null}>}
  */
-export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userMessage }, onChunk) {
+export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userMessage, messages, requestParams, signal }, onChunk) {
   if (!apiKey) {
     return { error: 'OpenRouter API key is not configured. Please set it in the extension settings.' };
   }
 
   const isStreaming = typeof onChunk === 'function';
-
-  // Debug: Log request details
-  console.log('[OpenRouter] Making request to:', OPENROUTER_API_URL);
-  console.log('[OpenRouter] Model:', model);
-  console.log('[OpenRouter] API Key present:', !!apiKey, 'length:', apiKey?.length);
+  const { temperature = 0.7, maxTokens = 2048, topP, stop } = requestParams || {};
 
   try {
     const requestBody = {
       model: model || 'anthropic/claude-3.5-sonnet',
       messages: [
         { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
+        ...(messages || [{ role: 'user', content: userMessage }])
       ],
-      max_tokens: 2048,
-      temperature: 0.7,
-      stream: isStreaming
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      stop: stop?.length ? stop : undefined,
+      stream: isStreaming,
+      // Adds token counts and the billed cost to the response (the last chunk when streaming)
+      usage: { include: true }
     };
 
     const response = await fetch(OPENROUTER_API_URL, {
       method: 'POST',
+      signal,
       mode: 'cors',
       credentials: 'omit',
       headers: {
@@ -63,8 +70,6 @@ export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userM
       body: JSON.stringify(requestBody)
     });
 
-    console.log('[OpenRouter] Response status:', response.status);
-
     if (!response.ok) {
       let errorData = {};
       try {
@@ -81,116 +86,26 @@ export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userM
       
       // Provide user-friendly error messages based on status code
       if (response.status === 401) {
-        return { error: 'Invalid API key. Please check your OpenRouter API key in settings.' };
+        return { error: 'Invalid API key. Please check your OpenRouter API key in settings.', status: response.status };
       }
       if (response.status === 402) {
-        return { error: 'Insufficient credits. Please add credits to your OpenRouter account.' };
+        return { error: 'Insufficient credits. Please add credits to your OpenRouter account.', status: response.status };
       }
       if (response.status === 429) {
-        return { error: 'Rate limit exceeded. Please try again in a moment.' };
+        return { error: 'Rate limit exceeded. Please try again in a moment.', status: response.status, retryAfter: getRetryAfter(response) };
       }
       if (response.status === 400) {
-        return { error: `Invalid request: ${errorMessage}` };
+        return { error: `Invalid request: ${errorMessage}`, status: response.status };
       }
       if (response.status >= 500) {
-        return { error: `Server error: ${errorMessage}. Please try again later.` };
+        return { error: `Server error: ${errorMessage}. Please try again later.`, status: response.status };
       }
       
-      return { error: errorMessage };
+      return { error: errorMessage, status: response.status };
     }
 
     if (isStreaming) {
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = '';
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        
-        // Keep the last partial line in the buffer
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          const trimmedLine = line.trim();
-          
-          // Skip empty lines
-          if (!trimmedLine) continue;
-          
-          // Skip SSE comments (lines starting with ':') - these are keep-alive messages
-          if (trimmedLine.startsWith(':')) continue;
-          
-          // Handle end of stream
-          if (trimmedLine === 'data: [DONE]') continue;
-
-          // Parse data lines
-          if (trimmedLine.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(trimmedLine.substring(6));
-              
-              // Check for errors in streaming response
-              if (data.error) {
-                const errorMsg = data.error.message || `API error: ${data.error.code || 'unknown'}`;
-                return { error: errorMsg };
-              }
-              
-              // Handle usage object (comes at the end with empty choices array)
-              if (data.usage && (!data.choices || data.choices.length === 0)) {
-                // This is the final usage message, we can ignore it or use it for stats
-                continue;
-              }
-              
-              // Extract content from delta
-              const content = data.choices?.[0]?.delta?.content;
-              if (content) {
-                fullContent += content;
-                onChunk(content);
-              }
-              
-              // Check for finish reason
-              const finishReason = data.choices?.[0]?.finish_reason;
-              if (finishReason && finishReason !== null) {
-                // Stream is complete
-                if (finishReason === 'length') {
-                  console.warn('[OpenRouter] Response truncated due to max_tokens limit');
-                } else if (finishReason === 'content_filter') {
-                  console.warn('[OpenRouter] Response filtered by content policy');
-                }
-              }
-            } catch (e) {
-              // Ignore JSON parse errors for malformed chunks (may be partial data)
-              console.warn('[OpenRouter] Error parsing streaming chunk:', e, trimmedLine);
-            }
-          }
-        }
-      }
-      
-      // Process any remaining data in the buffer
-      if (buffer.trim()) {
-        const trimmedBuffer = buffer.trim();
-        
-        // Skip comments and empty lines
-        if (trimmedBuffer && !trimmedBuffer.startsWith(':') && trimmedBuffer !== 'data: [DONE]') {
-          if (trimmedBuffer.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(trimmedBuffer.substring(6));
-              const content = data.choices?.[0]?.delta?.content || '';
-              if (content) {
-                fullContent += content;
-                onChunk(content);
-              }
-            } catch (e) {
-              // Final partial line might not be valid JSON - ignore
-            }
-          }
-        }
-      }
-
-      return { content: fullContent };
+      return await readChatCompletionStream(response, onChunk, 'OpenRouter');
     } else {
       const data = await response.json();
       
@@ -228,13 +143,10 @@ export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userM
         return { error: 'No response content received from API.' };
       }
 
-      return { content };
+      return { content, usage: getChatCompletionUsage(data.usage), truncated: choice.finish_reason === 'length' };
     }
   } catch (error) {
     console.error('[OpenRouter] Request failed:', error);
-    console.error('[OpenRouter] Error name:', error.name);
-    console.error('[OpenRouter] Error message:', error.message);
-    console.error('[OpenRouter] Error stack:', error.stack);
     
     // Provide more specific error messages based on error type
     let errorMessage = 'Network error: ';
@@ -245,14 +157,14 @@ export async function sendOpenRouterRequest({ apiKey, model, systemPrompt, userM
     } else if (error.name === 'TypeError' && error.message.includes('NetworkError')) {
       errorMessage += 'Network request failed. Please check your internet connection.';
     } else if (error.name === 'AbortError') {
-      errorMessage += 'Request timed out. Please try again.';
+      errorMessage += 'The request was cancelled.';
     } else if (error.message) {
       errorMessage += error.message;
     } else {
       errorMessage += 'An unexpected error occurred. Please try again.';
     }
     
-    return { error: errorMessage };
+    return { error: errorMessage, status: 0 };
   }
 }
 
@@ -266,8 +178,6 @@ export async function testOpenRouterConnection(apiKey) {
     return { success: false, error: 'API key is required' };
   }
 
-  console.log('[OpenRouter] Testing connection to:', OPENROUTER_MODELS_URL);
-
   try {
     const response = await fetch(OPENROUTER_MODELS_URL, {
       method: 'GET',
@@ -279,8 +189,6 @@ export async function testOpenRouterConnection(apiKey) {
       }
     });
 
-    console.log('[OpenRouter] Test connection response:', response.status);
-
     if (response.ok) {
       return { success: true };
     }
@@ -317,8 +225,6 @@ export async function fetchOpenRouterModels(apiKey, forceRefresh = false) {
     return cachedModels;
   }
 
-  console.log('[OpenRouter] Fetching models from:', OPENROUTER_MODELS_URL);
-
   try {
     const headers = {
       'HTTP-Referer': 'https://explain-anything.extension'
@@ -334,8 +240,6 @@ export async function fetchOpenRouterModels(apiKey, forceRefresh = false) {
       headers
     });
 
-    console.log('[OpenRouter] Models fetch response:', response.status);
-
     if (!response.ok) {
       console.error('[OpenRouter] Failed to fetch models:', response.status);
       return FALLBACK_MODELS;
@@ -390,3 +294,36 @@ export function getOpenRouterModels() {
   return cachedModels || FALLBACK_MODELS;
 }
 
+
+/**
+ * OpenRouter provider descriptor for the registry
+ * @type {import('./registry.js').Provider}
+ */
+export const openrouterProvider = {
+  id: 'openrouter',
+  name: 'OpenRouter',
+  description: 'Multiple providers • Pay per use',
+  icon: '<path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>',
+  settingsSchema: [
+    {
+      key: 'openrouterApiKey',
+      label: 'OpenRouter API Key',
+      type: 'password',
+      placeholder: 'sk-or-...',
+      required: true,
+      helpText: 'Get your API key from',
+      helpUrl: 'https://openrouter.ai/keys'
+    }
+  ],
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    vision: true,
+    json: true
+  },
+  send: ({ credentials, ...params }) => sendOpenRouterRequest({ ...params, apiKey: credentials.openrouterApiKey }),
+  stream: ({ credentials, ...params }, onChunk) => sendOpenRouterRequest({ ...params, apiKey: credentials.openrouterApiKey }, onChunk),
+  listModels: (credentials, { forceRefresh = false } = {}) => fetchOpenRouterModels(credentials.openrouterApiKey, forceRefresh),
+  getModels: getOpenRouterModels,
+  testConnection: (credentials) => testOpenRouterConnection(credentials.openrouterApiKey)
+};
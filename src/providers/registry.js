@@ -0,0 +1,133 @@
+/**
+ * Provider Registry
+ * Every LLM provider implements the same interface and is registered here once;
+ * the service worker and the options page only talk to providers through it.
+ *
+ * @typedef {Object} ProviderField
+ * @property {string} key - Settings key the value is stored under (e.g. "geminiApiKey")
+ * @property {string} label - Field label on the options page
+ * @property {'password'|'text'|'url'|'textarea'} type - Input type
+ * @property {string} [placeholder] - Input placeholder
+ * @property {boolean} [required] - Whether requests fail without it
+ * @property {string} [default] - Initial value
+ * @property {string} [helpText] - Help shown under the field
+ * @property {string} [helpUrl] - Link appended to the help text
+ * @property {boolean} [hostPermission] - The value is a server URL the options page asks Chrome for access to
+ * @property {'headers'|'price'} [format] - The value is "Name: value" header lines, or a price in USD per
+ *   million tokens, which the options page checks before saving
+ *
+ * @typedef {Object} Provider
+ * @property {string} id - Value stored in settings.provider
+ * @property {string} name - Display name
+ * @property {string} description - Short tagline for the provider picker
+ * @property {string} icon - SVG path markup for the provider picker
+ * @property {Array<ProviderField>} settingsSchema - Credential and connection fields
+ * @property {{streaming: boolean, systemPrompt: boolean, vision: boolean, json: boolean}} capabilities
+ * @property {Function} send - (params) => Promise<{content}|{error}>
+ * @property {Function} stream - (params, onChunk) => Promise<{content}|{error}>
+ * @property {Function} listModels - (credentials, {forceRefresh}) => Promise<Array> of models
+ * @property {Function} getModels - (credentials) => Array of cached or fallback models
+ * @property {Function} testConnection - (credentials) => Promise<{success: boolean, error?: string}>
+ *
+ * send and stream receive {credentials, model, systemPrompt, userMessage, messages, requestParams, signal},
+ * where credentials holds the provider's settingsSchema values by key, requestParams holds the
+ * action's {temperature, maxTokens, topP, stop} (topP and stop may be missing) and signal is an
+ * AbortSignal that must cancel the request (and a running stream) when aborted.
+ * Successful requests resolve to {content, usage, truncated}, where usage is {promptTokens, completionTokens}
+ * when the provider reports it (plus cost in USD when the provider bills it directly), else null,
+ * and truncated is true when the answer stopped at the maxTokens limit rather than finishing.
+ * Failed requests resolve to {error, status, retryAfter}: the HTTP status, or 0 when the provider
+ * could not be reached, and the seconds the provider asked to wait before retrying, if any.
+ * Errors without a status (e.g. missing settings) are never retried.
+ */
+
+import { openrouterProvider } from './openrouter.js';
+import { geminiProvider } from './gemini.js';
+import { anthropicProvider } from './anthropic.js';
+import { azureOpenAIProvider } from './azure-openai.js';
+import { ollamaProvider } from './ollama.js';
+import { openaiCompatibleProvider } from './openai-compatible.js';
+
+const REQUIRED_MEMBERS = ['id', 'name', 'settingsSchema', 'capabilities', 'send', 'stream', 'listModels', 'getModels', 'testConnection'];
+
+const providers = new Map();
+
+/**
+ * Register a provider
+ * @param {Provider} provider
+ */
+export function registerProvider(provider) {
+  const missing = REQUIRED_MEMBERS.filter(member => provider[member] === undefined);
+  if (missing.length) {
+    throw new Error(`Provider "${provider.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`Provider "${provider.id}" is already registered`);
+  }
+
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider ID
+ * @returns {Provider|null}
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Get every registered provider, in registration order
+ * @returns {Array<Provider>}
+ */
+export function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Pick a provider's credential values out of the settings
+ * @param {Provider} provider
+ * @param {Object} settings - Stored settings
+ * @returns {Object} Values by settings key
+ */
+export function getProviderCredentials(provider, settings) {
+  return Object.fromEntries(
+    provider.settingsSchema.map(field => [field.key, settings[field.key] ?? field.default ?? ''])
+  );
+}
+
+/**
+ * Default values of every provider's settings fields, merged into the global defaults
+ * @returns {Object}
+ */
+export function getProviderSettingsDefaults() {
+  return Object.fromEntries(
+    listProviders().flatMap(provider =>
+      provider.settingsSchema.map(field => [field.key, field.default ?? ''])
+    )
+  );
+}
+
+/**
+ * Serializable description of the providers for the options page
+ * @returns {Array<Object>}
+ */
+export function describeProviders() {
+  return listProviders().map(({ id, name, description, icon, settingsSchema, capabilities }) => ({
+    id,
+    name,
+    description,
+    icon,
+    settingsSchema,
+    capabilities
+  }));
+}
+
+// Built-in providers; the first one is the default
+registerProvider(openrouterProvider);
+registerProvider(geminiProvider);
+registerProvider(anthropicProvider);
+registerProvider(azureOpenAIProvider);
+registerProvider(ollamaProvider);
+registerProvider(openaiCompatibleProvider);
@@ -0,0 +1,156 @@
+/**
+ * OpenAI-compatible Stream Parser
+ * Reads a chat-completions server-sent event stream (OpenRouter, LM Studio, vLLM, llama.cpp server)
+ */
+
+import { getChatCompletionUsage } from './http.js';
+
+// HTTP statuses of OpenAI error types and codes, for errors that arrive inside a stream after a 200.
+// OpenRouter sends the HTTP status itself as the code
+const ERROR_STATUSES = {
+  invalid_request_error: 400,
+  context_length_exceeded: 400,
+  authentication_error: 401,
+  invalid_api_key: 401,
+  insufficient_quota: 402,
+  permission_error: 403,
+  not_found_error: 404,
+  model_not_found: 404,
+  rate_limit_exceeded: 429,
+  rate_limit_error: 429,
+  server_error: 500,
+  timeout: 504
+};
+
+/**
+ * Get the HTTP status of an error sent inside a stream
+ * @param {{code?: number|string, type?: string}} error - Error object of the event
+ * @returns {number} Unknown errors are treated as server errors, so they can be retried
+ */
+function getErrorStatus(error) {
+  if (Number.isInteger(error.code) && error.code >= 400 && error.code < 600) {
+    return error.code;
+  }
+  return ERROR_STATUSES[error.code] || ERROR_STATUSES[error.type] || 500;
+}
+
+/**
+ * Parse one SSE line
+ * @param {string} line - Raw line
+ * @returns {{data: Object} | {skip: true} | {invalid: true}}
+ */
+function parseEventLine(line) {
+  const trimmedLine = line.trim();
+
+  // Skip empty lines, SSE comments (keep-alive messages) and the end marker
+  if (!trimmedLine || trimmedLine.startsWith(':') || trimmedLine === 'data: [DONE]') {
+    return { skip: true };
+  }
+
+  // Some servers omit the space after "data:"
+  if (!trimmedLine.startsWith('data:')) {
+    return { skip: true };
+  }
+
+  try {
+    return { data: JSON.parse(trimmedLine.slice(5).trim()) };
+  } catch (e) {
+    return { invalid: true };
+  }
+}
+
+/**
+ * Read a streaming chat-completions response
+ * @param {Response} response - Successful fetch response with stream: true
+ * @param {Function} onChunk - Called with each content delta
+ * @param {string} [label] - Provider name for log messages
+ * @returns {Promise<{content: string, finishReason: string|null, contentFilterResults: Object|null, usage: Object|null, truncated: boolean} | {error: string, status: number}>}
+ *   contentFilterResults is only sent by Azure OpenAI; usage only when the server sends a usage chunk
+ */
+export async function readChatCompletionStream(response, onChunk, label = 'OpenAI') {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullContent = '';
+  let buffer = '';
+  let finishReason = null;
+  let contentFilterResults = null;
+  let usage = null;
+
+  const handleLine = (line, isFinal) => {
+    const parsed = parseEventLine(line);
+
+    if (parsed.invalid) {
+      // The final partial line might not be valid JSON - ignore
+      if (!isFinal) {
+        console.warn(`[${label}] Error parsing streaming chunk:`, line);
+      }
+      return null;
+    }
+    if (parsed.skip) return null;
+
+    const data = parsed.data;
+
+    // Check for errors in streaming response
+    if (data.error) {
+      return {
+        error: data.error.message || `API error: ${data.error.code || 'unknown'}`,
+        status: getErrorStatus(data.error)
+      };
+    }
+
+    // Usage object comes at the end, usually with an empty choices array
+    if (data.usage) {
+      usage = getChatCompletionUsage(data.usage);
+    }
+
+    const choice = data.choices?.[0];
+
+    // Extract content from delta
+    const content = choice?.delta?.content;
+    if (content) {
+      fullContent += content;
+      onChunk(content);
+    }
+
+    if (choice?.content_filter_results) {
+      contentFilterResults = choice.content_filter_results;
+    }
+
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+      if (finishReason === 'length') {
+        console.warn(`[${label}] Response truncated due to max_tokens limit`);
+      } else if (finishReason === 'content_filter') {
+        console.warn(`[${label}] Response filtered by content policy`);
+      }
+    }
+
+    return null;
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+
+    // Keep the last partial line in the buffer
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const error = handleLine(line, false);
+      if (error) {
+        // Close the connection, the server may keep it open after the error
+        reader.cancel().catch(() => {});
+        return error;
+      }
+    }
+  }
+
+  // Process any remaining data in the buffer
+  const error = handleLine(buffer, true);
+  if (error) return error;
+
+  return { content: fullContent, finishReason, contentFilterResults, usage, truncated: finishReason === 'length' };
+}
@@ -0,0 +1,250 @@
+/**
+ * Explain Anything - Usage Page Script
+ */
+
+import { getDayKey } from '../background/usage.js';
+
+// DOM Elements
+const elements = {
+  usageRange: document.getElementById('usageRange'),
+  clearUsage: document.getElementById('clearUsage'),
+  usageSummary: document.getElementById('usageSummary'),
+  usageNote: document.getElementById('usageNote'),
+  usageTables: document.getElementById('usageTables')
+};
+
+// State
+let allRows = [];
+let providerNames = {};
+
+/**
+ * Initialize the usage page
+ */
+async function init() {
+  setupEventListeners();
+  await loadUsage();
+}
+
+/**
+ * Load usage totals from the background script
+ */
+async function loadUsage() {
+  const response = await sendMessage({ type: 'GET_USAGE' });
+
+  if (response?.error) {
+    elements.usageTables.innerHTML = `
+      <div class="model-error">
+        <span>Failed to load usage. ${escapeHtml(response.error)}</span>
+      </div>
+    `;
+    return;
+  }
+
+  allRows = response?.rows || [];
+  providerNames = Object.fromEntries((response?.providers || []).map(provider => [provider.id, provider.name]));
+  render();
+}
+
+/**
+ * Send a message to the background script
+ */
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, resolve);
+  });
+}
+
+/**
+ * Get the rows inside the selected range
+ */
+function getRowsInRange() {
+  const days = parseInt(elements.usageRange.value, 10);
+  if (!days) return allRows;
+
+  const firstDay = new Date();
+  firstDay.setDate(firstDay.getDate() - (days - 1));
+  const cutoff = getDayKey(firstDay);
+  return allRows.filter(row => row.day >= cutoff);
+}
+
+/**
+ * Sum rows into groups
+ * @param {Array<Object>} rows - Usage rows
+ * @param {Function} getKey - row => group key
+ * @returns {Array<Object>} Totals with the first row of each group as `sample`, most expensive first
+ */
+function groupRows(rows, getKey) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = getKey(row);
+    const group = groups.get(key) || {
+      key,
+      sample: row,
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      unpricedRequests: 0
+    };
+
+    group.requests += row.requests;
+    group.promptTokens += row.promptTokens;
+    group.completionTokens += row.completionTokens;
+    group.cost += row.cost;
+    group.unpricedRequests += row.unpricedRequests;
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens));
+}
+
+/**
+ * Render the summary and the breakdown tables
+ */
+function render() {
+  const rows = getRowsInRange();
+  const [total] = groupRows(rows, () => 'total');
+
+  if (!total) {
+    elements.usageSummary.innerHTML = '';
+    elements.usageNote.textContent = '';
+    elements.usageTables.innerHTML = `
+      <div class="model-empty">
+        <span>${allRows.length ? 'No requests in this period.' : 'No usage recorded yet. Tokens and cost are counted for every answer from a provider; cached answers are free.'}</span>
+      </div>
+    `;
+    return;
+  }
+
+  elements.usageSummary.innerHTML = `
+    ${renderStat('Requests', formatNumber(total.requests))}
+    ${renderStat('Tokens', formatNumber(total.promptTokens + total.completionTokens),
+      `${formatNumber(total.promptTokens)} prompt · ${formatNumber(total.completionTokens)} completion`)}
+    ${renderStat('Cost', formatCost(total.cost))}
+  `;
+
+  elements.usageNote.textContent = total.unpricedRequests
+    ? `${formatNumber(total.unpricedRequests)} requests are not included in the cost because the provider does not publish prices for their model.`
+    : '';
+
+  const byDay = groupRows(rows, row => row.day).sort((a, b) => b.key.localeCompare(a.key));
+  const byModel = groupRows(rows, row => JSON.stringify([row.provider, row.model]));
+  const byAction = groupRows(rows, row => row.actionId);
+
+  elements.usageTables.innerHTML = `
+    ${renderTable('By Model', 'Model', byModel, ({ sample }) => `
+      ${escapeHtml(providerNames[sample.provider] || sample.provider)}
+      <div class="usage-model">${escapeHtml(sample.model || 'Default model')}</div>
+    `)}
+    ${renderTable('By Action', 'Action', byAction, ({ sample }) => escapeHtml(sample.actionName || sample.actionId))}
+    ${renderTable('By Day', 'Day', byDay, ({ key }) => escapeHtml(formatDay(key)))}
+  `;
+}
+
+/**
+ * Render a summary figure
+ */
+function renderStat(label, value, detail = '') {
+  return `
+    <div class="usage-stat">
+      <div class="usage-stat-label">${escapeHtml(label)}</div>
+      <div class="usage-stat-value">${escapeHtml(value)}</div>
+      ${detail ? `<div class="usage-stat-detail">${escapeHtml(detail)}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render a breakdown table in its own section
+ * @param {string} title - Section title
+ * @param {string} label - Header of the first column
+ * @param {Array<Object>} groups - Totals from groupRows
+ * @param {Function} renderLabel - group => HTML of the first cell
+ */
+function renderTable(title, label, groups, renderLabel) {
+  return `
+    <section class="section">
+      <h2 class="section-title">${escapeHtml(title)}</h2>
+      <table class="usage-table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(label)}</th>
+            <th>Requests</th>
+            <th>Prompt tokens</th>
+            <th>Completion tokens</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${groups.map(group => `
+            <tr>
+              <td>${renderLabel(group)}</td>
+              <td>${formatNumber(group.requests)}</td>
+              <td>${formatNumber(group.promptTokens)}</td>
+              <td>${formatNumber(group.completionTokens)}</td>
+              <td>${group.unpricedRequests === group.requests ? '—' : formatCost(group.cost)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+  `;
+}
+
+/**
+ * Delete all usage totals
+ */
+async function clearAllUsage() {
+  if (!allRows.length || !confirm('Reset all usage totals? This cannot be undone.')) {
+    return;
+  }
+
+  await sendMessage({ type: 'CLEAR_USAGE' });
+  allRows = [];
+  render();
+}
+
+/**
+ * Format a YYYY-MM-DD day for display
+ */
+function formatDay(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'medium' });
+}
+
+/**
+ * Format a count with thousands separators
+ */
+function formatNumber(value) {
+  return value.toLocaleString();
+}
+
+/**
+ * Format a cost in USD, with four decimals for fractions of a cent
+ */
+function formatCost(cost) {
+  if (cost === 0) return '$0';
+  if (cost < 0.0001) return '<$0.0001';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  elements.usageRange.addEventListener('change', render);
+  elements.clearUsage.addEventListener('click', clearAllUsage);
+}
+
+// Initialize
+init();
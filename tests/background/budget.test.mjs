@@ -0,0 +1,118 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStorage } from '../helpers/chrome-storage.mjs';
+import {
+  estimateTokens,
+  estimateRequestCost,
+  estimateUsage,
+  applyMonthlyBudget,
+  getMonthlySpend,
+  recordSpend
+} from '../../src/background/budget.js';
+import { calculateCost, clearUsage } from '../../src/background/usage.js';
+
+const storage = installChromeStorage();
+
+const OCTOBER = new Date(2026, 9, 19);
+const NOVEMBER = new Date(2026, 10, 2);
+
+const settings = {
+  provider: 'openrouter',
+  model: 'anthropic/claude-3.5-sonnet',
+  fallbackChain: [{ provider: 'anthropic', model: 'claude-3-opus-latest' }],
+  budgetMonthlyLimit: 5,
+  budgetAction: 'block',
+  budgetDowngradeProvider: 'gemini',
+  budgetDowngradeModel: 'gemini-2.0-flash'
+};
+
+beforeEach(() => {
+  storage.clear();
+});
+
+test('tokens are estimated at four characters each', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(undefined), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('the cost estimate prices the prompt and a typical answer', () => {
+  const prompt = {
+    systemPrompt: 'a'.repeat(400),
+    messages: [{ role: 'user', content: 'b'.repeat(3600) }]
+  };
+
+  assert.deepEqual(estimateRequestCost(prompt, { prompt: 3, completion: 15 }), {
+    promptTokens: 1000,
+    completionTokens: 500,
+    cost: (1000 * 3 + 500 * 15) / 1000000
+  });
+
+  // A lower answer cap lowers the estimate
+  assert.equal(estimateRequestCost({ ...prompt, requestParams: { maxTokens: 100 } }, { prompt: 3, completion: 15 }).completionTokens, 100);
+});
+
+test('usage of unreported requests is estimated from the text', () => {
+  const usage = estimateUsage({ systemPrompt: 'abcd', messages: [{ role: 'user', content: 'abcdefgh' }] }, 'abcdefghijkl');
+
+  assert.deepEqual(usage, { promptTokens: 3, completionTokens: 3 });
+});
+
+test('costs use the provider\'s bill, then the price list, else are unknown', () => {
+  const usage = { promptTokens: 2000, completionTokens: 1000 };
+
+  assert.equal(calculateCost({ ...usage, cost: 0.5 }, { prompt: 3, completion: 15 }), 0.5);
+  assert.equal(calculateCost(usage, { prompt: 3, completion: 15 }), 0.021);
+  assert.equal(calculateCost(usage, null), null);
+});
+
+test('requests under the budget, or without one, are unchanged', () => {
+  assert.deepEqual(applyMonthlyBudget(settings, 4.99), { settings });
+  assert.deepEqual(applyMonthlyBudget({ ...settings, budgetMonthlyLimit: 0 }, 100), { settings: { ...settings, budgetMonthlyLimit: 0 } });
+});
+
+test('a spent budget blocks requests', () => {
+  const result = applyMonthlyBudget(settings, 5);
+
+  assert.match(result.error, /^Monthly budget reached: You have spent \$5\.00 of your \$5\.00 monthly budget\./);
+  assert.equal(result.settings, undefined);
+});
+
+test('a spent budget switches to the cheaper model without fallbacks', () => {
+  const result = applyMonthlyBudget({ ...settings, budgetAction: 'downgrade' }, 6);
+
+  assert.equal(result.downgraded, true);
+  assert.equal(result.settings.provider, 'gemini');
+  assert.equal(result.settings.model, 'gemini-2.0-flash');
+  assert.deepEqual(result.settings.fallbackChain, []);
+});
+
+test('downgrading without a cheaper model blocks instead', () => {
+  const result = applyMonthlyBudget({ ...settings, budgetAction: 'downgrade', budgetDowngradeModel: '' }, 6);
+
+  assert.match(result.error, /Pick the model to switch to in settings/);
+});
+
+test('the spend adds up per month and restarts in a new one', async () => {
+  await Promise.all([recordSpend(1.25, OCTOBER), recordSpend(0.5, OCTOBER), recordSpend(0.25, OCTOBER)]);
+  assert.equal(await getMonthlySpend(OCTOBER), 2);
+
+  await recordSpend(0.1, NOVEMBER);
+  assert.equal(await getMonthlySpend(NOVEMBER), 0.1);
+  assert.equal(await getMonthlySpend(OCTOBER), 0);
+});
+
+test('the spend starts at zero and is kept apart from the usage totals', async () => {
+  storage.data.usage = {
+    a: { day: '2026-10-01', cost: 1.5 },
+    b: { day: '2026-10-18', cost: 0.5 }
+  };
+  assert.equal(await getMonthlySpend(OCTOBER), 0);
+
+  await recordSpend(1, OCTOBER);
+  await clearUsage();
+
+  assert.equal(await getMonthlySpend(OCTOBER), 1);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStorage } from '../helpers/chrome-storage.mjs';
+import {
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache,
+  getCacheStats
+} from '../../src/background/cache.js';
+
+const storage = installChromeStorage();
+const HOUR_MS = 60 * 60 * 1000;
+
+let now;
+
+beforeEach(() => {
+  storage.clear();
+  now = 1700000000000;
+  mock.method(Date, 'now', () => now);
+});
+
+test('cache keys depend on every request field', async () => {
+  const parts = { text: 'hello', action: 'explain', model: 'a' };
+
+  assert.equal(await getCacheKey(parts), await getCacheKey({ ...parts }));
+  assert.notEqual(await getCacheKey(parts), await getCacheKey({ ...parts, model: 'b' }));
+  assert.match(await getCacheKey(parts), /^[0-9a-f]{64}$/);
+});
+
+test('stored responses are returned until they expire', async () => {
+  await setCachedResponse('key', 'answer', { maxEntries: 10 });
+
+  now += 23 * HOUR_MS;
+  assert.deepEqual(await getCachedResponse('key', { ttlHours: 24 }), { content: 'answer', createdAt: 1700000000000 });
+
+  now += 2 * HOUR_MS;
+  assert.equal(await getCachedResponse('key', { ttlHours: 24 }), null);
+  assert.deepEqual(storage.data.responseCache, {});
+});
+
+test('a TTL of 0 never expires', async () => {
+  await setCachedResponse('key', 'answer', { maxEntries: 10 });
+
+  now += 1000 * HOUR_MS;
+  assert.equal((await getCachedResponse('key', { ttlHours: 0 })).content, 'answer');
+});
+
+test('the least recently used entries are evicted', async () => {
+  await setCachedResponse('a', 'A', { maxEntries: 2 });
+  now += 1;
+  await setCachedResponse('b', 'B', { maxEntries: 2 });
+  now += 1;
+
+  // Reading "a" makes "b" the least recently used
+  await getCachedResponse('a', { ttlHours: 0 });
+  now += 1;
+  await setCachedResponse('c', 'C', { maxEntries: 2 });
+
+  assert.deepEqual(Object.keys(storage.data.responseCache).sort(), ['a', 'c']);
+});
+
+test('concurrent writes are all kept', async () => {
+  await Promise.all(
+    Array.from({ length: 20 }, (_, index) => setCachedResponse(`key-${index}`, `answer ${index}`, { maxEntries: 50 }))
+  );
+
+  assert.equal((await getCacheStats()).entries, 20);
+});
+
+test('clearing removes every entry', async () => {
+  await setCachedResponse('key', 'answer', { maxEntries: 10 });
+  await clearResponseCache();
+
+  assert.deepEqual(await getCacheStats(), { entries: 0, bytes: 2 });
+  assert.equal(await getCachedResponse('key', { ttlHours: 0 }), null);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStorage } from '../helpers/chrome-storage.mjs';
+import {
+  getDeck,
+  addDeckCard,
+  scheduleReview,
+  reviewDeckCard,
+  deleteDeckCards
+} from '../../src/background/deck.js';
+
+const storage = installChromeStorage();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+const newCard = { interval: 0, repetitions: 0, easeFactor: 2.5, lapses: 0 };
+
+beforeEach(() => {
+  storage.clear();
+});
+
+test('passing reviews step through 1 day, 6 days, then interval × ease', () => {
+  const first = scheduleReview(newCard, 'good', NOW);
+  assert.equal(first.interval, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.due, NOW + DAY_MS);
+
+  const second = scheduleReview({ ...newCard, ...first }, 'good', NOW);
+  assert.equal(second.interval, 6);
+
+  const third = scheduleReview({ ...newCard, ...second }, 'good', NOW);
+  assert.equal(third.interval, Math.round(6 * third.easeFactor));
+  assert.equal(third.repetitions, 3);
+});
+
+test('the ease factor follows the SM-2 formula', () => {
+  assert.equal(scheduleReview(newCard, 'easy', NOW).easeFactor, 2.6);
+  assert.equal(scheduleReview(newCard, 'good', NOW).easeFactor, 2.5);
+  assert.ok(Math.abs(scheduleReview(newCard, 'hard', NOW).easeFactor - 2.36) < 1e-9);
+});
+
+test('the ease factor never drops below 1.3', () => {
+  const result = scheduleReview({ ...newCard, easeFactor: 1.35 }, 'again', NOW);
+  assert.equal(result.easeFactor, 1.3);
+});
+
+test('"again" restarts the card and counts a lapse for learned cards', () => {
+  const learned = { interval: 15, repetitions: 4, easeFactor: 2.5, lapses: 1 };
+  const result = scheduleReview(learned, 'again', NOW);
+
+  assert.equal(result.interval, 0);
+  assert.equal(result.repetitions, 0);
+  assert.equal(result.lapses, 2);
+  assert.equal(result.due, NOW + 10 * 60 * 1000);
+
+  // A card that was never learned doesn't lapse
+  assert.equal(scheduleReview(newCard, 'again', NOW).lapses, 0);
+});
+
+test('unknown grades are rejected', () => {
+  assert.throws(() => scheduleReview(newCard, 'perfect', NOW), /Unknown review grade/);
+});
+
+test('the same phrase is only saved once per language and tab', async () => {
+  const fields = { front: 'Hello  World', back: 'Hallo Welt', language: 'German', mode: 'translate' };
+
+  const first = await addDeckCard(fields);
+  const again = await addDeckCard({ ...fields, front: ' hello world ' });
+  const otherLanguage = await addDeckCard({ ...fields, language: 'French' });
+
+  assert.equal(first.duplicate, false);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.card.id, first.card.id);
+  assert.equal(otherLanguage.duplicate, false);
+  assert.equal((await getDeck()).length, 2);
+});
+
+test('concurrent changes are all kept', async () => {
+  const added = await Promise.all(
+    Array.from({ length: 10 }, (_, index) => addDeckCard({ front: `word ${index}`, language: 'German', mode: 'translate' }))
+  );
+  const [first, second] = added.map(result => result.card.id);
+
+  await Promise.all([
+    reviewDeckCard(first, 'good'),
+    reviewDeckCard(second, 'easy'),
+    deleteDeckCards([added[2].card.id])
+  ]);
+
+  const deck = await getDeck();
+  assert.equal(deck.length, 9);
+  assert.equal(deck.find(card => card.id === first).repetitions, 1);
+  assert.equal(deck.find(card => card.id === second).easeFactor, 2.6);
+});
+
+test('reviewing a deleted card returns null', async () => {
+  assert.equal(await reviewDeckCard('missing', 'good'), null);
+});
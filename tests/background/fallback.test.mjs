@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isRetryableError, getFallbackAttempts } from '../../src/background/fallback.js';
+
+test('unreachable, out of credits, timeouts, rate limits and 5xx fall through', () => {
+  [0, 402, 408, 429, 500, 503, 529].forEach(status => {
+    assert.equal(isRetryableError({ error: 'failed', status }), true, `status ${status}`);
+  });
+});
+
+test('request and key errors stay with the configured provider', () => {
+  [400, 401, 403, 404, 413].forEach(status => {
+    assert.equal(isRetryableError({ error: 'failed', status }), false, `status ${status}`);
+  });
+  assert.equal(isRetryableError({ error: 'No API key configured.' }), false);
+  assert.equal(isRetryableError(null), false);
+});
+
+test('the configured provider is tried first, then the enabled chain entries', () => {
+  const attempts = getFallbackAttempts({
+    provider: 'openrouter',
+    model: 'anthropic/claude-3-haiku',
+    fallbackChain: [
+      { provider: 'gemini', model: 'gemini-2.0-flash', enabled: true },
+      { provider: 'anthropic', model: '', enabled: false },
+      { provider: 'ollama', model: '' }
+    ]
+  });
+
+  assert.deepEqual(attempts, [
+    { provider: 'openrouter', model: 'anthropic/claude-3-haiku' },
+    { provider: 'gemini', model: 'gemini-2.0-flash' },
+    { provider: 'ollama', model: '' }
+  ]);
+});
+
+test('repeated provider and model pairs are tried once', () => {
+  const attempts = getFallbackAttempts({
+    provider: 'gemini',
+    model: '',
+    fallbackChain: [
+      { provider: 'gemini' },
+      { provider: 'gemini', model: 'gemini-1.5-pro' },
+      { provider: 'gemini', model: 'gemini-1.5-pro' },
+      { model: 'no-provider' },
+      null
+    ]
+  });
+
+  assert.deepEqual(attempts, [
+    { provider: 'gemini', model: '' },
+    { provider: 'gemini', model: 'gemini-1.5-pro' }
+  ]);
+});
+
+test('without a chain only the configured provider is tried', () => {
+  assert.deepEqual(getFallbackAttempts({ provider: 'ollama', model: 'llama3.2' }), [
+    { provider: 'ollama', model: 'llama3.2' }
+  ]);
+});
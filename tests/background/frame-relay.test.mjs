@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { prepareFrameRelay } from '../../src/background/frame-relay.js';
+
+const frameSender = {
+  tab: { id: 7, url: 'https://blog.example.com/post' },
+  frameId: 3,
+  url: 'https://docs.example.org/embed/page'
+};
+
+const context = {
+  text: 'selected words',
+  pageTitle: 'Embedded docs',
+  pageUrl: 'https://docs.example.org/embed/page',
+  position: { x: 10, y: 20 }
+};
+
+test('a relayed selection keeps the frame\'s title and address, not the tab\'s', () => {
+  const relay = prepareFrameRelay({ kind: 'selection', relayId: 'a', context }, frameSender);
+
+  assert.equal(relay.context.pageUrl, 'https://docs.example.org/embed/page');
+  assert.equal(relay.context.pageTitle, 'Embedded docs');
+  assert.equal(relay.kind, 'selection');
+  assert.equal(relay.relayId, 'a');
+});
+
+test('the address comes from Chrome, not from the frame\'s message', () => {
+  const relay = prepareFrameRelay(
+    { kind: 'action', actionId: 'explain', context: { ...context, pageUrl: 'https://bank.example.com/' } },
+    frameSender
+  );
+
+  assert.equal(relay.context.pageUrl, 'https://docs.example.org/embed/page');
+  assert.equal(relay.actionId, 'explain');
+});
+
+test('the frame\'s relay is not changed', () => {
+  const original = { kind: 'command', command: 'explain-selection', context: { ...context, pageUrl: '' } };
+
+  prepareFrameRelay(original, frameSender);
+
+  assert.equal(original.context.pageUrl, '');
+});
+
+test('cleared selections are passed on as they are', () => {
+  const cleared = { kind: 'selection', relayId: 'b', context: null };
+
+  assert.equal(prepareFrameRelay(cleared, frameSender), cleared);
+});
@@ -0,0 +1,145 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isTransientError, getRetryDelay, withRetry, MAX_ATTEMPTS } from '../../src/background/retry.js';
+
+/**
+ * Settle a promise that waits on timers, advancing the mocked clock a second at a time
+ * @param {Promise} promise
+ * @returns {Promise<{value: *, elapsed: number}>} Its value and the milliseconds waited
+ */
+async function runTimers(promise) {
+  let settled = false;
+  promise.finally(() => {
+    settled = true;
+  });
+
+  let elapsed = 0;
+  while (true) {
+    // Let the pending attempt resolve and schedule its wait
+    await new Promise(resolve => setImmediate(resolve));
+    if (settled) break;
+    mock.timers.tick(1000);
+    elapsed += 1000;
+  }
+
+  return { value: await promise, elapsed };
+}
+
+/**
+ * Make a provider request answering with the given results in turn
+ * @param {Array<Object>} results
+ * @returns {Function}
+ */
+function respondWith(results) {
+  return mock.fn(async () => results.shift());
+}
+
+const rateLimited = { error: 'Rate limited', status: 429 };
+const success = { content: 'Answer' };
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('unreachable, timeouts, rate limits and 5xx are transient', () => {
+  [0, 408, 429, 500, 503].forEach(status => {
+    assert.equal(isTransientError({ error: 'failed', status }), true, `status ${status}`);
+  });
+  [400, 401, 402, 403, 404].forEach(status => {
+    assert.equal(isTransientError({ error: 'failed', status }), false, `status ${status}`);
+  });
+  assert.equal(isTransientError({ error: 'No status' }), false);
+});
+
+test('the backoff doubles with equal jitter up to 30 seconds', () => {
+  mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map(attempt => getRetryDelay({}, attempt)), [500, 1000, 2000, 4000, 8000, 15000, 15000]);
+
+  mock.method(Math, 'random', () => 0.999999);
+  assert.equal(getRetryDelay({}, 1), 1000);
+  assert.equal(getRetryDelay({}, 10), 30000);
+});
+
+test('the provider\'s Retry-After wins, unless it is too long', () => {
+  assert.equal(getRetryDelay({ retryAfter: 7 }, 1), 7000);
+  assert.equal(getRetryDelay({ retryAfter: 60 }, 3), 60000);
+  assert.equal(getRetryDelay({ retryAfter: 61 }, 1), null);
+});
+
+test('transient failures are retried until one succeeds', async () => {
+  const run = respondWith([rateLimited, { error: 'Bad gateway', status: 502 }, success]);
+
+  const { value } = await runTimers(withRetry(run, { maxAttempts: 3 }));
+
+  assert.deepEqual(value, success);
+  assert.equal(run.mock.callCount(), 3);
+});
+
+test('the last failure is returned once the attempts run out', async () => {
+  const run = respondWith([rateLimited, rateLimited, { ...rateLimited, error: 'Still rate limited' }]);
+
+  const { value } = await runTimers(withRetry(run, { maxAttempts: 3 }));
+
+  assert.equal(value.error, 'Still rate limited');
+  assert.equal(run.mock.callCount(), 3);
+});
+
+test('other failures are returned right away', async () => {
+  const run = respondWith([{ error: 'Invalid API key', status: 401 }, success]);
+
+  const { value } = await runTimers(withRetry(run, { maxAttempts: 3 }));
+
+  assert.equal(value.status, 401);
+  assert.equal(run.mock.callCount(), 1);
+});
+
+test('attempts are capped', async () => {
+  const run = respondWith(Array.from({ length: 20 }, () => ({ ...rateLimited, retryAfter: 1 })));
+
+  await runTimers(withRetry(run, { maxAttempts: 20 }));
+
+  assert.equal(run.mock.callCount(), MAX_ATTEMPTS);
+});
+
+test('the wait counts down the seconds left', async () => {
+  const onWait = mock.fn();
+  const run = respondWith([{ ...rateLimited, retryAfter: 3 }, success]);
+
+  const { elapsed } = await runTimers(withRetry(run, { maxAttempts: 2, onWait }));
+
+  assert.equal(elapsed, 3000);
+  assert.deepEqual(onWait.mock.calls.map(call => call.arguments[0]), [
+    { retryIn: 3, attempt: 1, maxAttempts: 2, status: 429 },
+    { retryIn: 2, attempt: 1, maxAttempts: 2, status: 429 },
+    { retryIn: 1, attempt: 1, maxAttempts: 2, status: 429 }
+  ]);
+});
+
+test('no retry once canRetry says no, e.g. after streaming started', async () => {
+  const run = respondWith([rateLimited, success]);
+
+  const { value } = await runTimers(withRetry(run, { maxAttempts: 3, canRetry: () => false }));
+
+  assert.deepEqual(value, rateLimited);
+  assert.equal(run.mock.callCount(), 1);
+});
+
+test('aborting stops the wait and further attempts', async () => {
+  const controller = new AbortController();
+  const run = respondWith([{ ...rateLimited, retryAfter: 30 }, success]);
+  // Cancel while the first wait is running
+  const onWait = mock.fn(() => queueMicrotask(() => controller.abort()));
+
+  const { value, elapsed } = await runTimers(withRetry(run, { maxAttempts: 3, onWait, signal: controller.signal }));
+
+  assert.equal(value.status, 429);
+  assert.equal(run.mock.callCount(), 1);
+  assert.equal(elapsed, 0);
+});
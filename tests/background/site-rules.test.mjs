@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchesSitePattern, findSiteRule, applySiteRule } from '../../src/background/site-rules.js';
+
+test('hostname patterns match the hostname only', () => {
+  assert.equal(matchesSitePattern('mail.google.com', 'https://mail.google.com/mail/u/0/'), true);
+  assert.equal(matchesSitePattern('mail.google.com', 'https://docs.google.com/'), false);
+  assert.equal(matchesSitePattern('MAIL.Google.com', 'https://mail.google.com/'), true);
+});
+
+test('"*." patterns cover subdomains and the bare domain', () => {
+  assert.equal(matchesSitePattern('*.mybank.com', 'https://login.mybank.com/'), true);
+  assert.equal(matchesSitePattern('*.mybank.com', 'https://mybank.com/'), true);
+  assert.equal(matchesSitePattern('*.mybank.com', 'https://notmybank.com/'), false);
+});
+
+test('"?" matches a single character', () => {
+  assert.equal(matchesSitePattern('en?.example.com', 'https://en1.example.com/'), true);
+  assert.equal(matchesSitePattern('en?.example.com', 'https://en12.example.com/'), false);
+});
+
+test('dots in patterns are literal', () => {
+  assert.equal(matchesSitePattern('example.com', 'https://exampleXcom.net/'), false);
+});
+
+test('path patterns match the URL without query or hash', () => {
+  const pattern = 'https://github.com/my-org/*';
+  assert.equal(matchesSitePattern(pattern, 'https://github.com/my-org/repo?tab=readme#top'), true);
+  assert.equal(matchesSitePattern(pattern, 'https://github.com/other-org/repo'), false);
+  assert.equal(matchesSitePattern('https://github.com/my-org/repo', 'https://github.com/my-org/repo?tab=readme'), true);
+});
+
+test('path patterns without a scheme match any scheme', () => {
+  assert.equal(matchesSitePattern('example.com/docs/*', 'https://example.com/docs/intro'), true);
+  assert.equal(matchesSitePattern('example.com/docs/*', 'http://example.com/docs/intro'), true);
+  assert.equal(matchesSitePattern('example.com/docs/*', 'https://example.com/blog/'), false);
+});
+
+test('empty patterns and invalid URLs never match', () => {
+  assert.equal(matchesSitePattern('', 'https://example.com/'), false);
+  assert.equal(matchesSitePattern('   ', 'https://example.com/'), false);
+  assert.equal(matchesSitePattern('example.com', 'not a url'), false);
+  assert.equal(matchesSitePattern('example.com', ''), false);
+});
+
+test('findSiteRule returns the first enabled match', () => {
+  const rules = [
+    { pattern: '*.example.com', enabled: false, language: 'German' },
+    { pattern: 'docs.example.com', language: 'French' },
+    { pattern: '*.example.com', language: 'Spanish' }
+  ];
+
+  assert.equal(findSiteRule(rules, 'https://docs.example.com/').language, 'French');
+  assert.equal(findSiteRule(rules, 'https://www.example.com/').language, 'Spanish');
+  assert.equal(findSiteRule(rules, 'https://other.org/'), null);
+  assert.equal(findSiteRule(undefined, 'https://docs.example.com/'), null);
+});
+
+test('applySiteRule only overrides the rule\'s settings', () => {
+  const settings = { language: 'English', provider: 'gemini', model: 'gemini-2.0-flash', cacheEnabled: true };
+
+  assert.equal(applySiteRule(settings, null), settings);
+  assert.deepEqual(applySiteRule(settings, { language: 'German', cacheEnabled: false }), {
+    ...settings,
+    language: 'German'
+  });
+});
+
+test('applySiteRule switches to the default model of a different provider', () => {
+  const settings = { language: 'English', provider: 'gemini', model: 'gemini-2.0-flash' };
+
+  assert.equal(applySiteRule(settings, { provider: 'ollama' }).model, '');
+  assert.equal(applySiteRule(settings, { provider: 'ollama', model: 'llama3.2' }).model, 'llama3.2');
+  assert.equal(applySiteRule(settings, { provider: 'gemini' }).model, 'gemini-2.0-flash');
+});
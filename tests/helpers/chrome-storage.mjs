@@ -0,0 +1,42 @@
+/**
+ * In-memory stand-in for chrome.storage.local
+ * Values are cloned in and out like the real storage, so tests catch changes
+ * that are never written back.
+ */
+
+/**
+ * Install the stand-in as globalThis.chrome
+ * @returns {{data: Object, clear: Function}} The stored values and a way to empty them
+ */
+export function installChromeStorage() {
+  const data = {};
+
+  const get = async (keys) => {
+    if (typeof keys === 'string') {
+      return keys in data ? { [keys]: structuredClone(data[keys]) } : {};
+    }
+
+    const result = {};
+    for (const [key, fallback] of Object.entries(keys || {})) {
+      result[key] = key in data ? structuredClone(data[key]) : fallback;
+    }
+    return result;
+  };
+
+  const set = async (items) => {
+    Object.assign(data, structuredClone(items));
+  };
+
+  const remove = async (keys) => {
+    [].concat(keys).forEach(key => {
+      delete data[key];
+    });
+  };
+
+  globalThis.chrome = { storage: { local: { get, set, remove } } };
+
+  return {
+    data,
+    clear: () => Object.keys(data).forEach(key => delete data[key])
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Streaming fetch responses for provider tests
+ */
+
+/**
+ * Build a response whose body arrives in pieces of a fixed number of bytes
+ * Small pieces split lines and multi-byte characters, which parsers have to buffer.
+ * @param {string} body - Response body
+ * @param {number} [pieceSize] - Bytes per read(), the whole body by default
+ * @returns {Response}
+ */
+export function createStreamResponse(body, pieceSize = Infinity) {
+  const bytes = new TextEncoder().encode(body);
+  const stream = new ReadableStream({
+    start(controller) {
+      for (let start = 0; start < bytes.length; start += pieceSize) {
+        controller.enqueue(bytes.slice(start, start + pieceSize));
+      }
+      controller.close();
+    }
+  });
+  return new Response(stream);
+}
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Classic script shared with the content script, it sets a global
+import '../../src/lib/markdown.js';
+
+const { parseMarkdown, highlightCode } = globalThis.ExplainAnythingMarkdown;
+
+const LINK_ATTRIBUTES = 'target="_blank" rel="noopener noreferrer"';
+
+/**
+ * Get the deepest nesting of elements in rendered HTML
+ * @param {string} html
+ * @returns {number}
+ */
+function getElementDepth(html) {
+  let depth = 0;
+  let maxDepth = 0;
+  for (const [, closing] of html.matchAll(/<(\/?)(?!hr|br|img|input)[a-z][a-z0-9]*[^>]*>/g)) {
+    depth += closing ? -1 : 1;
+    maxDepth = Math.max(maxDepth, depth);
+  }
+  return maxDepth;
+}
+
+/**
+ * Minimal stand-in for the DOM calls of highlightCode
+ * @param {string} className - e.g. "language-python"
+ * @param {string} code - Text of the code block
+ * @returns {Object} A <code> element whose children are {className, textContent}
+ */
+function createCodeBlock(className, code) {
+  globalThis.document = {
+    createTextNode: (text) => ({ className: null, textContent: text }),
+    createElement: () => ({ className: '', textContent: '' })
+  };
+
+  return {
+    className,
+    textContent: code,
+    children: [],
+    replaceChildren(...nodes) {
+      this.children = nodes;
+    }
+  };
+}
+
+test('inline emphasis, code and strikethrough', () => {
+  assert.equal(
+    parseMarkdown('Hello *world*, **bold**, ***both***, `a < b` and ~~gone~~'),
+    '<p>Hello <em>world</em>, <strong>bold</strong>, <em><strong>both</strong></em>, <code>a &lt; b</code> and <del>gone</del></p>'
+  );
+  assert.equal(parseMarkdown('snake_case_name'), '<p>snake_case_name</p>');
+});
+
+test('headings, quotes, rules and lists', () => {
+  assert.equal(parseMarkdown('# Title\n\n> quote\n\n---'), '<h1>Title</h1>\n<blockquote><p>quote</p></blockquote>\n<hr>');
+  assert.equal(parseMarkdown('1. a\n2. b'), '<ol>\n<li>a</li>\n<li>b</li>\n</ol>');
+  assert.equal(
+    parseMarkdown('- [ ] todo\n- [x] done'),
+    '<ul>\n<li class="task-list-item"><input type="checkbox" disabled> todo</li>\n' +
+      '<li class="task-list-item"><input type="checkbox" disabled checked> done</li>\n</ul>'
+  );
+});
+
+test('tables keep their column alignment', () => {
+  assert.equal(
+    parseMarkdown('| Left | Right |\n|:-----|------:|\n| a | b |'),
+    '<table><thead><tr><th style="text-align: left">Left</th><th style="text-align: right">Right</th></tr></thead>' +
+      '<tbody><tr><td style="text-align: left">a</td><td style="text-align: right">b</td></tr></tbody></table>'
+  );
+});
+
+test('HTML in the text is escaped, entities are kept', () => {
+  assert.equal(
+    parseMarkdown('<script>alert(1)</script> & &amp; &copy;'),
+    '<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; &amp; &copy;</p>'
+  );
+  assert.equal(
+    parseMarkdown('<img src=x onerror=alert(1)>\n\n<div>'),
+    '<p>&lt;img src=x onerror=alert(1)&gt;</p>\n<p>&lt;div&gt;</p>'
+  );
+});
+
+test('code blocks are escaped and labelled with their language', () => {
+  assert.equal(
+    parseMarkdown('```js\nconst a = "<b>";\n```'),
+    '<pre><code class="language-js">const a = &quot;&lt;b&gt;&quot;;</code></pre>'
+  );
+});
+
+test('only http, https and mailto links are rendered', () => {
+  assert.equal(
+    parseMarkdown('[bad](javascript:alert(1)) [data](data:text/html,x) [relative](/foo)'),
+    '<p>bad data relative</p>'
+  );
+  assert.equal(
+    parseMarkdown('<https://example.com> <me@example.com>'),
+    `<p><a href="https://example.com" ${LINK_ATTRIBUTES}>https://example.com</a> ` +
+      `<a href="mailto:me@example.com" ${LINK_ATTRIBUTES}>me@example.com</a></p>`
+  );
+});
+
+test('link targets and titles cannot break out of their attribute', () => {
+  assert.equal(
+    parseMarkdown('[x](https://a.com/"onmouseover="alert(1))'),
+    `<p><a href="https://a.com/%22onmouseover=%22alert(1)" ${LINK_ATTRIBUTES}>x</a></p>`
+  );
+  assert.equal(
+    parseMarkdown('[x](https://a.com "It\'s \\"quoted\\"")'),
+    `<p><a href="https://a.com" title="It&#39;s &quot;quoted&quot;" ${LINK_ATTRIBUTES}>x</a></p>`
+  );
+});
+
+test('reference links resolve their definitions', () => {
+  assert.equal(
+    parseMarkdown('[docs] and [the site][docs]\n\n[docs]: https://r.com "Title"'),
+    `<p><a href="https://r.com" title="Title" ${LINK_ATTRIBUTES}>docs</a> and ` +
+      `<a href="https://r.com" title="Title" ${LINK_ATTRIBUTES}>the site</a></p>`
+  );
+});
+
+test('images are links unless allowed, and only load over https', () => {
+  const image = '![alt *x*](https://x.com/a.png)';
+
+  assert.equal(parseMarkdown(image), `<p><a href="https://x.com/a.png" ${LINK_ATTRIBUTES}>alt x</a></p>`);
+  assert.equal(
+    parseMarkdown(image, { allowImages: true }),
+    '<p><img src="https://x.com/a.png" alt="alt x" loading="lazy" referrerpolicy="no-referrer"></p>'
+  );
+  assert.equal(
+    parseMarkdown('![a](http://x.com/a.png)', { allowImages: true }),
+    `<p><a href="http://x.com/a.png" ${LINK_ATTRIBUTES}>a</a></p>`
+  );
+});
+
+test('deeply nested blocks stop nesting at the limit', () => {
+  const quotes = parseMarkdown(`${'>'.repeat(500)} deep`);
+  const lists = parseMarkdown(Array.from({ length: 200 }, (_, index) => `${' '.repeat(index * 2)}- item`).join('\n'));
+
+  assert.equal(quotes.match(/<blockquote>/g).length, 20);
+  assert.ok(quotes.includes('deep'));
+  assert.ok(getElementDepth(lists) <= 45);
+});
+
+test('deeply nested inlines stop nesting at the limit, in linear time', () => {
+  const start = Date.now();
+  const emphasis = parseMarkdown(`${'*'.repeat(5000)}a${'*'.repeat(5000)}`);
+  const links = parseMarkdown(`${'['.repeat(5000)}a${'](https://e.com)'.repeat(5000)}`);
+  const images = parseMarkdown(`${'!['.repeat(5000)}a${'](https://e.com)'.repeat(5000)}`, { allowImages: true });
+
+  assert.ok(getElementDepth(emphasis) <= 22);
+  assert.ok(getElementDepth(links) <= 22);
+  assert.ok(getElementDepth(images) <= 22);
+  assert.ok(Date.now() - start < 5000, 'pathological input took too long');
+});
+
+test('highlighted code keeps markup as text', () => {
+  const block = createCodeBlock('language-js', 'const s = "<img src=x onerror=alert(1)>"; // <b>\nrun(42)');
+
+  highlightCode(block);
+
+  assert.deepEqual(block.children.map(({ className, textContent }) => [className, textContent]), [
+    ['hljs-keyword', 'const'],
+    [null, ' s = '],
+    ['hljs-string', '"<img src=x onerror=alert(1)>"'],
+    [null, '; '],
+    ['hljs-comment', '// <b>'],
+    [null, '\n'],
+    ['hljs-function', 'run'],
+    [null, '('],
+    ['hljs-number', '42'],
+    [null, ')']
+  ]);
+  assert.equal(block.children.map(child => child.textContent).join(''), block.textContent);
+});
+
+test('highlighting uses the keywords of the block\'s language', () => {
+  const block = createCodeBlock('language-python', 'def f(): return None, const');
+
+  highlightCode(block);
+
+  assert.deepEqual(block.children.filter(child => child.className).map(child => [child.className, child.textContent]), [
+    ['hljs-keyword', 'def'],
+    ['hljs-function', 'f'],
+    ['hljs-keyword', 'return'],
+    ['hljs-keyword', 'None']
+  ]);
+});
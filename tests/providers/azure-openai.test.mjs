@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { azureOpenAIProvider, getAzureOpenAIModels } from '../../src/providers/azure-openai.js';
+
+const credentials = {
+  azureEndpoint: 'https://my-resource.openai.azure.com',
+  azureDeployment: 'chat-prod',
+  azureApiKey: 'key'
+};
+
+test('the configured deployment is the only model', async () => {
+  const models = await azureOpenAIProvider.listModels(credentials);
+
+  assert.deepEqual(models.map(model => model.id), ['chat-prod']);
+  assert.deepEqual(azureOpenAIProvider.getModels(credentials), models);
+  assert.deepEqual(getAzureOpenAIModels({ ...credentials, azureDeployment: '  ' }), []);
+});
+
+test('the deployment is priced from the price fields', () => {
+  const [model] = getAzureOpenAIModels({ ...credentials, azurePromptPrice: '0.15', azureCompletionPrice: ' 0.6 ' });
+
+  assert.deepEqual(model.pricing, { prompt: 0.15, completion: 0.6 });
+  assert.equal(model.isFree, false);
+});
+
+test('the price is unknown unless both prices are set', () => {
+  assert.equal(getAzureOpenAIModels(credentials)[0].pricing, null);
+  assert.equal(getAzureOpenAIModels({ ...credentials, azurePromptPrice: '0.15' })[0].pricing, null);
+  assert.equal(getAzureOpenAIModels({ ...credentials, azurePromptPrice: 'cheap', azureCompletionPrice: '0.6' })[0].pricing, null);
+});
+
+test('free deployments can be priced at zero', () => {
+  const [model] = getAzureOpenAIModels({ ...credentials, azurePromptPrice: '0', azureCompletionPrice: '0' });
+
+  assert.deepEqual(model.pricing, { prompt: 0, completion: 0 });
+});
@@ -0,0 +1,109 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStreamResponse } from '../helpers/stream-response.mjs';
+import { sendOllamaRequest } from '../../src/providers/ollama.js';
+
+const request = { model: 'llama3.2', systemPrompt: 'Be brief.', userMessage: 'Explain NDJSON' };
+
+/**
+ * Make fetch answer with a streamed NDJSON body
+ * @param {Array<Object>} messages - One JSON object per line
+ * @param {number} pieceSize - Bytes per read()
+ * @returns {Object} The fetch mock
+ */
+function mockStream(messages, pieceSize = 7) {
+  const body = messages.map(message => JSON.stringify(message)).join('\n') + '\n';
+  return mock.method(globalThis, 'fetch', async () => createStreamResponse(body, pieceSize));
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('streamed lines are joined even when split across reads', async () => {
+  mockStream([
+    { message: { content: 'Newline-' } },
+    { message: { content: 'delimited ' } },
+    { message: { content: 'JSON — één object per line' } },
+    { message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 12, eval_count: 9 }
+  ]);
+  const chunks = [];
+
+  const result = await sendOllamaRequest(request, chunk => chunks.push(chunk));
+
+  assert.deepEqual(chunks, ['Newline-', 'delimited ', 'JSON — één object per line']);
+  assert.deepEqual(result, {
+    content: 'Newline-delimited JSON — één object per line',
+    usage: { promptTokens: 12, completionTokens: 9 },
+    truncated: false
+  });
+});
+
+test('a final line without a newline is still read', async () => {
+  const body = `${JSON.stringify({ message: { content: 'Hi' } })}\n${JSON.stringify({ done: true, done_reason: 'length', eval_count: 1 })}`;
+  mock.method(globalThis, 'fetch', async () => createStreamResponse(body));
+
+  const result = await sendOllamaRequest(request, () => {});
+
+  assert.equal(result.content, 'Hi');
+  assert.equal(result.truncated, true);
+  assert.deepEqual(result.usage, { promptTokens: 0, completionTokens: 1 });
+});
+
+test('an error line ends the stream with that error', async () => {
+  mockStream([
+    { message: { content: 'Partial' } },
+    { error: 'model runner has unexpectedly stopped' },
+    { message: { content: 'never read' } }
+  ]);
+  const chunks = [];
+
+  const result = await sendOllamaRequest(request, chunk => chunks.push(chunk));
+
+  assert.deepEqual(result, { error: 'model runner has unexpectedly stopped' });
+  assert.deepEqual(chunks, ['Partial']);
+});
+
+test('malformed lines are skipped', async () => {
+  mock.method(console, 'warn', () => {});
+  const body = `not json\n${JSON.stringify({ message: { content: 'OK' }, done: true })}\n`;
+  mock.method(globalThis, 'fetch', async () => createStreamResponse(body));
+
+  const result = await sendOllamaRequest(request, () => {});
+
+  assert.equal(result.content, 'OK');
+  assert.equal(result.usage, null);
+});
+
+test('the system prompt and options are sent to the chat API', async () => {
+  const fetchMock = mockStream([{ message: { content: 'OK' }, done: true }]);
+
+  await sendOllamaRequest({ ...request, baseUrl: 'http://127.0.0.1:11434/', requestParams: { temperature: 0.2, maxTokens: 300 } }, () => {});
+
+  const [url, init] = fetchMock.mock.calls[0].arguments;
+  const body = JSON.parse(init.body);
+  assert.equal(url, 'http://127.0.0.1:11434/api/chat');
+  assert.equal(body.stream, true);
+  assert.deepEqual(body.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Explain NDJSON' }
+  ]);
+  assert.equal(body.options.temperature, 0.2);
+  assert.equal(body.options.num_predict, 300);
+});
+
+test('an unreachable server on another computer explains how to allow it', async () => {
+  mock.method(console, 'error', () => {});
+  mock.method(globalThis, 'fetch', async () => {
+    throw new TypeError('Failed to fetch');
+  });
+
+  const local = await sendOllamaRequest(request, () => {});
+  const remote = await sendOllamaRequest({ ...request, baseUrl: 'http://192.168.1.20:11434' }, () => {});
+
+  assert.equal(local.status, 0);
+  assert.doesNotMatch(local.error, /OLLAMA_HOST/);
+  assert.match(remote.error, /^Could not reach Ollama at http:\/\/192\.168\.1\.20:11434\./);
+  assert.match(remote.error, /OLLAMA_HOST=0\.0\.0\.0/);
+});
@@ -0,0 +1,152 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStreamResponse } from '../helpers/stream-response.mjs';
+import { readChatCompletionStream } from '../../src/providers/sse.js';
+
+/**
+ * Format chat-completion chunks as server-sent events
+ * @param {Array<Object|string>} events - Chunk objects, or raw lines such as comments
+ * @returns {string}
+ */
+function toEventStream(events) {
+  return events
+    .map(event => (typeof event === 'string' ? event : `data: ${JSON.stringify(event)}`))
+    .join('\n\n') + '\n\n';
+}
+
+/**
+ * Read an event stream, collecting the chunks passed to onChunk
+ * @param {string} body - Event stream
+ * @param {number} [pieceSize] - Bytes per read()
+ * @returns {Promise<{result: Object, chunks: Array<string>}>}
+ */
+async function read(body, pieceSize) {
+  const chunks = [];
+  const result = await readChatCompletionStream(createStreamResponse(body, pieceSize), chunk => chunks.push(chunk), 'Test');
+  return { result, chunks };
+}
+
+const delta = (content) => ({ choices: [{ delta: { content } }] });
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('deltas are joined even when split across reads', async () => {
+  const body = toEventStream([
+    delta('Server-sent '),
+    delta('events — ünïcödé'),
+    { choices: [{ delta: {}, finish_reason: 'stop' }] },
+    { choices: [], usage: { prompt_tokens: 20, completion_tokens: 5, cost: 0.0001 } },
+    'data: [DONE]'
+  ]);
+
+  const { result, chunks } = await read(body, 5);
+
+  assert.deepEqual(chunks, ['Server-sent ', 'events — ünïcödé']);
+  assert.deepEqual(result, {
+    content: 'Server-sent events — ünïcödé',
+    finishReason: 'stop',
+    contentFilterResults: null,
+    usage: { promptTokens: 20, completionTokens: 5, cost: 0.0001 },
+    truncated: false
+  });
+});
+
+test('comments, other fields and "data:" without a space are handled', async () => {
+  const body = [
+    ': OPENROUTER PROCESSING',
+    'event: message',
+    `data:${JSON.stringify(delta('A'))}`,
+    `data: ${JSON.stringify(delta('B'))}`,
+    'data: [DONE]'
+  ].join('\n') + '\n';
+
+  const { result } = await read(body);
+
+  assert.equal(result.content, 'AB');
+  assert.equal(result.usage, null);
+});
+
+test('a length finish reason marks the answer as truncated', async () => {
+  mock.method(console, 'warn', () => {});
+  const body = toEventStream([delta('Cut'), { choices: [{ delta: {}, finish_reason: 'length' }] }]);
+
+  const { result } = await read(body);
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.finishReason, 'length');
+});
+
+test('content filter results are kept', async () => {
+  mock.method(console, 'warn', () => {});
+  const filter = { hate: { filtered: true, severity: 'high' } };
+  const body = toEventStream([{ choices: [{ delta: {}, finish_reason: 'content_filter', content_filter_results: filter }] }]);
+
+  const { result } = await read(body);
+
+  assert.deepEqual(result.contentFilterResults, filter);
+});
+
+test('an error event ends the stream with its message', async () => {
+  const body = toEventStream([
+    delta('Partial'),
+    { error: { message: 'Rate limit exceeded', code: 429 } },
+    delta('never read')
+  ]);
+
+  const { result, chunks } = await read(body);
+
+  assert.deepEqual(result, { error: 'Rate limit exceeded', status: 429 });
+  assert.deepEqual(chunks, ['Partial']);
+});
+
+test('an error event closes the connection', async () => {
+  let cancelled = false;
+  const encoder = new TextEncoder();
+  // A server that keeps the connection open after the error
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(toEventStream([{ error: { message: 'Upstream failed', code: 502 } }])));
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  const result = await readChatCompletionStream(new Response(stream), () => {}, 'Test');
+
+  assert.deepEqual(result, { error: 'Upstream failed', status: 502 });
+  assert.equal(cancelled, true);
+});
+
+test('error types and codes map to HTTP statuses', async () => {
+  const statusOf = async (error) => (await read(toEventStream([{ error: { message: 'Failed', ...error } }]))).result.status;
+
+  assert.equal(await statusOf({ type: 'invalid_request_error', code: 'context_length_exceeded' }), 400);
+  assert.equal(await statusOf({ type: 'insufficient_quota', code: 'insufficient_quota' }), 402);
+  assert.equal(await statusOf({ type: 'requests', code: 'rate_limit_exceeded' }), 429);
+  assert.equal(await statusOf({ type: 'server_error' }), 500);
+  assert.equal(await statusOf({ code: 503 }), 503);
+  // Unknown errors can be retried
+  assert.equal(await statusOf({ type: 'something_new' }), 500);
+  assert.equal(await statusOf({}), 500);
+});
+
+test('an error event without a message names its code', async () => {
+  const { result } = await read(toEventStream([{ error: { code: 'server_error' } }]));
+
+  assert.deepEqual(result, { error: 'API error: server_error', status: 500 });
+});
+
+test('malformed lines are skipped, including a cut-off last line', async () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const body = `data: {broken\n\n${toEventStream([delta('OK')])}data: {"choices": [`;
+
+  const { result } = await read(body);
+
+  assert.equal(result.content, 'OK');
+  // Only the complete line is reported, the cut-off last line is expected
+  assert.equal(warn.mock.callCount(), 1);
+});